@@ -0,0 +1,65 @@
+// Round-trips a file through the s3 storage driver: put, get, remove, then get again
+// expecting ENOENT. Point it at a local S3-compatible server to check the driver
+// without AWS, e.g. MinIO:
+//
+//   docker run -p 9000:9000 minio/minio server /data
+//   S3_ENDPOINT=http://localhost:9000 S3_BUCKET=attachments-check \
+//   S3_ACCESS_KEY_ID=minioadmin S3_SECRET_ACCESS_KEY=minioadmin npm run check:s3
+//
+// The bucket is created when missing. Exits non-zero when any step fails.
+require("dotenv").config();
+const crypto = require("crypto");
+const { S3Client, CreateBucketCommand } = require("@aws-sdk/client-s3");
+const { createS3Driver } = require("../src/storage/s3Driver");
+
+const readAll = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks);
+};
+
+const createBucket = async () => {
+    const client = new S3Client({
+        region: process.env.S3_REGION || "us-east-1",
+        endpoint: process.env.S3_ENDPOINT,
+        forcePathStyle: Boolean(process.env.S3_ENDPOINT),
+        credentials: process.env.S3_ACCESS_KEY_ID
+            ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+            : undefined,
+    });
+    try {
+        await client.send(new CreateBucketCommand({ Bucket: process.env.S3_BUCKET }));
+    } catch (error) {
+        if (error.name !== "BucketAlreadyOwnedByYou" && error.name !== "BucketAlreadyExists") throw error;
+    }
+};
+
+const main = async () => {
+    if (!process.env.S3_ENDPOINT) throw new Error("S3_ENDPOINT is required, so the check never runs against AWS by accident");
+    const storage = createS3Driver();
+    await createBucket();
+
+    const key = `storage-check/${crypto.randomUUID()}`;
+    const content = crypto.randomBytes(64 * 1024);
+
+    await storage.put(key, content, { contentType: "application/octet-stream" });
+    const stored = await readAll(await storage.get(key));
+    if (!stored.equals(content)) throw new Error(`get returned ${stored.length} bytes that differ from the ${content.length} put`);
+
+    await storage.remove(key);
+    try {
+        await storage.get(key);
+        throw new Error("get still finds the file after remove");
+    } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+    }
+    // Removing a missing key is not an error
+    await storage.remove(key);
+
+    console.log(`s3 storage driver works against ${process.env.S3_ENDPOINT}`);
+};
+
+main().catch((error) => {
+    console.error("s3 storage check failed:", error.message);
+    process.exit(1);
+});
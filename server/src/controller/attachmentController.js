@@ -0,0 +1,154 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const path = require("path");
+const Attachment = require("../models/Attachment");
+const Task = require("../models/Task");
+const { hasPermission } = require("../utils/permissions");
+const { isWorkspaceAdmin } = require("../utils/workspaces");
+const { findVisibleTask } = require("../utils/taskAccess");
+const { ATTACHMENT_QUOTA_BYTES, usedBytes } = require("../utils/attachments");
+const { getStorage } = require("../storage");
+
+const USER_FIELDS = "fullName email";
+const MB = 1024 * 1024;
+
+const sendError = (res, error) => {
+    if (error.name === "ValidationError" || error.name === "CastError") {
+        return res.status(400).json({ message: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ message: "Server error" });
+};
+
+const findAttachment = (task, id) => {
+    if (!mongoose.isValidObjectId(id)) return null;
+    return Attachment.findOne({ _id: id, task: task._id });
+};
+
+const countAttachments = (task, change) => Task.updateOne({ _id: task._id }, { $inc: { attachmentCount: change } });
+
+// GET /api/tasks/:id/attachments
+const getAttachments = async (req, res) => {
+    try {
+        const task = await findVisibleTask(req);
+        if (!task) return res.status(404).json({ message: "Task not found" });
+
+        const attachments = await Attachment.find({ task: task._id })
+            .populate("uploader", USER_FIELDS)
+            .sort({ createdAt: 1 });
+
+        res.json(attachments);
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+// POST /api/tasks/:id/attachments  multipart field "file"
+const uploadAttachment = async (req, res) => {
+    try {
+        const task = await findVisibleTask(req);
+        if (!task) return res.status(404).json({ message: "Task not found" });
+        if (!req.file) return res.status(400).json({ message: "Choose a file to upload" });
+
+        const used = await usedBytes(req.user.userId);
+        if (used + req.file.size > ATTACHMENT_QUOTA_BYTES) {
+            const quotaMb = Math.round(ATTACHMENT_QUOTA_BYTES / MB);
+            return res.status(413).json({ message: `This upload would exceed your ${quotaMb} MB storage quota` });
+        }
+
+        // Stored under a random name; the original only travels back in Content-Disposition
+        const key = `${task.workspace}/${task._id}/${crypto.randomUUID()}`;
+        const storage = getStorage();
+        await storage.put(key, req.file.buffer, { contentType: req.file.mimetype });
+
+        let attachment;
+        try {
+            attachment = await Attachment.create({
+                task: task._id,
+                workspace: task.workspace,
+                uploader: req.user.userId,
+                filename: path.basename(req.file.originalname).slice(0, 255) || "file",
+                contentType: req.file.mimetype,
+                size: req.file.size,
+                key,
+            });
+        } catch (error) {
+            await storage.remove(key).catch((removeError) => console.error(removeError));
+            throw error;
+        }
+        await countAttachments(task, 1);
+
+        await attachment.populate("uploader", USER_FIELDS);
+        res.status(201).json(attachment);
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+// GET /api/tasks/:id/attachments/:attachmentId
+const downloadAttachment = async (req, res) => {
+    try {
+        const task = await findVisibleTask(req);
+        if (!task) return res.status(404).json({ message: "Task not found" });
+
+        const attachment = await findAttachment(task, req.params.attachmentId);
+        if (!attachment) return res.status(404).json({ message: "Attachment not found" });
+
+        let stream;
+        try {
+            stream = await getStorage().get(attachment.key);
+        } catch (error) {
+            if (error.code === "ENOENT") return res.status(404).json({ message: "Attachment file is missing" });
+            throw error;
+        }
+
+        res.attachment(attachment.filename);
+        res.set({
+            "Content-Type": attachment.contentType,
+            "Content-Length": attachment.size,
+            // Never let the browser second-guess the stored type
+            "X-Content-Type-Options": "nosniff",
+        });
+        stream.on("error", (error) => {
+            console.error(error);
+            res.destroy(error);
+        });
+        stream.pipe(res);
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+// DELETE /api/tasks/:id/attachments/:attachmentId
+// The uploader, the task owner, an admin of the task's workspace or a task manager removes an attachment
+const deleteAttachment = async (req, res) => {
+    try {
+        const task = await findVisibleTask(req);
+        if (!task) return res.status(404).json({ message: "Task not found" });
+
+        const attachment = await findAttachment(task, req.params.attachmentId);
+        if (!attachment) return res.status(404).json({ message: "Attachment not found" });
+
+        const { userId } = req.user;
+        const allowed = String(attachment.uploader) === String(userId)
+            || String(task.owner) === String(userId)
+            || isWorkspaceAdmin(req.workspaceRoles.get(String(task.workspace)))
+            || hasPermission(req.user.role, "tasks:manage");
+        if (!allowed) return res.status(403).json({ message: "Access denied" });
+
+        await getStorage().remove(attachment.key);
+        await attachment.deleteOne();
+        await countAttachments(task, -1);
+
+        res.json({ message: "Attachment deleted" });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+module.exports = {
+    getAttachments,
+    uploadAttachment,
+    downloadAttachment,
+    deleteAttachment,
+};
@@ -1,22 +1,28 @@
 const User = require("../models/User");
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const { startSession } = require('../utils/tokens');
+const { DEFAULT_ROLE, SELF_REGISTER_ROLES, normalizeRole } = require('../utils/permissions');
 require('dotenv').config();
 
 const registerUser = async (req, res) => {
     try {
         console.log("request recevied");
-        const { FullName, email, password, role } = req.body;
+        const { FullName, email, password } = req.body;
+
+        const role = normalizeRole(req.body.role || DEFAULT_ROLE);
+        if (!SELF_REGISTER_ROLES.includes(role)) {
+            return res.status(403).json({ message: "This role cannot be chosen at sign up" });
+        }
 
         let user = await User.findOne({ email });
         if (user) return res.status(400).json({ message: "User already exists" });
 
         const hashedPassword = await bcrypt.hash(password, 10);
 
-        user = new User({ FullName, email, password: hashedPassword, role: role || "user" });  // Default role is "user"
+        user = new User({ FullName, email, password: hashedPassword, role });
         await user.save();
 
-        const token = jwt.sign({ userId: user._id, role: user.role }, process.env.JWT_SECRET, { expiresIn: '7d' });
+        const { token } = await startSession(res, user);
 
         res.json({ token, userId: user._id, role: user.role });
     } catch (error) {
@@ -33,7 +39,7 @@ const loginUser = async (req, res) => {
         const isMatch = await bcrypt.compare(password, user.password);
         if (!isMatch) return res.status(400).json({ message: "Invalid credentials" });
 
-        const token = jwt.sign({ userId: user._id, role: user.role }, process.env.JWT_SECRET, { expiresIn: '7d' });
+        const { token } = await startSession(res, user);
 
         res.json({ token, userId: user._id, role: user.role });
     } catch (error) {
@@ -0,0 +1,129 @@
+const crypto = require("crypto");
+const Task = require("../models/Task");
+const User = require("../models/User");
+const CalendarEvent = require("../models/CalendarEvent");
+const { hasPermission, normalizeRole } = require("../utils/permissions");
+const { membershipsOf } = require("../utils/workspaces");
+const { visibleTo } = require("../utils/taskAccess");
+const { hashToken } = require("../utils/tokens");
+const { buildCalendar } = require("../utils/icalendar");
+
+const CALENDAR_TYPE = "text/calendar; charset=utf-8";
+// The feed leaves out what ended longer ago than this
+const FEED_HISTORY_DAYS = 90;
+// Longest range a one-off download may cover
+const MAX_EXPORT_RANGE_MS = 400 * 24 * 60 * 60 * 1000;
+const FEED_TOKEN = /^[0-9a-f]{48}$/;
+
+const TASK_FIELDS = "title description status progress priority dueDate recurrence occurrence nextCreated updatedAt";
+
+const feedUrl = (req, token) => `${req.protocol}://${req.get("host")}/api/calendar/${token}.ics`;
+
+// GET /api/calendar/feed
+// Whether the user has a feed; its URL is only shown when it is created
+const getFeed = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId, "calendarTokenHash");
+        res.json({ enabled: Boolean(user?.calendarTokenHash) });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// POST /api/calendar/feed
+// Creates the user's feed URL, replacing the previous one, which stops working
+const createFeed = async (req, res) => {
+    try {
+        const token = crypto.randomBytes(24).toString("hex");
+        await User.updateOne({ _id: req.user.userId }, { calendarTokenHash: hashToken(token) });
+        res.status(201).json({ enabled: true, url: feedUrl(req, token) });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// DELETE /api/calendar/feed
+const deleteFeed = async (req, res) => {
+    try {
+        await User.updateOne({ _id: req.user.userId }, { $unset: { calendarTokenHash: 1 } });
+        res.json({ enabled: false });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// GET /api/calendar/:token.ics
+// The subscribable feed. Calendar apps cannot log in, so the secret in the URL stands in
+// for the session; it covers the tasks and events of every workspace the user belongs to.
+const getFeedCalendar = async (req, res) => {
+    try {
+        const { token } = req.params;
+        const user = FEED_TOKEN.test(token)
+            ? await User.findOne({ calendarTokenHash: hashToken(token) }, "role")
+            : null;
+        const role = normalizeRole(user?.role);
+        if (!user || !hasPermission(role, "tasks:read")) {
+            return res.status(404).json({ message: "Calendar not found" });
+        }
+
+        const workspaceRoles = await membershipsOf(user._id);
+        const workspaces = [...workspaceRoles.keys()];
+        const since = new Date(Date.now() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+
+        const [tasks, events] = await Promise.all([
+            Task.find({
+                ...visibleTo({ user: { userId: user._id, role }, workspaceRoles }),
+                workspace: { $in: workspaces },
+                dueDate: { $gte: since },
+            }, TASK_FIELDS),
+            CalendarEvent.find({ workspace: { $in: workspaces }, end: { $gte: since } }),
+        ]);
+
+        res.set("Content-Type", CALENDAR_TYPE);
+        res.set("Cache-Control", "private, no-cache");
+        res.send(buildCalendar({ name: "TaskFlow", tasks, events }));
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// GET /api/calendar/export.ics?from=&to=
+// One-off download of the tasks and events the calendar shows for a date range
+const exportCalendar = async (req, res) => {
+    try {
+        const from = new Date(req.query.from);
+        const to = new Date(req.query.to);
+        if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from > to) {
+            return res.status(400).json({ message: "Give a valid date range with from and to" });
+        }
+        if (to - from > MAX_EXPORT_RANGE_MS) {
+            return res.status(400).json({ message: "The date range can span at most 400 days" });
+        }
+
+        const inWorkspace = req.workspace ? { workspace: req.workspace._id } : {};
+        const [tasks, events] = await Promise.all([
+            Task.find({ ...visibleTo(req), ...inWorkspace, dueDate: { $gte: from, $lte: to } }, TASK_FIELDS),
+            CalendarEvent.find({ ...inWorkspace, start: { $lte: to }, end: { $gte: from } }),
+        ]);
+
+        const name = req.workspace ? `TaskFlow · ${req.workspace.name}` : "TaskFlow";
+        res.attachment("taskflow.ics");
+        res.set("Content-Type", CALENDAR_TYPE);
+        res.send(buildCalendar({ name, tasks, events }));
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+module.exports = {
+    getFeed,
+    createFeed,
+    deleteFeed,
+    getFeedCalendar,
+    exportCalendar,
+};
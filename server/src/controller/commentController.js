@@ -0,0 +1,156 @@
+const mongoose = require("mongoose");
+const Comment = require("../models/Comment");
+const Task = require("../models/Task");
+const Workspace = require("../models/Workspace");
+const { hasPermission } = require("../utils/permissions");
+const { isWorkspaceAdmin } = require("../utils/workspaces");
+const { findVisibleTask } = require("../utils/taskAccess");
+const { renderComment } = require("../utils/markdown");
+const { notifyComment } = require("../utils/notifications");
+
+const USER_FIELDS = "fullName email";
+
+const sendError = (res, error) => {
+    if (error.name === "ValidationError" || error.name === "CastError") {
+        return res.status(400).json({ message: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ message: "Server error" });
+};
+
+// Members of the task's workspace, the only users a comment can mention
+const mentionableUsers = async (task) => {
+    const workspace = await Workspace.findById(task.workspace, "members").populate("members.user", USER_FIELDS);
+    return new Map(
+        (workspace?.members || [])
+            .filter((member) => member.user)
+            .map((member) => [String(member.user._id), member.user.fullName || member.user.email])
+    );
+};
+
+// Sets the body of a comment along with the HTML and mentions rendered from it
+const setBody = async (comment, task, body) => {
+    comment.body = typeof body === "string" ? body : "";
+    const { html, mentions } = renderComment(comment.body, await mentionableUsers(task));
+    comment.html = html;
+    comment.mentions = mentions;
+};
+
+const findComment = (task, id) => {
+    if (!mongoose.isValidObjectId(id)) return null;
+    return Comment.findOne({ _id: id, task: task._id, deleted: false });
+};
+
+const countComments = (task, change) => Task.updateOne({ _id: task._id }, { $inc: { commentCount: change } });
+
+// GET /api/tasks/:id/comments
+// Every comment on the task, oldest first; replies carry the id of their parent
+const getComments = async (req, res) => {
+    try {
+        const task = await findVisibleTask(req);
+        if (!task) return res.status(404).json({ message: "Task not found" });
+
+        const comments = await Comment.find({ task: task._id })
+            .populate("author", USER_FIELDS)
+            .sort({ createdAt: 1 });
+
+        res.json(comments);
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+// POST /api/tasks/:id/comments  { body, parent? }
+const createComment = async (req, res) => {
+    try {
+        const task = await findVisibleTask(req);
+        if (!task) return res.status(404).json({ message: "Task not found" });
+
+        if (req.body.parent && !(await findComment(task, req.body.parent))) {
+            return res.status(404).json({ message: "Comment to reply to not found" });
+        }
+
+        const comment = new Comment({
+            task: task._id,
+            workspace: task.workspace,
+            author: req.user.userId,
+            parent: req.body.parent || null,
+        });
+        await setBody(comment, task, req.body.body);
+        await comment.save();
+        await countComments(task, 1);
+        await notifyComment(task, comment);
+
+        await comment.populate("author", USER_FIELDS);
+        res.status(201).json(comment);
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+// PATCH /api/tasks/:id/comments/:commentId  { body }
+// Only the author edits a comment
+const updateComment = async (req, res) => {
+    try {
+        const task = await findVisibleTask(req);
+        if (!task) return res.status(404).json({ message: "Task not found" });
+
+        const comment = await findComment(task, req.params.commentId);
+        if (!comment) return res.status(404).json({ message: "Comment not found" });
+        if (String(comment.author) !== String(req.user.userId)) {
+            return res.status(403).json({ message: "Only the author can edit a comment" });
+        }
+
+        const mentionedBefore = [...comment.mentions];
+        await setBody(comment, task, req.body.body);
+        comment.editedAt = new Date();
+        await comment.save();
+        await notifyComment(task, comment, mentionedBefore);
+
+        await comment.populate("author", USER_FIELDS);
+        res.json(comment);
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+// DELETE /api/tasks/:id/comments/:commentId
+// The author, an admin of the task's workspace or a task manager removes a comment.
+// One that has replies is emptied instead, so the replies keep their place in the thread.
+const deleteComment = async (req, res) => {
+    try {
+        const task = await findVisibleTask(req);
+        if (!task) return res.status(404).json({ message: "Task not found" });
+
+        const comment = await findComment(task, req.params.commentId);
+        if (!comment) return res.status(404).json({ message: "Comment not found" });
+
+        const isAuthor = String(comment.author) === String(req.user.userId);
+        const canModerate = hasPermission(req.user.role, "tasks:manage")
+            || isWorkspaceAdmin(req.workspaceRoles.get(String(task.workspace)));
+        if (!isAuthor && !canModerate) return res.status(403).json({ message: "Access denied" });
+
+        if (await Comment.exists({ parent: comment._id })) {
+            comment.set({ body: "(deleted)", html: "", mentions: [], deleted: true });
+            await comment.save();
+        } else {
+            await comment.deleteOne();
+            // A deleted comment whose last reply is gone has nothing left to hold together
+            if (comment.parent && !(await Comment.exists({ parent: comment.parent }))) {
+                await Comment.deleteOne({ _id: comment.parent, deleted: true });
+            }
+        }
+        await countComments(task, -1);
+
+        res.json({ message: "Comment deleted" });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+module.exports = {
+    getComments,
+    createComment,
+    updateComment,
+    deleteComment,
+};
@@ -0,0 +1,116 @@
+const mongoose = require("mongoose");
+const CalendarEvent = require("../models/CalendarEvent");
+const { hasPermission } = require("../utils/permissions");
+const { isWorkspaceAdmin } = require("../utils/workspaces");
+
+const USER_FIELDS = "fullName email";
+// Fields a client may set; the workspace and owner come from the request
+const EDITABLE_FIELDS = ["title", "description", "start", "end", "allDay"];
+
+const pickEditable = (body) =>
+    EDITABLE_FIELDS.reduce((picked, key) => {
+        if (body[key] !== undefined) picked[key] = body[key];
+        return picked;
+    }, {});
+
+const sendError = (res, error) => {
+    if (error.name === "ValidationError") {
+        const errors = Object.fromEntries(
+            Object.entries(error.errors).map(([path, fieldError]) => [path, fieldError.message])
+        );
+        return res.status(400).json({ message: Object.values(errors)[0] || error.message, errors });
+    }
+    if (error.name === "CastError") {
+        return res.status(400).json({ message: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ message: "Server error" });
+};
+
+// Events of the request's workspace; task managers looking at "all" see every workspace
+const inWorkspace = (req) => (req.workspace ? { workspace: req.workspace._id } : {});
+
+const findEvent = (req) => {
+    if (!mongoose.isValidObjectId(req.params.id)) return null;
+    return CalendarEvent.findOne({ _id: req.params.id, ...inWorkspace(req) });
+};
+
+// The creator, an admin of the event's workspace or a task manager may change an event
+const canEdit = (req, event) =>
+    String(event.owner) === String(req.user.userId)
+    || isWorkspaceAdmin(req.workspaceRoles.get(String(event.workspace)))
+    || hasPermission(req.user.role, "tasks:manage");
+
+// GET /api/events?from=&to=
+// Events overlapping the range, or every event when no range is given
+const getEvents = async (req, res) => {
+    try {
+        const filter = inWorkspace(req);
+        if (req.query.from) filter.end = { $gte: new Date(req.query.from) };
+        if (req.query.to) filter.start = { $lte: new Date(req.query.to) };
+
+        const events = await CalendarEvent.find(filter)
+            .populate("owner", USER_FIELDS)
+            .sort({ start: 1 });
+
+        res.json(events);
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+// POST /api/events
+const createEvent = async (req, res) => {
+    try {
+        if (!req.workspace) return res.status(400).json({ message: "Choose a workspace for the event" });
+
+        const event = await CalendarEvent.create({
+            ...pickEditable(req.body),
+            workspace: req.workspace._id,
+            owner: req.user.userId,
+        });
+
+        await event.populate("owner", USER_FIELDS);
+        res.status(201).json(event);
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+// PATCH /api/events/:id
+const updateEvent = async (req, res) => {
+    try {
+        const event = await findEvent(req);
+        if (!event) return res.status(404).json({ message: "Event not found" });
+        if (!canEdit(req, event)) return res.status(403).json({ message: "Access denied" });
+
+        event.set(pickEditable(req.body));
+        await event.save();
+
+        await event.populate("owner", USER_FIELDS);
+        res.json(event);
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+// DELETE /api/events/:id
+const deleteEvent = async (req, res) => {
+    try {
+        const event = await findEvent(req);
+        if (!event) return res.status(404).json({ message: "Event not found" });
+        if (!canEdit(req, event)) return res.status(403).json({ message: "Access denied" });
+
+        await event.deleteOne();
+        res.json({ message: "Event deleted" });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+module.exports = {
+    getEvents,
+    createEvent,
+    updateEvent,
+    deleteEvent,
+};
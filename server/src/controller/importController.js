@@ -0,0 +1,153 @@
+const Task = require("../models/Task");
+const User = require("../models/User");
+const CalendarEvent = require("../models/CalendarEvent");
+const { hasPermission } = require("../utils/permissions");
+const { POSITION_STEP, endOfColumn } = require("../utils/taskPositions");
+const { getWorkflow, firstOpenColumn } = require("../utils/workflows");
+const { notifyAssigned } = require("../utils/notifications");
+
+// Most rows one import may hold
+const MAX_IMPORT_ROWS = 1000;
+
+// The first problem with a document, in words fit for a preview table
+const firstProblem = (error) => {
+    const [path, fieldError] = Object.entries(error.errors)[0];
+    if (fieldError.name === "CastError" || fieldError.kind === "enum") {
+        return `"${fieldError.value}" is not a valid ${path}`;
+    }
+    if (fieldError.kind === "required") return `${path} is required`;
+    return fieldError.message;
+};
+
+// Validates without saving; returns an error message, or null when the document is fine
+const problemWith = async (doc) => {
+    try {
+        await doc.validate();
+        return null;
+    } catch (error) {
+        if (error.name !== "ValidationError") throw error;
+        return firstProblem(error);
+    }
+};
+
+// Members of the workspace, found by email or full name, case-insensitively
+const memberLookup = async (workspace) => {
+    const users = await User.find({ _id: { $in: workspace.members.map((member) => member.user) } }, "fullName email");
+    const byKey = new Map();
+    users.forEach((user) => {
+        byKey.set(user.email.toLowerCase(), user._id);
+        byKey.set(user.fullName.toLowerCase(), user._id);
+    });
+    return (key) => byKey.get(key.trim().toLowerCase());
+};
+
+// Assignees are given as emails or names separated by commas or semicolons
+const resolveAssignees = (value, findMember) => {
+    const keys = String(value || "").split(/[;,]/).map((key) => key.trim()).filter(Boolean);
+    const ids = [];
+    for (const key of keys) {
+        const id = findMember(key);
+        if (!id) return { error: `No member of this workspace matches "${key}"` };
+        ids.push(id);
+    }
+    return { ids: [...new Set(ids.map(String))] };
+};
+
+// POST /api/import
+// Creates tasks and calendar events in the request's workspace in one batch: every row is
+// checked first and nothing is created unless all of them pass. With dryRun the rows are
+// only checked, for the preview. Problems come back as { kind, index, message } per row.
+const importRows = async (req, res) => {
+    try {
+        if (!req.workspace) return res.status(400).json({ message: "Choose a workspace to import into" });
+
+        const taskRows = Array.isArray(req.body.tasks) ? req.body.tasks : [];
+        const eventRows = Array.isArray(req.body.events) ? req.body.events : [];
+        if (taskRows.length + eventRows.length === 0) {
+            return res.status(400).json({ message: "There is nothing to import" });
+        }
+        if (taskRows.length + eventRows.length > MAX_IMPORT_ROWS) {
+            return res.status(400).json({ message: `An import can hold at most ${MAX_IMPORT_ROWS} rows` });
+        }
+
+        const canAssign = hasPermission(req.user.role, "tasks:assign");
+        const findMember = await memberLookup(req.workspace);
+        const errors = [];
+
+        const tasks = [];
+        for (const [index, row] of taskRows.entries()) {
+            const assignees = resolveAssignees(row.assignee, findMember);
+            const task = new Task({
+                title: row.title,
+                description: row.description || "",
+                priority: row.priority || undefined,
+                dueDate: row.dueDate || null,
+                assignees: assignees.ids || [],
+                owner: req.user.userId,
+                workspace: req.workspace._id,
+            });
+
+            let message = assignees.error || await problemWith(task);
+            if (!message && task.assignees.length > 0 && !canAssign) message = "Not allowed to assign tasks";
+            if (message) errors.push({ kind: "task", index, message });
+            tasks.push(task);
+        }
+
+        const events = [];
+        for (const [index, row] of eventRows.entries()) {
+            const event = new CalendarEvent({
+                title: row.title,
+                description: row.description || "",
+                start: row.start,
+                end: row.end || row.start,
+                allDay: Boolean(row.allDay),
+                owner: req.user.userId,
+                workspace: req.workspace._id,
+            });
+
+            const message = await problemWith(event);
+            if (message) errors.push({ kind: "event", index, message });
+            events.push(event);
+        }
+
+        if (req.body.dryRun) return res.json({ errors });
+        if (errors.length > 0) {
+            return res.status(400).json({
+                message: `${errors.length} row(s) have problems, so nothing was imported`,
+                errors,
+            });
+        }
+
+        // New cards line up at the end of the board's first column, in file order
+        if (tasks.length > 0) {
+            const workflow = await getWorkflow(req.workspace._id);
+            const column = firstOpenColumn(workflow);
+            const start = await endOfColumn(req.workspace._id, column);
+            tasks.forEach((task, index) => {
+                task.column = column;
+                task.position = start + index * POSITION_STEP;
+            });
+        }
+
+        // MongoDB without a replica set has no transactions, so a failed batch is undone by hand
+        try {
+            await Task.insertMany(tasks);
+            await CalendarEvent.insertMany(events);
+        } catch (error) {
+            await Promise.all([
+                Task.deleteMany({ _id: { $in: tasks.map((task) => task._id) } }),
+                CalendarEvent.deleteMany({ _id: { $in: events.map((event) => event._id) } }),
+            ]);
+            throw error;
+        }
+
+        await notifyAssigned(req.user.userId, tasks.map((task) => ({ task, assignees: task.assignees })));
+
+        res.status(201).json({ tasks: tasks.length, events: events.length });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+module.exports = { importRows };
@@ -0,0 +1,104 @@
+const mongoose = require("mongoose");
+const Notification = require("../models/Notification");
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const toPositiveInt = (value, fallback) => {
+    const number = parseInt(value, 10);
+    return Number.isInteger(number) && number > 0 ? number : fallback;
+};
+
+const countUnread = (userId) => Notification.countDocuments({ user: userId, readAt: null });
+
+// GET /api/notifications?page=&limit=&unread=true
+// The user's notifications, newest first, with the task each is about when it still exists
+const getNotifications = async (req, res) => {
+    try {
+        const page = toPositiveInt(req.query.page, 1);
+        const limit = Math.min(toPositiveInt(req.query.limit, DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE);
+        const filter = { user: req.user.userId };
+        if (req.query.unread === "true") filter.readAt = null;
+
+        const [notifications, total, unread] = await Promise.all([
+            Notification.find(filter)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .populate("actor", "fullName email")
+                .populate("task", "title status workspace")
+                .lean(),
+            Notification.countDocuments(filter),
+            countUnread(req.user.userId),
+        ]);
+
+        res.json({
+            notifications,
+            page,
+            limit,
+            total,
+            totalPages: Math.max(1, Math.ceil(total / limit)),
+            unread,
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// GET /api/notifications/unread-count
+// Polled by the client for the badge, so it does no more than count
+const getUnreadCount = async (req, res) => {
+    try {
+        res.json({ unread: await countUnread(req.user.userId) });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// PATCH /api/notifications/:id  { read: boolean }
+const updateNotification = async (req, res) => {
+    try {
+        if (typeof req.body.read !== "boolean") {
+            return res.status(400).json({ message: "read must be true or false" });
+        }
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ message: "Notification not found" });
+        }
+
+        const notification = await Notification.findOne({ _id: req.params.id, user: req.user.userId });
+        if (!notification) return res.status(404).json({ message: "Notification not found" });
+
+        // Marking a read notification read again keeps when it was first read
+        if (!req.body.read) notification.readAt = null;
+        else if (!notification.readAt) notification.readAt = new Date();
+        await notification.save();
+
+        res.json({ notification, unread: await countUnread(req.user.userId) });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// POST /api/notifications/read-all
+const markAllRead = async (req, res) => {
+    try {
+        const result = await Notification.updateMany(
+            { user: req.user.userId, readAt: null },
+            { readAt: new Date() }
+        );
+        res.json({ updated: result.modifiedCount, unread: 0 });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+module.exports = {
+    getNotifications,
+    getUnreadCount,
+    updateNotification,
+    markAllRead,
+};
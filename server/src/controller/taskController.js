@@ -0,0 +1,540 @@
+const mongoose = require("mongoose");
+const Task = require("../models/Task");
+const Comment = require("../models/Comment");
+const Workspace = require("../models/Workspace");
+const Notification = require("../models/Notification");
+const { hasPermission } = require("../utils/permissions");
+const { visibleTo, findVisibleTask } = require("../utils/taskAccess");
+const { endOfColumn, rebalanceColumn, positionBetween, needsRebalance } = require("../utils/taskPositions");
+const { getWorkflow, hasColumn, canTransition, settleOnBoard } = require("../utils/workflows");
+const { recomputeProgress, hasItems } = require("../utils/taskProgress");
+const { removeAttachments } = require("../utils/attachments");
+const { wouldCycle, releaseDependents, blockedMessage } = require("../utils/taskDependencies");
+const { applyRecurrence } = require("../utils/recurringTasks");
+const { occurrencesBetween } = require("../utils/recurrence");
+const { validateFormat, sendExport } = require("../utils/exportRows");
+const { notifyAssigned } = require("../utils/notifications");
+
+// Fields a client is allowed to set on create/update; owner always comes from the token,
+// workspace from the workspace the request is made in and position from moveTask
+const EDITABLE_FIELDS = [
+    "title", "description", "priority", "progress", "status", "dueDate", "assignees", "column",
+];
+const USER_FIELDS = "fullName email";
+const BLOCKER_FIELDS = "title status";
+
+const pickEditable = (body) => {
+    const fields = EDITABLE_FIELDS.reduce((picked, key) => {
+        if (body[key] !== undefined) picked[key] = body[key];
+        return picked;
+    }, {});
+    // Assigning someone twice is a no-op, not an error
+    if (Array.isArray(fields.assignees)) fields.assignees = [...new Set(fields.assignees.map(String))];
+    return fields;
+};
+
+const canAssign = (req) =>
+    req.body.assignees === undefined || hasPermission(req.user.role, "tasks:assign");
+
+// Assignees must be a list of members of the task's workspace
+const isAssignable = async (workspaceId, assignees) => {
+    if (assignees === undefined) return true;
+    if (!Array.isArray(assignees) || !assignees.every((id) => mongoose.isValidObjectId(id))) return false;
+    if (assignees.length === 0) return true;
+
+    const workspace = await Workspace.findById(workspaceId, "members");
+    return Boolean(workspace) && assignees.every((id) => workspace.roleOf(id));
+};
+
+// Checks a requested column change against the workspace workflow; returns an error message or null
+const checkMove = (workflow, from, to) => {
+    if (!hasColumn(workflow, to)) return `Unknown column "${to}"`;
+    if (!canTransition(workflow, from, to)) return `Cards cannot move from "${from}" to "${to}"`;
+    return null;
+};
+
+const populateRefs = (task) =>
+    task.populate([
+        { path: "owner", select: USER_FIELDS },
+        { path: "assignees", select: USER_FIELDS },
+        { path: "workspace", select: "name" },
+        { path: "blockedBy", select: BLOCKER_FIELDS },
+    ]);
+
+// Whether an update would finish the task, by status, progress or board column
+const completes = (fields) =>
+    fields.status === "complete" || fields.progress === 100 || fields.column === Task.DONE_COLUMN;
+
+const sendError = (res, error) => {
+    // Field errors come from the shared task schema the model is built from
+    if (error.name === "ValidationError") {
+        const errors = Object.fromEntries(
+            Object.entries(error.errors).map(([path, fieldError]) => [path, fieldError.message])
+        );
+        return res.status(400).json({ message: error.message, errors });
+    }
+    if (error.name === "CastError") {
+        return res.status(400).json({ message: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ message: "Server error" });
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Order of task lists: board order, newest first within a position
+const LIST_SORT = { position: 1, createdAt: -1 };
+
+// Filter of the task lists from ?status=, ?search= (title or description) and ?parent=
+const listFilter = (req) => {
+    const filter = { ...visibleTo(req) };
+    if (req.workspace) filter.workspace = req.workspace._id;
+    if (req.query.status) filter.status = String(req.query.status);
+    if (req.query.search && String(req.query.search).trim()) {
+        const pattern = new RegExp(escapeRegex(String(req.query.search).trim()), "i");
+        // In $and, since visibleTo may have set $or already
+        filter.$and = [{ $or: [{ title: pattern }, { description: pattern }] }];
+    }
+    // Top-level tasks by default; ?parent=<id> lists the subtasks of a task
+    filter.parent = mongoose.isValidObjectId(req.query.parent) ? req.query.parent : null;
+    return filter;
+};
+
+const getTasks = async (req, res) => {
+    try {
+        const tasks = await Task.find(listFilter(req))
+            .populate("owner", USER_FIELDS)
+            .populate("assignees", USER_FIELDS)
+            .populate("workspace", "name")
+            .populate("blockedBy", BLOCKER_FIELDS)
+            .sort(LIST_SORT);
+
+        res.json(tasks);
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+const formatDay = (date) => (date ? date.toISOString().slice(0, 10) : null);
+
+const EXPORT_COLUMNS = [
+    { key: "title", header: "Title", width: 40, value: (task) => task.title },
+    { key: "description", header: "Description", width: 60, value: (task) => task.description },
+    { key: "workspace", header: "Workspace", value: (task) => task.workspace?.name },
+    { key: "owner", header: "Owner", width: 30, value: (task) => task.owner?.email },
+    {
+        key: "assignees",
+        header: "Assignees",
+        width: 40,
+        value: (task) => task.assignees.filter(Boolean).map((user) => user.email).join(", "),
+    },
+    { key: "priority", header: "Priority", value: (task) => task.priority },
+    { key: "status", header: "Status", value: (task) => task.status },
+    { key: "progress", header: "Progress", value: (task) => task.progress },
+    { key: "column", header: "Column", value: (task) => task.column },
+    { key: "dueDate", header: "Due date", value: (task) => formatDay(task.dueDate) },
+    { key: "createdAt", header: "Created", value: (task) => task.createdAt },
+];
+
+// GET /api/tasks/export?format=csv|json|xlsx&status=&search=
+// The tasks getTasks lists for the same query, in the same order, as a file
+const exportTasks = async (req, res) => {
+    try {
+        const invalid = validateFormat(req.query.format);
+        if (invalid) return res.status(400).json({ message: invalid });
+
+        const rows = Task.find(listFilter(req))
+            .populate("owner", USER_FIELDS)
+            .populate("assignees", USER_FIELDS)
+            .populate("workspace", "name")
+            .sort(LIST_SORT)
+            .lean()
+            .cursor();
+
+        await sendExport(res, {
+            format: req.query.format,
+            filename: "tasks",
+            sheetName: "Tasks",
+            columns: EXPORT_COLUMNS,
+            rows,
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+// Longest range the calendar may ask occurrences for
+const MAX_OCCURRENCE_RANGE_MS = 400 * 24 * 60 * 60 * 1000;
+
+// GET /api/tasks/occurrences?from=&to=
+// Upcoming occurrences of recurring tasks in a date range, for the calendar.
+// Only the latest occurrence of a series exists as a task; the ones after it are computed here.
+const getOccurrences = async (req, res) => {
+    try {
+        const from = new Date(req.query.from);
+        const to = new Date(req.query.to);
+        if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from > to) {
+            return res.status(400).json({ message: "Give a valid date range with from and to" });
+        }
+        if (to - from > MAX_OCCURRENCE_RANGE_MS) {
+            return res.status(400).json({ message: "The date range can span at most 400 days" });
+        }
+
+        const filter = { ...visibleTo(req), "recurrence.freq": { $exists: true }, nextCreated: false };
+        if (req.workspace) filter.workspace = req.workspace._id;
+        const tasks = await Task.find(filter, "title priority recurrence series occurrence");
+
+        const occurrences = tasks.flatMap((task) =>
+            occurrencesBetween(task.recurrence, task.occurrence, from, to).map(({ date, number }) => ({
+                task: task._id,
+                series: task.series,
+                title: task.title,
+                priority: task.priority,
+                date,
+                occurrence: number,
+            }))
+        );
+
+        res.json(occurrences);
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+const getTask = async (req, res) => {
+    try {
+        const task = await findVisibleTask(req);
+        if (!task) return res.status(404).json({ message: "Task not found" });
+
+        await populateRefs(task);
+        res.json(task);
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+const createTask = async (req, res) => {
+    try {
+        if (!canAssign(req)) return res.status(403).json({ message: "Not allowed to assign tasks" });
+
+        // A subtask lives in the workspace of the task it belongs to
+        let parent = null;
+        if (req.body.parent) {
+            if (!mongoose.isValidObjectId(req.body.parent)) return res.status(404).json({ message: "Parent task not found" });
+            parent = await Task.findOne({ _id: req.body.parent, ...visibleTo(req) });
+            if (!parent) return res.status(404).json({ message: "Parent task not found" });
+        }
+        const workspaceId = parent ? parent.workspace : req.workspace?._id;
+        if (!workspaceId) return res.status(400).json({ message: "Choose a workspace for the task" });
+
+        const fields = pickEditable(req.body);
+        if (!(await isAssignable(workspaceId, fields.assignees))) {
+            return res.status(400).json({ message: "Assignees must be members of this workspace" });
+        }
+
+        const workflow = await getWorkflow(workspaceId);
+        if (fields.column !== undefined && !hasColumn(workflow, fields.column)) {
+            return res.status(400).json({ message: `Unknown column "${fields.column}"` });
+        }
+
+        const task = new Task({
+            ...fields,
+            owner: req.user.userId,
+            workspace: workspaceId,
+            parent: parent ? parent._id : null,
+        });
+        if (req.body.recurrence) {
+            const recurrenceError = applyRecurrence(task, req.body.recurrence);
+            if (recurrenceError) return res.status(400).json({ message: recurrenceError });
+        }
+        await settleOnBoard(task, workflow);
+        await task.save();
+        if (parent) await recomputeProgress(parent._id);
+        await notifyAssigned(req.user.userId, [{ task, assignees: task.assignees }]);
+
+        await populateRefs(task);
+        res.status(201).json(task);
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+const updateTask = async (req, res) => {
+    try {
+        const task = await findVisibleTask(req);
+        if (!task) return res.status(404).json({ message: "Task not found" });
+        if (!canAssign(req)) return res.status(403).json({ message: "Not allowed to assign tasks" });
+
+        const fields = pickEditable(req.body);
+        if (!(await isAssignable(task.workspace, fields.assignees))) {
+            return res.status(400).json({ message: "Assignees must be members of this workspace" });
+        }
+        if (fields.progress !== undefined && hasItems(task)) {
+            return res.status(400).json({ message: "Progress is computed from the checklist and subtasks" });
+        }
+
+        if (task.blocked && task.status !== "complete" && completes(fields)) {
+            return res.status(409).json({ message: await blockedMessage(task) });
+        }
+
+        const workflow = await getWorkflow(task.workspace);
+        if (fields.column !== undefined) {
+            const moveError = checkMove(workflow, task.column, fields.column);
+            if (moveError) return res.status(400).json({ message: moveError });
+        }
+
+        const assignedBefore = task.assignees.map(String);
+        const previousColumn = task.column;
+        task.set(fields);
+        // A new rule starts a new count from this occurrence
+        if (req.body.recurrence !== undefined) {
+            const recurrenceError = applyRecurrence(task, req.body.recurrence);
+            if (recurrenceError) return res.status(400).json({ message: recurrenceError });
+        }
+        await settleOnBoard(task, workflow);
+        // Completing or reopening a task moves its card, which the workflow has to allow too
+        if (fields.column === undefined && task.column !== previousColumn) {
+            const moveError = checkMove(workflow, previousColumn, task.column);
+            if (moveError) return res.status(400).json({ message: moveError });
+        }
+        const statusChanged = task.isModified("status");
+        await task.save();
+        if (statusChanged && task.parent) await recomputeProgress(task.parent);
+        const added = task.assignees.filter((id) => !assignedBefore.includes(String(id)));
+        await notifyAssigned(req.user.userId, [{ task, assignees: added }]);
+
+        await populateRefs(task);
+        res.json(task);
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+const deleteTask = async (req, res) => {
+    try {
+        const task = await findVisibleTask(req);
+        if (!task) return res.status(404).json({ message: "Task not found" });
+
+        // Assignees may work on a task but only its owner (or a task manager) removes it
+        const isOwner = String(task.owner) === String(req.user.userId);
+        if (!isOwner && !hasPermission(req.user.role, "tasks:manage")) {
+            return res.status(403).json({ message: "Access denied" });
+        }
+
+        // Subtasks, and theirs, go with the task, as do the comments and attachments on all of them
+        const removed = [task._id];
+        for (let level = [task._id]; level.length > 0;) {
+            level = await Task.find({ parent: { $in: level } }).distinct("_id");
+            removed.push(...level);
+        }
+        await Promise.all([
+            Task.deleteMany({ _id: { $in: removed } }),
+            Comment.deleteMany({ task: { $in: removed } }),
+            removeAttachments({ task: { $in: removed } }),
+            Notification.deleteMany({ task: { $in: removed } }),
+        ]);
+        await releaseDependents(removed);
+        if (task.parent) await recomputeProgress(task.parent);
+
+        res.json({ message: "Task deleted successfully" });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+// A card dropped next to `id`, which must sit in the same workspace column
+const findNeighbour = (task, column, id) => {
+    if (!id) return null;
+    if (!mongoose.isValidObjectId(id)) return undefined;
+    return Task.findOne({ _id: id, workspace: task.workspace, column }, "position");
+};
+
+// PATCH /api/tasks/:id/move  { column, above, below }
+// Drops a card into `column` between the cards `above` and `below` (ids, null at either end)
+const moveTask = async (req, res) => {
+    try {
+        const task = await findVisibleTask(req);
+        if (!task) return res.status(404).json({ message: "Task not found" });
+
+        const column = req.body.column ?? task.column;
+        const { above: aboveId, below: belowId } = req.body;
+
+        const moveError = checkMove(await getWorkflow(task.workspace), task.column, column);
+        if (moveError) return res.status(400).json({ message: moveError });
+        if (task.blocked && task.status !== "complete" && column === Task.DONE_COLUMN) {
+            return res.status(409).json({ message: await blockedMessage(task) });
+        }
+
+        const findNeighbours = () => Promise.all([
+            findNeighbour(task, column, aboveId),
+            findNeighbour(task, column, belowId),
+        ]);
+        let [above, below] = await findNeighbours();
+        if ((aboveId && !above) || (belowId && !below)) {
+            return res.status(409).json({ message: "The board has changed, reload and try again" });
+        }
+
+        if (needsRebalance(above, below)) {
+            await rebalanceColumn(task.workspace, column);
+            [above, below] = await findNeighbours();
+        }
+
+        const previousStatus = task.status;
+        task.column = column;
+        task.position = above || below
+            ? positionBetween(above, below)
+            : await endOfColumn(task.workspace, column);
+        await task.save();
+        // Moving into or out of the done column finishes or reopens the task
+        if (task.status !== previousStatus && task.parent) await recomputeProgress(task.parent);
+
+        await populateRefs(task);
+        res.json(task);
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+// Saves a checklist change, recomputes progress and answers with the updated task
+const saveChecklist = async (res, task, status = 200) => {
+    await task.save();
+    await recomputeProgress(task._id);
+
+    const updated = await Task.findById(task._id);
+    await populateRefs(updated);
+    res.status(status).json(updated);
+};
+
+// POST /api/tasks/:id/checklist  { text }
+const addChecklistItem = async (req, res) => {
+    try {
+        const task = await findVisibleTask(req);
+        if (!task) return res.status(404).json({ message: "Task not found" });
+
+        task.checklist.push({ text: req.body.text });
+        await saveChecklist(res, task, 201);
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+// PATCH /api/tasks/:id/checklist/:itemId  { text?, done? }
+const updateChecklistItem = async (req, res) => {
+    try {
+        const task = await findVisibleTask(req);
+        if (!task) return res.status(404).json({ message: "Task not found" });
+
+        const item = mongoose.isValidObjectId(req.params.itemId) && task.checklist.id(req.params.itemId);
+        if (!item) return res.status(404).json({ message: "Checklist item not found" });
+
+        if (req.body.text !== undefined) item.text = req.body.text;
+        if (req.body.done !== undefined) item.done = req.body.done;
+        await saveChecklist(res, task);
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+// DELETE /api/tasks/:id/checklist/:itemId
+const deleteChecklistItem = async (req, res) => {
+    try {
+        const task = await findVisibleTask(req);
+        if (!task) return res.status(404).json({ message: "Task not found" });
+
+        const item = mongoose.isValidObjectId(req.params.itemId) && task.checklist.id(req.params.itemId);
+        if (!item) return res.status(404).json({ message: "Checklist item not found" });
+
+        item.deleteOne();
+        await saveChecklist(res, task);
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+const dependencyFields = (task) => ({ _id: task._id, title: task.title, status: task.status, blocked: task.blocked });
+
+// GET /api/tasks/:id/dependencies
+// The tasks this one waits on and the tasks waiting on it
+const getDependencies = async (req, res) => {
+    try {
+        const task = await findVisibleTask(req);
+        if (!task) return res.status(404).json({ message: "Task not found" });
+
+        const [blockedBy, blocks] = await Promise.all([
+            Task.find({ _id: { $in: task.blockedBy } }, BLOCKER_FIELDS),
+            Task.find({ blockedBy: task._id, ...visibleTo(req) }, `${BLOCKER_FIELDS} blocked`),
+        ]);
+
+        res.json({ blocked: task.blocked, blockedBy, blocks: blocks.map(dependencyFields) });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+// POST /api/tasks/:id/dependencies  { blockedBy }
+// Makes the task wait on another task of the same workspace
+const addDependency = async (req, res) => {
+    try {
+        const task = await findVisibleTask(req);
+        if (!task) return res.status(404).json({ message: "Task not found" });
+
+        const blockerId = req.body.blockedBy;
+        const blocker = mongoose.isValidObjectId(blockerId)
+            && await Task.findOne({ _id: blockerId, workspace: task.workspace, ...visibleTo(req) });
+        if (!blocker) return res.status(404).json({ message: "Blocking task not found in this workspace" });
+        if (blocker._id.equals(task._id)) return res.status(400).json({ message: "A task cannot block itself" });
+        if (task.blockedBy.some((id) => id.equals(blocker._id))) {
+            return res.status(409).json({ message: "This dependency already exists" });
+        }
+        if (await wouldCycle(task._id, blocker._id)) {
+            return res.status(409).json({ message: `"${blocker.title}" already waits on "${task.title}"; this would create a cycle` });
+        }
+
+        await Task.updateOne({ _id: task._id }, { $addToSet: { blockedBy: blocker._id } });
+        await Task.refreshBlocked({ _id: task._id });
+
+        const updated = await Task.findById(task._id);
+        await populateRefs(updated);
+        res.status(201).json(updated);
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+// DELETE /api/tasks/:id/dependencies/:blockerId
+const removeDependency = async (req, res) => {
+    try {
+        const task = await findVisibleTask(req);
+        if (!task) return res.status(404).json({ message: "Task not found" });
+
+        const linked = mongoose.isValidObjectId(req.params.blockerId)
+            && task.blockedBy.some((id) => id.equals(req.params.blockerId));
+        if (!linked) return res.status(404).json({ message: "Dependency not found" });
+
+        await Task.updateOne({ _id: task._id }, { $pull: { blockedBy: req.params.blockerId } });
+        await Task.refreshBlocked({ _id: task._id });
+
+        const updated = await Task.findById(task._id);
+        await populateRefs(updated);
+        res.json(updated);
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+module.exports = {
+    getTasks,
+    exportTasks,
+    getOccurrences,
+    getTask,
+    createTask,
+    updateTask,
+    deleteTask,
+    moveTask,
+    addChecklistItem,
+    updateChecklistItem,
+    deleteChecklistItem,
+    getDependencies,
+    addDependency,
+    removeDependency,
+};
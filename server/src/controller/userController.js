@@ -0,0 +1,30 @@
+const User = require("../models/User");
+
+const SEARCH_LIMIT = 10;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// GET /api/users/search?q=&workspace=
+// Finds users by name or email for the assignee picker. Only members of the
+// request's workspace are returned, since only they can be assigned; task
+// managers searching "all" workspaces get every user.
+const searchUsers = async (req, res) => {
+    try {
+        const filter = {};
+        if (req.workspace) filter._id = { $in: req.workspace.members.map((member) => member.user) };
+
+        const query = String(req.query.q || "").trim();
+        if (query) {
+            const pattern = new RegExp(escapeRegex(query), "i");
+            filter.$or = [{ fullName: pattern }, { email: pattern }];
+        }
+
+        const users = await User.find(filter, "fullName email").sort({ fullName: 1 }).limit(SEARCH_LIMIT);
+        res.json(users);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+module.exports = { searchUsers };
@@ -0,0 +1,295 @@
+const mongoose = require("mongoose");
+const UserLog = require("../models/UserLog");
+const { recordAdminAction } = require("../utils/adminAudit");
+const { validateFormat, sendExport } = require("../utils/exportRows");
+const {
+    getRetentionDays,
+    setRetentionDays,
+    validateRetentionDays,
+    previewPrune,
+} = require("../utils/logRetention");
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const toPositiveInt = (value, fallback) => {
+    const number = parseInt(value, 10);
+    return Number.isInteger(number) && number > 0 ? number : fallback;
+};
+
+// Builds the Mongo filter from ?role=, ?action= and ?search= (email or IP).
+// Values are forced to strings so a crafted query cannot inject operators.
+const buildFilter = (query) => {
+    const filter = {};
+    if (query.role) filter.role = String(query.role);
+    if (query.action) filter.action = String(query.action);
+    if (query.search && String(query.search).trim()) {
+        const pattern = new RegExp(escapeRegex(String(query.search).trim()), "i");
+        filter.$or = [{ email: pattern }, { ip: pattern }];
+    }
+    return filter;
+};
+
+// Adds endedAt to login rows: when the same session was logged out, if it was
+const withSessionEnd = async (logs) => {
+    const sessions = logs.filter((log) => log.session).map((log) => log.session);
+    if (sessions.length === 0) return logs;
+
+    const ends = await UserLog.find(
+        { session: { $in: sessions }, action: { $in: ["logout", "logout_all"] } },
+        "session createdAt"
+    ).lean();
+    const endedAt = new Map(ends.map((end) => [end.session, end.createdAt]));
+
+    return logs.map((log) => ({ ...log, endedAt: endedAt.get(log.session) || null }));
+};
+
+// Logs batched through withSessionEnd, so a large export takes one lookup per batch
+const EXPORT_BATCH_SIZE = 500;
+
+async function* withSessionEnds(cursor) {
+    let batch = [];
+    for await (const log of cursor) {
+        batch.push(log);
+        if (batch.length === EXPORT_BATCH_SIZE) {
+            yield* await withSessionEnd(batch);
+            batch = [];
+        }
+    }
+    if (batch.length > 0) yield* await withSessionEnd(batch);
+}
+
+const EXPORT_COLUMNS = [
+    { key: "time", header: "Time", value: (log) => log.createdAt },
+    { key: "email", header: "Email", width: 30, value: (log) => log.email },
+    { key: "role", header: "Role", value: (log) => log.role },
+    { key: "action", header: "Action", value: (log) => log.action },
+    { key: "ip", header: "IP address", value: (log) => log.ip },
+    { key: "userAgent", header: "User agent", width: 50, value: (log) => log.userAgent },
+    { key: "session", header: "Session", width: 40, value: (log) => log.session },
+    { key: "endedAt", header: "Logged out", value: (log) => log.endedAt },
+    { key: "tokenId", header: "Token id", width: 40, value: (log) => log.jti },
+];
+
+// GET /admin/logs/export?format=csv|json|xlsx&role=&action=&search=&sort=asc|desc
+// Every log matching the filters, in the list's order, as a file
+const exportUserLogs = async (req, res) => {
+    try {
+        const invalid = validateFormat(req.query.format);
+        if (invalid) return res.status(400).json({ message: invalid });
+
+        const sort = { createdAt: req.query.sort === "asc" ? 1 : -1 };
+        const cursor = UserLog.find(buildFilter(req.query)).sort(sort).lean().cursor();
+
+        await sendExport(res, {
+            format: req.query.format,
+            filename: "user-logs",
+            sheetName: "User logs",
+            columns: EXPORT_COLUMNS,
+            rows: withSessionEnds(cursor),
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// GET /admin/logs?page=&limit=&role=&action=&search=&sort=asc|desc
+const getUserLogs = async (req, res) => {
+    try {
+        const page = toPositiveInt(req.query.page, 1);
+        const limit = Math.min(toPositiveInt(req.query.limit, DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE);
+        const filter = buildFilter(req.query);
+        const sort = { createdAt: req.query.sort === "asc" ? 1 : -1 };
+
+        const [logs, total] = await Promise.all([
+            UserLog.find(filter).sort(sort).skip((page - 1) * limit).limit(limit).lean(),
+            UserLog.countDocuments(filter),
+        ]);
+
+        res.json({
+            logs: await withSessionEnd(logs),
+            page,
+            limit,
+            total,
+            totalPages: Math.max(1, Math.ceil(total / limit)),
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// DELETE /admin/logs/:id
+const deleteUserLog = async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ message: "Log not found" });
+        }
+
+        const log = await UserLog.findByIdAndDelete(req.params.id);
+        if (!log) return res.status(404).json({ message: "Log not found" });
+
+        await recordAdminAction(req, {
+            action: "user_log.delete",
+            details: { id: log._id, email: log.email, logAction: log.action, at: log.createdAt },
+            affected: 1,
+        });
+
+        res.json({ message: "Log deleted", deleted: 1 });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// POST /admin/logs/bulk-delete  { ids: [...] }
+const deleteUserLogs = async (req, res) => {
+    try {
+        const { ids } = req.body;
+        if (!Array.isArray(ids) || ids.length === 0) {
+            return res.status(400).json({ message: "ids must be a non-empty array" });
+        }
+        if (!ids.every((id) => mongoose.isValidObjectId(id))) {
+            return res.status(400).json({ message: "ids contains an invalid id" });
+        }
+
+        const { deletedCount } = await UserLog.deleteMany({ _id: { $in: ids } });
+
+        await recordAdminAction(req, {
+            action: "user_log.bulk_delete",
+            details: { ids },
+            affected: deletedCount,
+        });
+
+        res.json({ message: `${deletedCount} logs deleted`, deleted: deletedCount });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+const parseDate = (value) => {
+    if (value === undefined || value === null || value === "") return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+// Builds the purge filter from { from, to, olderThanDays, email, user }.
+// Returns an error message instead when the criteria are missing or invalid.
+const buildPurgeFilter = ({ from, to, olderThanDays, email, user }) => {
+    const filter = {};
+    const createdAt = {};
+
+    const fromDate = parseDate(from);
+    const toDate = parseDate(to);
+    if (fromDate === undefined || toDate === undefined) return { error: "Invalid date range" };
+    if (fromDate) createdAt.$gte = fromDate;
+    if (toDate) createdAt.$lte = toDate;
+
+    if (olderThanDays !== undefined && olderThanDays !== null && olderThanDays !== "") {
+        const days = Number(olderThanDays);
+        if (!(days > 0) || !Number.isFinite(days)) return { error: "olderThanDays must be a positive number" };
+        createdAt.$lt = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    }
+    if (Object.keys(createdAt).length > 0) filter.createdAt = createdAt;
+
+    if (email) filter.email = String(email);
+    if (user) {
+        if (!mongoose.isValidObjectId(user)) return { error: "Invalid user id" };
+        filter.user = user;
+    }
+
+    // Never let an empty body wipe the whole collection
+    if (Object.keys(filter).length === 0) {
+        return { error: "Provide a date range, olderThanDays, email or user" };
+    }
+    return { filter };
+};
+
+// POST /admin/logs/purge  { from?, to?, olderThanDays?, email?, user? }
+const purgeUserLogs = async (req, res) => {
+    try {
+        const { from, to, olderThanDays, email, user } = req.body;
+        const criteria = { from, to, olderThanDays, email, user };
+        const { filter, error } = buildPurgeFilter(criteria);
+        if (error) return res.status(400).json({ message: error });
+
+        const { deletedCount } = await UserLog.deleteMany(filter);
+
+        await recordAdminAction(req, {
+            action: "user_log.purge",
+            details: criteria,
+            affected: deletedCount,
+        });
+
+        res.json({ message: `${deletedCount} logs deleted`, deleted: deletedCount });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// GET /admin/settings/log-retention
+const getLogRetention = async (req, res) => {
+    try {
+        res.json({ days: await getRetentionDays() });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// PUT /admin/settings/log-retention  { days: number | null }
+const updateLogRetention = async (req, res) => {
+    try {
+        const { days } = req.body;
+        const error = validateRetentionDays(days);
+        if (error) return res.status(400).json({ message: error });
+
+        const previous = await getRetentionDays();
+        await setRetentionDays(days, req.user.userId);
+
+        await recordAdminAction(req, {
+            action: "settings.log_retention",
+            details: { from: previous, to: days },
+        });
+
+        res.json({ days });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// GET /admin/logs/prune/dry-run?days=
+// Reports how many logs the retention job would delete right now,
+// under the saved policy or the one given in ?days=
+const previewLogPrune = async (req, res) => {
+    try {
+        let days;
+        if (req.query.days !== undefined) {
+            days = Number(req.query.days);
+            const error = validateRetentionDays(days);
+            if (error) return res.status(400).json({ message: error });
+        }
+
+        res.json(await previewPrune(days));
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+module.exports = {
+    getUserLogs,
+    exportUserLogs,
+    deleteUserLog,
+    deleteUserLogs,
+    purgeUserLogs,
+    getLogRetention,
+    updateLogRetention,
+    previewLogPrune,
+};
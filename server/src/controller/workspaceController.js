@@ -0,0 +1,421 @@
+const mongoose = require("mongoose");
+const Workspace = require("../models/Workspace");
+const Team = require("../models/Team");
+const Task = require("../models/Task");
+const User = require("../models/User");
+const Workflow = require("../models/Workflow");
+const Comment = require("../models/Comment");
+const CalendarEvent = require("../models/CalendarEvent");
+const Notification = require("../models/Notification");
+const { hasPermission } = require("../utils/permissions");
+const { ensurePersonalWorkspace, isWorkspaceAdmin } = require("../utils/workspaces");
+const { getWorkflow, validateWorkflow } = require("../utils/workflows");
+const { removeAttachments } = require("../utils/attachments");
+
+const USER_FIELDS = "fullName email";
+
+const sendError = (res, error) => {
+    if (error.name === "ValidationError" || error.name === "CastError") {
+        return res.status(400).json({ message: error.message });
+    }
+    if (error.code === 11000) {
+        return res.status(409).json({ message: "That name is already taken" });
+    }
+    console.error(error);
+    res.status(500).json({ message: "Server error" });
+};
+
+// Loads :id if the user belongs to it (task managers may open any workspace).
+// Returns { workspace, role } or null when it does not exist for this user.
+const loadWorkspace = async (req) => {
+    if (!mongoose.isValidObjectId(req.params.id)) return null;
+
+    const workspace = await Workspace.findById(req.params.id);
+    if (!workspace) return null;
+
+    const role = workspace.roleOf(req.user.userId);
+    if (!role && !hasPermission(req.user.role, "tasks:manage")) return null;
+    return { workspace, role };
+};
+
+// Task managers act as workspace admins everywhere
+const canAdminister = (req, role) =>
+    isWorkspaceAdmin(role) || hasPermission(req.user.role, "tasks:manage");
+
+// GET /api/workspaces
+const getWorkspaces = async (req, res) => {
+    try {
+        await ensurePersonalWorkspace(req.user.userId);
+
+        const workspaces = await Workspace.find({ "members.user": req.user.userId })
+            .sort({ personal: -1, name: 1 })
+            .lean();
+
+        res.json(workspaces.map((workspace) => ({
+            _id: workspace._id,
+            name: workspace.name,
+            personal: workspace.personal,
+            role: workspace.members.find((m) => String(m.user) === String(req.user.userId)).role,
+            memberCount: workspace.members.length,
+        })));
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+// POST /api/workspaces  { name }
+const createWorkspace = async (req, res) => {
+    try {
+        const workspace = await Workspace.create({
+            name: req.body.name,
+            owner: req.user.userId,
+            members: [{ user: req.user.userId, role: "owner" }],
+        });
+        res.status(201).json(workspace);
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+// GET /api/workspaces/:id
+const getWorkspace = async (req, res) => {
+    try {
+        const found = await loadWorkspace(req);
+        if (!found) return res.status(404).json({ message: "Workspace not found" });
+
+        await found.workspace.populate("members.user", USER_FIELDS);
+        res.json(found.workspace);
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+// PATCH /api/workspaces/:id  { name }
+const updateWorkspace = async (req, res) => {
+    try {
+        const found = await loadWorkspace(req);
+        if (!found) return res.status(404).json({ message: "Workspace not found" });
+        if (!canAdminister(req, found.role)) return res.status(403).json({ message: "Access denied" });
+
+        if (req.body.name !== undefined) found.workspace.name = req.body.name;
+        await found.workspace.save();
+        res.json(found.workspace);
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+// DELETE /api/workspaces/:id
+// Only the owner deletes a workspace, and its tasks, comments, attachments, events, teams and workflow go with it
+const deleteWorkspace = async (req, res) => {
+    try {
+        const found = await loadWorkspace(req);
+        if (!found) return res.status(404).json({ message: "Workspace not found" });
+        if (found.role !== "owner") return res.status(403).json({ message: "Only the owner can delete a workspace" });
+        if (found.workspace.personal) {
+            return res.status(400).json({ message: "Your personal workspace cannot be deleted" });
+        }
+
+        const { _id } = found.workspace;
+        await Promise.all([
+            Task.deleteMany({ workspace: _id }),
+            Team.deleteMany({ workspace: _id }),
+            Workflow.deleteOne({ workspace: _id }),
+            Comment.deleteMany({ workspace: _id }),
+            removeAttachments({ workspace: _id }),
+            CalendarEvent.deleteMany({ workspace: _id }),
+            Notification.deleteMany({ workspace: _id }),
+        ]);
+        await found.workspace.deleteOne();
+
+        res.json({ message: "Workspace deleted" });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+// POST /api/workspaces/:id/members  { email, role }
+const addMember = async (req, res) => {
+    try {
+        const found = await loadWorkspace(req);
+        if (!found) return res.status(404).json({ message: "Workspace not found" });
+        if (!canAdminister(req, found.role)) return res.status(403).json({ message: "Access denied" });
+
+        const { workspace } = found;
+        if (workspace.personal) {
+            return res.status(400).json({ message: "Personal workspaces cannot be shared" });
+        }
+
+        const role = req.body.role || "member";
+        if (!["admin", "member"].includes(role)) return res.status(400).json({ message: "Invalid role" });
+
+        const user = await User.findOne({ email: String(req.body.email || "") }, "_id");
+        if (!user) return res.status(404).json({ message: "User not found" });
+        if (workspace.roleOf(user._id)) return res.status(409).json({ message: "User is already a member" });
+
+        workspace.members.push({ user: user._id, role });
+        await workspace.save();
+
+        await workspace.populate("members.user", USER_FIELDS);
+        res.status(201).json(workspace);
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+// PATCH /api/workspaces/:id/members/:userId  { role }
+const updateMember = async (req, res) => {
+    try {
+        const found = await loadWorkspace(req);
+        if (!found) return res.status(404).json({ message: "Workspace not found" });
+        if (!canAdminister(req, found.role)) return res.status(403).json({ message: "Access denied" });
+
+        const { workspace } = found;
+        const member = workspace.members.find((m) => String(m.user) === req.params.userId);
+        if (!member) return res.status(404).json({ message: "Member not found" });
+        if (member.role === "owner") return res.status(400).json({ message: "The owner's role cannot be changed" });
+        if (!["admin", "member"].includes(req.body.role)) return res.status(400).json({ message: "Invalid role" });
+
+        member.role = req.body.role;
+        await workspace.save();
+
+        await workspace.populate("members.user", USER_FIELDS);
+        res.json(workspace);
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+// DELETE /api/workspaces/:id/members/:userId
+// Admins remove others; any member may remove themselves (leave)
+const removeMember = async (req, res) => {
+    try {
+        const found = await loadWorkspace(req);
+        if (!found) return res.status(404).json({ message: "Workspace not found" });
+
+        const isSelf = req.params.userId === String(req.user.userId);
+        if (!isSelf && !canAdminister(req, found.role)) return res.status(403).json({ message: "Access denied" });
+
+        const { workspace } = found;
+        const member = workspace.members.find((m) => String(m.user) === req.params.userId);
+        if (!member) return res.status(404).json({ message: "Member not found" });
+        if (member.role === "owner") return res.status(400).json({ message: "The owner cannot be removed" });
+
+        workspace.members = workspace.members.filter((m) => m !== member);
+        await workspace.save();
+
+        // Nobody outside the workspace keeps tasks or team seats in it
+        await Promise.all([
+            Task.updateMany({ workspace: workspace._id }, { $pull: { assignees: member.user } }),
+            Team.updateMany({ workspace: workspace._id }, { $pull: { members: member.user } }),
+        ]);
+
+        res.json({ message: "Member removed" });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+// Team members must already belong to the workspace
+const pickTeamMembers = (workspace, members) => {
+    if (members === undefined) return undefined;
+    if (!Array.isArray(members)) return null;
+    return members.every((id) => workspace.roleOf(id)) ? members : null;
+};
+
+// GET /api/workspaces/:id/teams
+const getTeams = async (req, res) => {
+    try {
+        const found = await loadWorkspace(req);
+        if (!found) return res.status(404).json({ message: "Workspace not found" });
+
+        const teams = await Team.find({ workspace: found.workspace._id })
+            .populate("members", USER_FIELDS)
+            .sort({ name: 1 });
+        res.json(teams);
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+// POST /api/workspaces/:id/teams  { name, members }
+const createTeam = async (req, res) => {
+    try {
+        const found = await loadWorkspace(req);
+        if (!found) return res.status(404).json({ message: "Workspace not found" });
+        if (!canAdminister(req, found.role)) return res.status(403).json({ message: "Access denied" });
+
+        const members = pickTeamMembers(found.workspace, req.body.members);
+        if (members === null) return res.status(400).json({ message: "Team members must belong to the workspace" });
+
+        const team = await Team.create({ workspace: found.workspace._id, name: req.body.name, members });
+        await team.populate("members", USER_FIELDS);
+        res.status(201).json(team);
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+// PATCH /api/workspaces/:id/teams/:teamId  { name?, members? }
+const updateTeam = async (req, res) => {
+    try {
+        const found = await loadWorkspace(req);
+        if (!found) return res.status(404).json({ message: "Workspace not found" });
+        if (!canAdminister(req, found.role)) return res.status(403).json({ message: "Access denied" });
+
+        if (!mongoose.isValidObjectId(req.params.teamId)) return res.status(404).json({ message: "Team not found" });
+        const team = await Team.findOne({ _id: req.params.teamId, workspace: found.workspace._id });
+        if (!team) return res.status(404).json({ message: "Team not found" });
+
+        const members = pickTeamMembers(found.workspace, req.body.members);
+        if (members === null) return res.status(400).json({ message: "Team members must belong to the workspace" });
+
+        if (req.body.name !== undefined) team.name = req.body.name;
+        if (members !== undefined) team.members = members;
+        await team.save();
+
+        await team.populate("members", USER_FIELDS);
+        res.json(team);
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+// DELETE /api/workspaces/:id/teams/:teamId
+const deleteTeam = async (req, res) => {
+    try {
+        const found = await loadWorkspace(req);
+        if (!found) return res.status(404).json({ message: "Workspace not found" });
+        if (!canAdminister(req, found.role)) return res.status(403).json({ message: "Access denied" });
+
+        if (!mongoose.isValidObjectId(req.params.teamId)) return res.status(404).json({ message: "Team not found" });
+        const team = await Team.findOneAndDelete({ _id: req.params.teamId, workspace: found.workspace._id });
+        if (!team) return res.status(404).json({ message: "Team not found" });
+
+        res.json({ message: "Team deleted" });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+// GET /api/workspaces/:id/workflow
+// The workspace's board columns and transitions; the default board until customised
+const getWorkspaceWorkflow = async (req, res) => {
+    try {
+        const found = await loadWorkspace(req);
+        if (!found) return res.status(404).json({ message: "Workspace not found" });
+
+        res.json(await getWorkflow(found.workspace._id));
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+// PUT /api/workspaces/:id/workflow  { columns: [{ key, name, color, wipLimit }], transitions: [{ from, to }] }
+const updateWorkspaceWorkflow = async (req, res) => {
+    try {
+        const found = await loadWorkspace(req);
+        if (!found) return res.status(404).json({ message: "Workspace not found" });
+        if (!canAdminister(req, found.role)) return res.status(403).json({ message: "Access denied" });
+
+        const { columns, transitions = [] } = req.body;
+        const invalid = validateWorkflow({ columns, transitions });
+        if (invalid) return res.status(400).json({ message: invalid });
+
+        // Cards must not be left in a column that no longer exists
+        const { _id } = found.workspace;
+        const keys = columns.map((column) => column.key);
+        const orphaned = await Task.distinct("column", { workspace: _id, column: { $nin: keys } });
+        if (orphaned.length > 0) {
+            return res.status(409).json({
+                message: `Move the tasks out of ${orphaned.map((key) => `"${key}"`).join(", ")} before removing it`,
+            });
+        }
+
+        const workflow = await Workflow.findOne({ workspace: _id }) || new Workflow({ workspace: _id });
+        workflow.set({
+            columns: columns.map(({ key, name, color, wipLimit }) => ({ key, name, color, wipLimit: wipLimit || null })),
+            transitions: transitions.map(({ from, to }) => ({ from, to })),
+            updatedBy: req.user.userId,
+        });
+        await workflow.save();
+
+        res.json({ columns: workflow.columns, transitions: workflow.transitions });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+// GET /admin/workspaces/stats
+// Task totals per workspace for the admin dashboard, largest first
+const getWorkspaceStats = async (req, res) => {
+    try {
+        const [workspaces, counts] = await Promise.all([
+            Workspace.find({}, "name personal owner members").populate("owner", USER_FIELDS).lean(),
+            Task.aggregate([
+                {
+                    $group: {
+                        _id: "$workspace",
+                        total: { $sum: 1 },
+                        completed: { $sum: { $cond: [{ $eq: ["$status", "complete"] }, 1, 0] } },
+                        overdue: {
+                            $sum: {
+                                $cond: [
+                                    {
+                                        $and: [
+                                            { $ne: ["$status", "complete"] },
+                                            // Missing due dates compare as null, which sorts before any date
+                                            { $gt: ["$dueDate", null] },
+                                            { $lt: ["$dueDate", new Date()] },
+                                        ],
+                                    },
+                                    1,
+                                    0,
+                                ],
+                            },
+                        },
+                    },
+                },
+            ]),
+        ]);
+        const byWorkspace = new Map(counts.map((count) => [String(count._id), count]));
+
+        const stats = workspaces
+            .map((workspace) => {
+                const count = byWorkspace.get(String(workspace._id)) || {};
+                return {
+                    _id: workspace._id,
+                    name: workspace.name,
+                    personal: workspace.personal,
+                    owner: workspace.owner,
+                    memberCount: workspace.members.length,
+                    total: count.total || 0,
+                    completed: count.completed || 0,
+                    overdue: count.overdue || 0,
+                };
+            })
+            .sort((a, b) => b.total - a.total);
+
+        res.json(stats);
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+module.exports = {
+    getWorkspaces,
+    createWorkspace,
+    getWorkspace,
+    updateWorkspace,
+    deleteWorkspace,
+    addMember,
+    updateMember,
+    removeMember,
+    getTeams,
+    createTeam,
+    updateTeam,
+    deleteTeam,
+    getWorkspaceWorkflow,
+    updateWorkspaceWorkflow,
+    getWorkspaceStats,
+};
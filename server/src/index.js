@@ -2,18 +2,47 @@ require('dotenv').config();
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
-const User = require('./models/User');
 const bodyParser = require('body-parser');
+const cookieParser = require('cookie-parser');
 const authRoutes = require('./routes/authRoutes');
 const forgotPassRoutes = require('./routes/forgetPasswordRoute');
+const taskRoutes = require('./routes/taskRoutes');
+const workspaceRoutes = require('./routes/workspaceRoutes');
+const userRoutes = require('./routes/userRoutes');
+const eventRoutes = require('./routes/eventRoutes');
+const calendarRoutes = require('./routes/calendarRoutes');
+const importRoutes = require('./routes/importRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const { startLogRetentionJob } = require('./jobs/logRetentionJob');
+const { startRecurrenceJob } = require('./jobs/recurrenceJob');
+const { startDueReminderJob } = require('./jobs/dueReminderJob');
+const { migrateLegacyRoles } = require('./migrations/legacyRoles');
+const { migrateTaskWorkspaces } = require('./migrations/taskWorkspaces');
+const { migrateTaskAssignees } = require('./migrations/taskAssignees');
+const { migrateTaskColumns } = require('./migrations/taskColumns');
+const { migrateAllDayEvents } = require('./migrations/allDayEvents');
 const app = express();
+// Hosted behind one reverse proxy; needed for req.ip to be the client's address
+app.set('trust proxy', 1);
+// Imports send a whole file's rows at once; parsed here, the parsers below skip them
+app.use('/api/import', express.json({ limit: '5mb' }));
 app.use(express.json());
-app.use(cors());
+// The refresh token travels in a cookie, so only known client origins may send credentials
+const allowedOrigins = (process.env.CLIENT_URL || 'http://localhost:5173').split(',');
+app.use(cors({ origin: allowedOrigins, credentials: true }));
+app.use(cookieParser());
 app.use(bodyParser.json());
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api', forgotPassRoutes);
+app.use('/api/tasks', taskRoutes);
+app.use('/api/workspaces', workspaceRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/import', importRoutes);
+app.use('/api/notifications', notificationRoutes);
 const PORT = process.env.PORT | 5050;
 
 const mongoURI = process.env.MONGO_URI;
@@ -26,7 +55,17 @@ app.listen(PORT, () => {
 });
 mongoose
   .connect(mongoURI)
-  .then(() => console.log(' Connected to MongoDB!'))
+  .then(() => {
+    console.log(' Connected to MongoDB!');
+    migrateLegacyRoles().catch((err) => console.error(' Role migration failed:', err));
+    migrateTaskWorkspaces().catch((err) => console.error(' Task workspace migration failed:', err));
+    migrateTaskAssignees().catch((err) => console.error(' Task assignee migration failed:', err));
+    migrateTaskColumns().catch((err) => console.error(' Task column migration failed:', err));
+    migrateAllDayEvents().catch((err) => console.error(' All-day event migration failed:', err));
+    startLogRetentionJob();
+    startRecurrenceJob();
+    startDueReminderJob();
+  })
   .catch((err) => console.error(' Database connection failed:', err));
 
 app.get('/', (req, res) => {
@@ -35,39 +74,7 @@ app.get('/', (req, res) => {
 const adminRoutes = require('./routes/admindash');
 app.use('/admin', adminRoutes);
 
-app.delete('/admin/users/:email', async (req, res) => {
-  try {
-    const { email } = req.params;
-
-    const result = await User.deleteOne({ email });
-
-    if (result.deletedCount === 0) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-
-    res.status(200).json({ message: 'User deleted successfully' });
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to delete user' });
-  }
-});
-
 app.use((req, res, next) => {
   console.log(`Incoming request: ${req.method} ${req.url}`);
   next();
 });
-app.put('/admin/users/:email', async (req, res) => {
-  const { email } = req.params;
-  const { fullName, role } = req.body;
-
-  console.log('Received Update:', { fullName, role });
-
-  const user = await User.findOneAndUpdate(
-    { email },
-    { fullName, role },
-    { new: true } // Ensure it returns updated data
-  );
-
-  if (!user) return res.status(404).json({ message: 'User not found' });
-
-  res.json(user);
-});
@@ -0,0 +1,24 @@
+const { sendDueReminders } = require("../utils/notifications");
+
+const CHECK_INTERVAL_MS = 15 * 60 * 1000;
+
+const runCheck = async () => {
+    try {
+        const sent = await sendDueReminders();
+        if (sent > 0) console.log(`Due reminders: sent ${sent} notifications`);
+    } catch (error) {
+        console.error("Due reminder job failed:", error);
+    }
+};
+
+// Notifies users of tasks coming due or gone overdue, once at startup and then every
+// 15 minutes, in-process
+const startDueReminderJob = () => {
+    runCheck();
+    const timer = setInterval(runCheck, CHECK_INTERVAL_MS);
+    // Do not keep the process alive just for this job
+    timer.unref();
+    return timer;
+};
+
+module.exports = { startDueReminderJob };
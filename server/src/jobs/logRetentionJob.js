@@ -0,0 +1,23 @@
+const { pruneUserLogs } = require("../utils/logRetention");
+
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+const runPrune = async () => {
+    try {
+        const deleted = await pruneUserLogs();
+        if (deleted > 0) console.log(`Log retention: pruned ${deleted} user logs`);
+    } catch (error) {
+        console.error("Log retention job failed:", error);
+    }
+};
+
+// Prunes expired user logs once at startup and then every hour, in-process
+const startLogRetentionJob = () => {
+    runPrune();
+    const timer = setInterval(runPrune, PRUNE_INTERVAL_MS);
+    // Do not keep the process alive just for this job
+    timer.unref();
+    return timer;
+};
+
+module.exports = { startLogRetentionJob };
@@ -0,0 +1,24 @@
+const { createDueOccurrences } = require("../utils/recurringTasks");
+
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+const runCheck = async () => {
+    try {
+        const created = await createDueOccurrences();
+        if (created > 0) console.log(`Recurring tasks: created ${created} occurrences`);
+    } catch (error) {
+        console.error("Recurring task job failed:", error);
+    }
+};
+
+// Creates the next occurrence of recurring tasks that were completed or came due,
+// once at startup and then every minute, in-process
+const startRecurrenceJob = () => {
+    runCheck();
+    const timer = setInterval(runCheck, CHECK_INTERVAL_MS);
+    // Do not keep the process alive just for this job
+    timer.unref();
+    return timer;
+};
+
+module.exports = { startRecurrenceJob };
@@ -1,24 +1,52 @@
 const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const RevokedToken = require('../models/RevokedToken');
+const { hasPermission, normalizeRole } = require('../utils/permissions');
 require('dotenv').config();
 
 // General Authentication Middleware
-const protect = (req, res, next) => {
-    const token = req.header("Authorization");
-    if (!token) return res.status(401).json({ message: "Unauthorized access" });
+const protect = async (req, res, next) => {
+    const header = req.header("Authorization");
+    if (!header) return res.status(401).json({ message: "Unauthorized access" });
 
+    // Accept both "Bearer <token>" and a bare token
+    const token = header.startsWith("Bearer ") ? header.slice(7) : header;
+
+    let decoded;
+    try {
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+        return res.status(401).json({ message: "Invalid token" });
+    }
+
+    let user;
     try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = decoded;
-        next();
+        // Reject tokens ended by logout, or issued before "log out all devices"
+        let revoked;
+        [revoked, user] = await Promise.all([
+            decoded.jti ? RevokedToken.exists({ jti: decoded.jti }) : null,
+            User.findById(decoded.userId).select("tokenVersion role"),
+        ]);
+        if (revoked || !user || (decoded.tv || 0) !== user.tokenVersion) {
+            return res.status(401).json({ message: "Token has been revoked" });
+        }
     } catch (error) {
-        res.status(401).json({ message: "Invalid token" });
+        console.error(error);
+        return res.status(500).json({ message: "Server error" });
     }
+
+    // Permissions follow the stored role, not the one baked into the token
+    req.user = { ...decoded, role: normalizeRole(user.role) };
+    next();
 };
 
-// Admin Authorization Middleware
-const adminOnly = (req, res, next) => {
-    if (req.user.role !== "admin") return res.status(403).json({ message: "Access denied" });
+// Permission Middleware
+// Allows the request when the user's role grants any of the given permissions
+const requirePermission = (...permissions) => (req, res, next) => {
+    if (!permissions.some((permission) => hasPermission(req.user.role, permission))) {
+        return res.status(403).json({ message: "Access denied" });
+    }
     next();
 };
 
-module.exports = { protect, adminOnly };
\ No newline at end of file
+module.exports = { protect, requirePermission };
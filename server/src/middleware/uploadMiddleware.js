@@ -0,0 +1,36 @@
+const multer = require("multer");
+const { MAX_ATTACHMENT_BYTES, isAllowedType } = require("../utils/attachments");
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_ATTACHMENT_BYTES, files: 1 },
+    // Browsers send UTF-8 filenames without saying so
+    defParamCharset: "utf8",
+    fileFilter: (req, file, done) => {
+        if (isAllowedType(file.mimetype)) return done(null, true);
+
+        const error = new Error(`Files of type "${file.mimetype}" cannot be attached`);
+        error.status = 415;
+        done(error);
+    },
+});
+
+// Reads one file from the multipart field "file" into req.file,
+// answering size and type violations with a JSON error like every other route
+const parseUpload = (req, res, next) => {
+    upload.single("file")(req, res, (error) => {
+        if (!error) return next();
+
+        if (error.code === "LIMIT_FILE_SIZE") {
+            const limitMb = Math.round(MAX_ATTACHMENT_BYTES / (1024 * 1024));
+            return res.status(413).json({ message: `Files can be at most ${limitMb} MB` });
+        }
+        if (error instanceof multer.MulterError) return res.status(400).json({ message: error.message });
+        if (error.status) return res.status(error.status).json({ message: error.message });
+
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    });
+};
+
+module.exports = { parseUpload };
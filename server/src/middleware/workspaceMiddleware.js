@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+const Workspace = require("../models/Workspace");
+const { hasPermission } = require("../utils/permissions");
+const { ensurePersonalWorkspace, membershipsOf } = require("../utils/workspaces");
+
+// Workspace Middleware
+// Resolves the workspace a request works in from ?workspace= or the
+// X-Workspace-Id header, falling back to the user's personal workspace.
+// Sets req.workspace (null for "all", which only task managers may ask for)
+// and req.workspaceRoles, a map of every workspace the user belongs to.
+const resolveWorkspace = async (req, res, next) => {
+    try {
+        const requested = req.query.workspace || req.get("X-Workspace-Id");
+        const canManageAll = hasPermission(req.user.role, "tasks:manage");
+
+        if (!requested) {
+            req.workspace = await ensurePersonalWorkspace(req.user.userId);
+        } else if (requested === "all") {
+            if (!canManageAll) return res.status(403).json({ message: "Access denied" });
+            req.workspace = null;
+        } else {
+            if (!mongoose.isValidObjectId(requested)) {
+                return res.status(404).json({ message: "Workspace not found" });
+            }
+            const workspace = await Workspace.findById(requested);
+            if (!workspace || (!canManageAll && !workspace.roleOf(req.user.userId))) {
+                return res.status(404).json({ message: "Workspace not found" });
+            }
+            req.workspace = workspace;
+        }
+
+        req.workspaceRoles = await membershipsOf(req.user.userId);
+        next();
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+module.exports = { resolveWorkspace };
@@ -0,0 +1,23 @@
+const CalendarEvent = require("../models/CalendarEvent");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rounds a date field to the nearest UTC midnight
+const nearestMidnight = (field) => ({
+    $toDate: { $multiply: [{ $round: [{ $divide: [{ $toLong: field }, DAY_MS] }, 0] }, DAY_MS] },
+});
+
+// All-day events used to be saved as local midnight where they were created; they are now
+// the UTC midnights of their days. The nearest UTC midnight is the intended day for time
+// zones from UTC-12 to UTC+11, which is the best these older events allow.
+// Safe to run on every start: once migrated, nothing matches.
+const migrateAllDayEvents = async () => {
+    const notMidnight = (field) => ({ $ne: [{ $mod: [{ $toLong: field }, DAY_MS] }, 0] });
+    const { modifiedCount } = await CalendarEvent.collection.updateMany(
+        { allDay: true, $expr: { $or: [notMidnight("$start"), notMidnight("$end")] } },
+        [{ $set: { start: nearestMidnight("$start"), end: nearestMidnight("$end") } }]
+    );
+    if (modifiedCount > 0) console.log(`Moved ${modifiedCount} all-day events onto whole days`);
+};
+
+module.exports = { migrateAllDayEvents };
@@ -0,0 +1,13 @@
+const User = require("../models/User");
+const permissionConfig = require("../../../shared/permissions.json");
+
+// Renames roles from before the permission model (e.g. "user" -> "member").
+// Safe to run on every start: once migrated, nothing matches.
+const migrateLegacyRoles = async () => {
+    for (const [legacy, role] of Object.entries(permissionConfig.aliases)) {
+        const { modifiedCount } = await User.updateMany({ role: legacy }, { $set: { role } });
+        if (modifiedCount > 0) console.log(`Migrated ${modifiedCount} users from role "${legacy}" to "${role}"`);
+    }
+};
+
+module.exports = { migrateLegacyRoles };
@@ -0,0 +1,22 @@
+const Task = require("../models/Task");
+
+// Turns the single `assignee` of tasks saved before multiple assignees into `assignees`.
+// Safe to run on every start: once migrated, nothing matches.
+const migrateTaskAssignees = async () => {
+    const { modifiedCount } = await Task.collection.updateMany(
+        { assignee: { $exists: true } },
+        [
+            {
+                $set: {
+                    assignees: {
+                        $cond: [{ $eq: [{ $ifNull: ["$assignee", null] }, null] }, [], ["$assignee"]],
+                    },
+                },
+            },
+            { $unset: "assignee" },
+        ]
+    );
+    if (modifiedCount > 0) console.log(`Migrated ${modifiedCount} tasks to multiple assignees`);
+};
+
+module.exports = { migrateTaskAssignees };
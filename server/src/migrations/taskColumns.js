@@ -0,0 +1,29 @@
+const Task = require("../models/Task");
+
+// Puts tasks saved before the board stored columns into the column their progress
+// used to place them in. Only complete tasks go to "done", so status and column agree.
+// Safe to run on every start: once migrated, nothing matches.
+const migrateTaskColumns = async () => {
+    const { modifiedCount } = await Task.collection.updateMany(
+        { column: { $exists: false } },
+        [
+            {
+                $set: {
+                    column: {
+                        $switch: {
+                            branches: [
+                                { case: { $eq: ["$status", "complete"] }, then: "done" },
+                                { case: { $lte: ["$progress", 40] }, then: "todo" },
+                            ],
+                            default: "in_progress",
+                        },
+                    },
+                    position: { $ifNull: ["$position", 0] },
+                },
+            },
+        ]
+    );
+    if (modifiedCount > 0) console.log(`Placed ${modifiedCount} tasks on the board`);
+};
+
+module.exports = { migrateTaskColumns };
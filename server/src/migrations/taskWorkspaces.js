@@ -0,0 +1,18 @@
+const Task = require("../models/Task");
+const { ensurePersonalWorkspace } = require("../utils/workspaces");
+
+// Moves tasks created before workspaces existed into their owner's personal workspace.
+// Safe to run on every start: once migrated, nothing matches.
+const migrateTaskWorkspaces = async () => {
+    const owners = await Task.distinct("owner", { workspace: null });
+    for (const owner of owners) {
+        const workspace = await ensurePersonalWorkspace(owner);
+        const { modifiedCount } = await Task.updateMany(
+            { owner, workspace: null },
+            { $set: { workspace: workspace._id } }
+        );
+        if (modifiedCount > 0) console.log(`Moved ${modifiedCount} tasks into a personal workspace`);
+    }
+};
+
+module.exports = { migrateTaskWorkspaces };
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// Append-only record of destructive admin actions: who did what, and to what
+const AdminAuditSchema = new mongoose.Schema({
+    admin: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    action: { type: String, required: true },
+    // Free-form description of the target, e.g. the ids or filter that was applied
+    details: { type: mongoose.Schema.Types.Mixed, default: {} },
+    affected: { type: Number, default: 0 },
+    ip: { type: String, default: null },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+AdminAuditSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('AdminAudit', AdminAuditSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// A file attached to a task. The bytes live in the storage driver under `key`.
+const AttachmentSchema = new mongoose.Schema({
+    task: { type: mongoose.Schema.Types.ObjectId, ref: "Task", required: true, index: true },
+    workspace: { type: mongoose.Schema.Types.ObjectId, ref: "Workspace", required: true, index: true },
+    // Uploads count against the quota of the user who made them
+    uploader: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    filename: { type: String, required: true, trim: true, maxlength: 255 },
+    contentType: { type: String, required: true },
+    size: { type: Number, required: true, min: 0 },
+    key: { type: String, required: true, unique: true },
+}, { timestamps: true });
+
+// Storage keys stay on the server; clients download through the API
+AttachmentSchema.set("toJSON", {
+    transform: (doc, ret) => {
+        delete ret.key;
+        return ret;
+    },
+});
+
+module.exports = mongoose.model('Attachment', AttachmentSchema);
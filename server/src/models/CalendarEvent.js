@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// An entry on a workspace calendar, shown to every member alongside task deadlines
+const CalendarEventSchema = new mongoose.Schema({
+    workspace: { type: mongoose.Schema.Types.ObjectId, ref: "Workspace", required: true },
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    title: { type: String, required: true, trim: true, maxlength: 200 },
+    description: { type: String, trim: true, maxlength: 5000, default: "" },
+    start: { type: Date, required: true },
+    end: { type: Date, required: true },
+    // All-day events span whole days, stored as UTC midnights: clients send them as dates
+    // ("2025-03-14"), so the day does not depend on the time zone they were made in
+    allDay: { type: Boolean, default: false },
+}, { timestamps: true });
+
+// Calendar views load the events overlapping a date range
+CalendarEventSchema.index({ workspace: 1, start: 1, end: 1 });
+
+const isUtcMidnight = (date) => date.getTime() % (24 * 60 * 60 * 1000) === 0;
+
+CalendarEventSchema.pre("validate", function (next) {
+    if (this.allDay) {
+        ["start", "end"].forEach((path) => {
+            if (this[path] && !isUtcMidnight(this[path])) {
+                this.invalidate(path, "All-day events start and end on dates (YYYY-MM-DD), not times");
+            }
+        });
+    }
+    if (this.start && this.end && this.end < this.start) {
+        this.invalidate("end", "An event cannot end before it starts");
+    }
+    next();
+});
+
+module.exports = mongoose.model('CalendarEvent', CalendarEventSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+const CommentSchema = new mongoose.Schema({
+    task: { type: mongoose.Schema.Types.ObjectId, ref: "Task", required: true },
+    // Copied from the task so deleting a workspace can remove its comments in one go
+    workspace: { type: mongoose.Schema.Types.ObjectId, ref: "Workspace", required: true, index: true },
+    author: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    // Replies point at the comment they answer
+    parent: { type: mongoose.Schema.Types.ObjectId, ref: "Comment", default: null },
+    // Markdown as written, with mentions as @[Name](userId)
+    body: { type: String, required: true, trim: true, maxlength: 5000 },
+    // Sanitized HTML rendered from the body on every save
+    html: { type: String, default: "" },
+    mentions: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    editedAt: { type: Date, default: null },
+    // A deleted comment with replies stays behind, emptied, to keep the thread together
+    deleted: { type: Boolean, default: false },
+}, { timestamps: true });
+
+CommentSchema.index({ task: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Comment', CommentSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_TYPES = ["assignment", "comment", "mention", "due_soon", "overdue"];
+
+// Notifications older than this are removed by MongoDB
+const RETENTION_DAYS = 90;
+
+// One entry in a user's inbox. The message is written when the notification is created,
+// so it still reads correctly after the task or the actor is renamed or deleted.
+const NotificationSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    type: { type: String, enum: NOTIFICATION_TYPES, required: true },
+    // Who caused it; null for reminders sent by the server
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    task: { type: mongoose.Schema.Types.ObjectId, ref: "Task", default: null },
+    workspace: { type: mongoose.Schema.Types.ObjectId, ref: "Workspace", default: null, index: true },
+    message: { type: String, required: true, maxlength: 500 },
+    readAt: { type: Date, default: null },
+    // Set on reminders so each is sent once per task, due date and user
+    key: { type: String, default: undefined },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+// The inbox lists a user's notifications newest first and counts the unread ones
+NotificationSchema.index({ user: 1, createdAt: -1 });
+NotificationSchema.index({ user: 1, readAt: 1 });
+NotificationSchema.index({ key: 1 }, { unique: true, sparse: true });
+NotificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+NotificationSchema.statics.TYPES = NOTIFICATION_TYPES;
+
+module.exports = mongoose.model('Notification', NotificationSchema);
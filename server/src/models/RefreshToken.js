@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// One row per refresh token ever issued. Only the SHA-256 hash is stored.
+// Every token issued from the same login shares a family, so when a rotated
+// token is presented again the whole chain can be revoked at once.
+const RefreshTokenSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    tokenHash: { type: String, required: true, unique: true },
+    family: { type: String, required: true, index: true },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    replacedBy: { type: String, default: null },
+}, { timestamps: true });
+
+// Let MongoDB drop expired tokens on its own
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', RefreshTokenSchema);
@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+
+// Denylist of access tokens ended by logout before their natural expiry.
+// Entries only need to outlive the token itself.
+const RevokedTokenSchema = new mongoose.Schema({
+    jti: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+});
+
+RevokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RevokedToken', RevokedTokenSchema);
@@ -0,0 +1,10 @@
+const mongoose = require('mongoose');
+
+// Server-side application settings, one document per key
+const SettingSchema = new mongoose.Schema({
+    key: { type: String, required: true, unique: true },
+    value: { type: mongoose.Schema.Types.Mixed, default: null },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+}, { timestamps: true });
+
+module.exports = mongoose.model('Setting', SettingSchema);
@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const taskSchema = require('../../../shared/taskSchema.json');
+const { FREQUENCIES, WEEKDAYS, NTH_VALUES } = require('../utils/recurrence');
+
+const TYPES = {
+    string: String,
+    number: Number,
+    date: Date,
+    id: mongoose.Schema.Types.ObjectId,
+};
+
+// Translate a field from the shared task schema into a Mongoose path definition
+const toPath = (field) => {
+    const path = { type: TYPES[field.type] };
+
+    if (field.required) path.required = true;
+    if (field.enum) path.enum = field.enum;
+    if (field.min !== undefined) path.min = field.min;
+    if (field.max !== undefined) path.max = field.max;
+    if (field.maxLength !== undefined) path.maxlength = field.maxLength;
+    if (field.ref) path.ref = field.ref;
+    if (field.default !== undefined) path.default = field.default;
+    if (field.type === "string") path.trim = true;
+
+    // Array fields keep the element definition and hold the default themselves
+    if (field.array) {
+        const { default: defaultValue, ...element } = path;
+        return { type: [element], default: defaultValue };
+    }
+    return path;
+};
+
+const sharedPaths = Object.fromEntries(
+    Object.entries(taskSchema.fields).map(([name, field]) => [name, toPath(field)])
+);
+
+const ChecklistItemSchema = new mongoose.Schema({
+    text: { type: String, required: true, trim: true, maxlength: 500 },
+    done: { type: Boolean, default: false },
+});
+
+// How a recurring task repeats; see utils/recurrence.js
+const RecurrenceSchema = new mongoose.Schema({
+    freq: { type: String, enum: FREQUENCIES, required: true },
+    interval: { type: Number, min: 1, max: 365, default: 1 },
+    byWeekday: [{ type: String, enum: WEEKDAYS }],
+    nth: { type: Number, enum: [...NTH_VALUES, null], default: null },
+    count: { type: Number, min: 1, default: null },
+    until: { type: Date, default: null },
+    start: { type: Date, required: true },
+}, { _id: false });
+
+const TaskSchema = new mongoose.Schema({
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    workspace: { type: mongoose.Schema.Types.ObjectId, ref: "Workspace", required: true, index: true },
+    // Subtasks are tasks of their own that point at the task they belong to
+    parent: { type: mongoose.Schema.Types.ObjectId, ref: "Task", default: null, index: true },
+    checklist: { type: [ChecklistItemSchema], default: [] },
+    // Kept up to date by recomputeProgress so lists can show completion without loading subtasks
+    subtasks: {
+        total: { type: Number, default: 0 },
+        done: { type: Number, default: 0 },
+    },
+    // A recurring task is one occurrence of a series; the next one is created by the
+    // recurrence job once this one is complete or due (nextCreated then turns true)
+    recurrence: { type: RecurrenceSchema, default: null },
+    series: { type: mongoose.Schema.Types.ObjectId, ref: "Task", default: null },
+    occurrence: { type: Number, default: null },
+    nextCreated: { type: Boolean, default: false },
+    // Tasks that must be complete before this one can be; links stay within a workspace
+    blockedBy: [{ type: mongoose.Schema.Types.ObjectId, ref: "Task" }],
+    // Whether any task in blockedBy is still incomplete, kept by refreshBlocked
+    blocked: { type: Boolean, default: false },
+    // Comments still showing in the thread, kept by the comment controller
+    commentCount: { type: Number, default: 0 },
+    // Files attached to the task, kept by the attachment controller
+    attachmentCount: { type: Number, default: 0 },
+    ...sharedPaths,
+}, { timestamps: true });
+
+TaskSchema.index({ assignees: 1 });
+TaskSchema.index({ blockedBy: 1 });
+TaskSchema.index({ "recurrence.freq": 1, nextCreated: 1 });
+TaskSchema.index({ workspace: 1, column: 1, position: 1 });
+
+// The board column that holds completed tasks; every workflow keeps it
+const DONE_COLUMN = "done";
+
+// Keep status and progress in step: a task is complete exactly when it is at 100%.
+// The board column follows too: moving a card into or out of "done" completes or
+// reopens it, and completing or reopening a task moves its card. Where a reopened card
+// goes depends on the workflow, so it is flagged for settleOnBoard to place.
+TaskSchema.pre("validate", function (next) {
+    const columnMoved = this.isModified("column");
+    if (columnMoved) this.status = this.column === DONE_COLUMN ? "complete" : "incomplete";
+
+    if (this.isModified("progress") && !columnMoved) {
+        this.status = this.progress === 100 ? "complete" : "incomplete";
+    } else if (this.isModified("status") || columnMoved) {
+        if (this.status === "complete") this.progress = 100;
+        else if (this.progress === 100) this.progress = 0;
+    }
+
+    if (!columnMoved) {
+        if (this.status === "complete") this.column = DONE_COLUMN;
+        else if (this.column === DONE_COLUMN) this.$locals.reopened = true;
+    }
+    next();
+});
+
+// Finishing or reopening a task can unblock or block the tasks waiting on it
+TaskSchema.pre("save", function (next) {
+    this.$locals.statusChanged = !this.isNew && this.isModified("status");
+    next();
+});
+
+TaskSchema.post("save", async function () {
+    if (this.$locals.statusChanged) await this.constructor.refreshBlocked({ blockedBy: this._id });
+});
+
+TaskSchema.statics.DONE_COLUMN = DONE_COLUMN;
+
+// Recomputes the blocked flag of the tasks matching `filter`. A task held short of 100%
+// while blocked has its progress recomputed once unblocked, which may complete it.
+TaskSchema.statics.refreshBlocked = async function (filter) {
+    // Loaded here, as taskProgress itself needs this model
+    const { recomputeProgress, hasItems } = require("../utils/taskProgress");
+
+    const tasks = await this.find(filter, "blockedBy blocked checklist subtasks");
+    await Promise.all(tasks.map(async (task) => {
+        const blocked = task.blockedBy.length > 0
+            && Boolean(await this.exists({ _id: { $in: task.blockedBy }, status: { $ne: "complete" } }));
+        if (blocked === task.blocked) return;
+        // A plain update, so this does not set off the save hooks of the tasks it touches
+        await this.updateOne({ _id: task._id }, { blocked });
+        if (!blocked && hasItems(task)) await recomputeProgress(task._id);
+    }));
+};
+
+module.exports = mongoose.model('Task', TaskSchema);
@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+
+// A named group of workspace members, e.g. "Design" or "Backend"
+const TeamSchema = new mongoose.Schema({
+    workspace: { type: mongoose.Schema.Types.ObjectId, ref: "Workspace", required: true, index: true },
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    members: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+}, { timestamps: true });
+
+TeamSchema.index({ workspace: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Team', TeamSchema);
@@ -1,12 +1,18 @@
 const mongoose = require('mongoose');
+const { ROLES, DEFAULT_ROLE } = require('../utils/permissions');
 
 const UserSchema = new mongoose.Schema({
     fullName: { type: String, required: true },
     email: { type: String, required: true, unique: true },
     password: { type: String, required: true },
-    role: { type: String, enum: ["user", "admin"], default: "user" },
+    // Roles and the permissions they grant are defined in shared/permissions.json
+    role: { type: String, enum: ROLES, default: DEFAULT_ROLE },
     resetToken: { type: String, default: null },
     resetTokenExpires: { type: Date, default: null }, // New field
+    // Bumped by "log out all devices"; access tokens carrying an older version are rejected
+    tokenVersion: { type: Number, default: 0 },
+    // Hash of the secret in the user's calendar feed URL; unset while the feed is off
+    calendarTokenHash: { type: String, index: { unique: true, sparse: true } },
 }, { timestamps: true });
 
 module.exports = mongoose.model('User', UserSchema);
\ No newline at end of file
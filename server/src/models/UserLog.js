@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+const USER_LOG_ACTIONS = ["register", "login", "login_failed", "refresh", "logout", "logout_all"];
+
+// One row per authentication event. Email and role are copied in so the log
+// still reads correctly after the user is edited or deleted.
+const UserLogSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null, index: true },
+    email: { type: String, default: "" },
+    role: { type: String, default: null },
+    action: { type: String, enum: USER_LOG_ACTIONS, required: true },
+    // Refresh token family, shared by every event of one login
+    session: { type: String, default: null, index: true },
+    jti: { type: String, default: null },
+    ip: { type: String, default: null },
+    userAgent: { type: String, default: null },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+UserLogSchema.index({ createdAt: -1 });
+
+UserLogSchema.statics.ACTIONS = USER_LOG_ACTIONS;
+
+module.exports = mongoose.model('UserLog', UserLogSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// One board column. The key is what tasks store, so it never changes once in use;
+// the name, color and WIP limit are free to edit.
+const ColumnSchema = new mongoose.Schema({
+    key: { type: String, required: true, match: /^[a-z0-9_-]{1,50}$/ },
+    name: { type: String, required: true, trim: true, maxlength: 50 },
+    color: { type: String, match: /^#[0-9a-f]{6}$/i, default: "#6b7280" },
+    // Soft limit: the board warns when a column holds more cards than this
+    wipLimit: { type: Number, min: 1, default: null },
+}, { _id: false });
+
+// Columns a card may move to from `from`; a column without an entry allows any move
+const TransitionSchema = new mongoose.Schema({
+    from: { type: String, required: true },
+    to: { type: [String], default: [] },
+}, { _id: false });
+
+const WorkflowSchema = new mongoose.Schema({
+    workspace: { type: mongoose.Schema.Types.ObjectId, ref: "Workspace", required: true, unique: true },
+    columns: { type: [ColumnSchema], default: [] },
+    transitions: { type: [TransitionSchema], default: [] },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+}, { timestamps: true });
+
+module.exports = mongoose.model('Workflow', WorkflowSchema);
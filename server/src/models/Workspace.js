@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Owners and admins manage members and see every task in the workspace;
+// members see the tasks they own or are assigned to
+const WORKSPACE_ROLES = ["owner", "admin", "member"];
+
+const MemberSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    role: { type: String, enum: WORKSPACE_ROLES, default: "member" },
+}, { _id: false });
+
+const WorkspaceSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    // Every user gets exactly one personal workspace, created on first use
+    personal: { type: Boolean, default: false },
+    members: { type: [MemberSchema], default: [] },
+}, { timestamps: true });
+
+WorkspaceSchema.index({ "members.user": 1 });
+WorkspaceSchema.index({ owner: 1 }, { unique: true, partialFilterExpression: { personal: true } });
+
+// The member's workspace role, or null when the user is not a member
+WorkspaceSchema.methods.roleOf = function (userId) {
+    const member = this.members.find((m) => String(m.user?._id || m.user) === String(userId));
+    return member ? member.role : null;
+};
+
+WorkspaceSchema.statics.ROLES = WORKSPACE_ROLES;
+
+module.exports = mongoose.model('Workspace', WorkspaceSchema);
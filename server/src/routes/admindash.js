@@ -2,9 +2,32 @@
 const express = require("express");
 const router = express.Router();
 const User = require("../models/User"); 
+const Workspace = require("../models/Workspace");
+const Task = require("../models/Task");
+const Notification = require("../models/Notification");
+const { protect, requirePermission } = require("../middleware/authMiddleware");
+const {
+    getUserLogs,
+    exportUserLogs,
+    deleteUserLog,
+    deleteUserLogs,
+    purgeUserLogs,
+    getLogRetention,
+    updateLogRetention,
+    previewLogPrune,
+} = require("../controller/userLogController");
+const { getWorkspaceStats } = require("../controller/workspaceController");
+const { recordAdminAction } = require("../utils/adminAudit");
+const { revokeUserTokens } = require("../utils/tokens");
+const { hasPermission, PRIVILEGED_ROLES } = require("../utils/permissions");
+const { validateFormat, sendExport } = require("../utils/exportRows");
 
 
-router.get("/users", async (req, res) => {
+// Every admin endpoint requires a valid token with admin panel access;
+// each route then checks the specific permission it needs
+router.use(protect, requirePermission("admin:access"));
+
+router.get("/users", requirePermission("users:read"), async (req, res) => {
   try {
     const users = await User.find({}, "-password"); 
     res.json(users);
@@ -13,4 +36,120 @@ router.get("/users", async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+const USER_EXPORT_COLUMNS = [
+  { key: "fullName", header: "Name", width: 30, value: (user) => user.fullName },
+  { key: "email", header: "Email", width: 30, value: (user) => user.email },
+  { key: "role", header: "Role", value: (user) => user.role },
+  { key: "joined", header: "Joined", value: (user) => user.createdAt },
+];
+
+// Every user, newest first like the Manage Users table, as a file
+router.get("/users/export", requirePermission("users:read"), async (req, res) => {
+  try {
+    const invalid = validateFormat(req.query.format);
+    if (invalid) return res.status(400).json({ message: invalid });
+
+    await sendExport(res, {
+      format: req.query.format,
+      filename: "users",
+      sheetName: "Users",
+      columns: USER_EXPORT_COLUMNS,
+      rows: User.find({}, "fullName email role createdAt").sort({ createdAt: -1 }).lean().cursor(),
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+router.put("/users/:email", requirePermission("users:update"), async (req, res) => {
+  try {
+    const { email } = req.params;
+    const { fullName, role } = req.body;
+
+    const user = await User.findOne({ email });
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    // Only roles:assign may grant or take away admin-level roles
+    const touchesPrivileged = role !== undefined && role !== user.role
+      && (PRIVILEGED_ROLES.includes(role) || PRIVILEGED_ROLES.includes(user.role));
+    if (touchesPrivileged && !hasPermission(req.user.role, "roles:assign")) {
+      return res.status(403).json({ message: "Only a super admin can change admin roles" });
+    }
+
+    const previous = { fullName: user.fullName, role: user.role };
+    if (fullName !== undefined) user.fullName = fullName;
+    if (role !== undefined) user.role = role;
+
+    // Tokens carry the role, so a role change must end the user's current sessions
+    const roleChanged = user.role !== previous.role;
+    if (roleChanged) user.tokenVersion += 1;
+
+    await user.save();
+    if (roleChanged) await revokeUserTokens(user._id);
+
+    await recordAdminAction(req, {
+      action: "user.update",
+      details: { email, from: previous, to: { fullName: user.fullName, role: user.role } },
+      affected: 1,
+    });
+
+    const updated = user.toObject();
+    delete updated.password;
+    res.json(updated);
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+router.delete("/users/:email", requirePermission("users:delete"), async (req, res) => {
+  try {
+    const { email } = req.params;
+
+    const target = await User.findOne({ email });
+    if (!target) return res.status(404).json({ message: "User not found" });
+    if (PRIVILEGED_ROLES.includes(target.role) && !hasPermission(req.user.role, "roles:assign")) {
+      return res.status(403).json({ message: "Only a super admin can delete admins" });
+    }
+
+    const user = await User.findOneAndDelete({ email });
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    await revokeUserTokens(user._id);
+    await Workspace.updateMany({ "members.user": user._id }, { $pull: { members: { user: user._id } } });
+    await Task.updateMany({ assignees: user._id }, { $pull: { assignees: user._id } });
+    await Notification.deleteMany({ user: user._id });
+    await recordAdminAction(req, {
+      action: "user.delete",
+      details: { email, userId: user._id, role: user.role },
+      affected: 1,
+    });
+
+    res.status(200).json({ message: "User deleted successfully" });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Failed to delete user" });
+  }
+});
+
+// User activity logs, newest first, paginated
+router.get("/logs", requirePermission("logs:read"), getUserLogs);
+router.get("/logs/export", requirePermission("logs:read"), exportUserLogs);
+// Deletions are recorded in the admin audit trail
+router.post("/logs/bulk-delete", requirePermission("logs:delete"), deleteUserLogs);
+router.post("/logs/purge", requirePermission("logs:purge"), purgeUserLogs);
+router.delete("/logs/:id", requirePermission("logs:delete"), deleteUserLog);
+
+// Task totals per workspace
+router.get("/workspaces/stats", requirePermission("tasks:manage"), getWorkspaceStats);
+
+// Log retention policy; the retention job prunes hourly
+router.get("/logs/prune/dry-run", requirePermission("logs:purge"), previewLogPrune);
+router.get("/settings/log-retention", requirePermission("settings:update"), getLogRetention);
+router.put("/settings/log-retention", requirePermission("settings:update"), updateLogRetention);
+
+module.exports = router;
@@ -26,7 +26,22 @@
 const express = require("express");
 const User = require("../models/User");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
+const RefreshToken = require("../models/RefreshToken");
+const RevokedToken = require("../models/RevokedToken");
+const { protect } = require("../middleware/authMiddleware");
+const {
+    REFRESH_COOKIE,
+    hashToken,
+    signAccessToken,
+    generateRefreshToken,
+    issueRefreshToken,
+    clearRefreshCookie,
+    revokeTokenFamily,
+    revokeUserTokens,
+    startSession,
+} = require("../utils/tokens");
+const { recordUserLog } = require("../utils/userLogs");
+const { DEFAULT_ROLE, SELF_REGISTER_ROLES, normalizeRole } = require("../utils/permissions");
 
 const router = express.Router();
 
@@ -56,7 +71,13 @@ const router = express.Router();
 // Register Route
 router.post("/register", async (req, res) => {
     try {
-        const { fullName, email, password, role } = req.body;
+        const { fullName, email, password } = req.body;
+
+        // Anyone can sign up, but only into the roles open to self-registration
+        const role = normalizeRole(req.body.role || DEFAULT_ROLE);
+        if (!SELF_REGISTER_ROLES.includes(role)) {
+            return res.status(403).json({ message: "This role cannot be chosen at sign up" });
+        }
 
         // Check if user already exists
         let user = await User.findOne({ email });
@@ -66,15 +87,12 @@ router.post("/register", async (req, res) => {
         const hashedPassword = await bcrypt.hash(password, 10);
 
         // Create new user
-        user = new User({ fullName, email, password: hashedPassword, role: role || "user" });
+        user = new User({ fullName, email, password: hashedPassword, role });
         await user.save();
 
-        // Generate JWT token
-        const token = jwt.sign(
-            { userId: user._id, role: user.role },
-            process.env.JWT_SECRET,
-            { expiresIn: "1h" }
-        );
+        // Issue the access token and set the refresh cookie
+        const { token, session } = await startSession(res, user);
+        await recordUserLog(req, { action: "register", user, token, session });
 
         res.status(201).json({ message: "User registered successfully", token });
     } catch (error) {
@@ -91,21 +109,25 @@ router.post("/login", async (req, res) => {
        // console.log("Login attempt:", { email, password,role });
         // Find user
         const user = await User.findOne({ email });
-        if (!user) return res.status(400).json({ message: "Invalid email or password" });
+        if (!user) {
+            await recordUserLog(req, { action: "login_failed", email });
+            return res.status(400).json({ message: "Invalid email or password" });
+        }
 
         // Check password using bcrypt
         const isMatch = await bcrypt.compare(password, user.password);
-        if (!isMatch) return res.status(400).json({ message: "Invalid email or password" });
+        if (!isMatch) {
+            await recordUserLog(req, { action: "login_failed", user });
+            return res.status(400).json({ message: "Invalid email or password" });
+        }
         if(role&&user.role!=role)
         {
+            await recordUserLog(req, { action: "login_failed", user });
             return res.status(403).json({message:"Unauthorized login attempt"});
         }
-        // Generate JWT token
-        const token = jwt.sign(
-            { userId: user._id, role: user.role },
-            process.env.JWT_SECRET,
-            { expiresIn: "1h" }
-        );
+        // Issue the access token and set the refresh cookie
+        const { token, session } = await startSession(res, user);
+        await recordUserLog(req, { action: "login", user, token, session });
 
         res.json({ message: "Login successful", token, role: user.role });
     } catch (error) {
@@ -114,4 +136,134 @@ router.post("/login", async (req, res) => {
     }
 });
 
+// A rotated token presented again within this window is treated as a race
+// between tabs rather than theft
+const REFRESH_REUSE_GRACE_MS = 10 * 1000;
+
+// Refresh Route
+// Exchanges the refresh cookie for a new access token and rotates the cookie
+router.post("/refresh", async (req, res) => {
+    try {
+        const presented = req.cookies[REFRESH_COOKIE];
+        if (!presented) return res.status(401).json({ message: "No refresh token" });
+
+        const stored = await RefreshToken.findOne({ tokenHash: hashToken(presented) });
+        if (!stored || stored.expiresAt <= new Date()) {
+            clearRefreshCookie(res);
+            return res.status(401).json({ message: "Invalid refresh token" });
+        }
+
+        const user = await User.findById(stored.user);
+        if (!user) {
+            clearRefreshCookie(res);
+            return res.status(401).json({ message: "User no longer exists" });
+        }
+
+        if (stored.revokedAt) {
+            // Another tab rotated this token a moment ago and the browser already
+            // holds its replacement, so only a new access token is needed
+            const justRotated = stored.replacedBy
+                && Date.now() - stored.revokedAt.getTime() < REFRESH_REUSE_GRACE_MS;
+            if (justRotated) {
+                const token = signAccessToken(user);
+                await recordUserLog(req, { action: "refresh", user, token, session: stored.family });
+                return res.json({ token });
+            }
+
+            // An old token is being replayed: assume it leaked and end the whole session
+            await revokeTokenFamily(stored.family);
+            clearRefreshCookie(res);
+            console.warn(`Refresh token reuse detected for user ${stored.user}`);
+            return res.status(401).json({ message: "Session expired, please log in again" });
+        }
+
+        // Claim the old token atomically so concurrent requests cannot both rotate it
+        const refreshToken = generateRefreshToken();
+        const claimed = await RefreshToken.findOneAndUpdate(
+            { _id: stored._id, revokedAt: null },
+            { revokedAt: new Date(), replacedBy: refreshToken.tokenHash }
+        );
+        if (claimed) {
+            await issueRefreshToken(res, user, { family: stored.family, refreshToken });
+        }
+
+        const token = signAccessToken(user);
+        await recordUserLog(req, { action: "refresh", user, token, session: stored.family });
+
+        res.json({ token });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error", error });
+    }
+});
+
+// Logout Route
+// Revokes the presented access token and the refresh token family behind this session
+router.post("/logout", protect, async (req, res) => {
+    try {
+        if (req.user.jti) {
+            await RevokedToken.updateOne(
+                { jti: req.user.jti },
+                { expiresAt: new Date(req.user.exp * 1000) },
+                { upsert: true }
+            );
+        }
+
+        let session = null;
+        const presented = req.cookies[REFRESH_COOKIE];
+        if (presented) {
+            const stored = await RefreshToken.findOne({ tokenHash: hashToken(presented) });
+            if (stored) {
+                session = stored.family;
+                await revokeTokenFamily(session);
+            }
+        }
+
+        const user = await User.findById(req.user.userId);
+        await recordUserLog(req, { action: "logout", user, session });
+
+        clearRefreshCookie(res);
+        res.json({ message: "Logged out" });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error", error });
+    }
+});
+
+// Logout All Devices Route
+// Bumping the token version invalidates every access token issued so far
+router.post("/logout-all", protect, async (req, res) => {
+    try {
+        const user = await User.findByIdAndUpdate(req.user.userId, { $inc: { tokenVersion: 1 } });
+        await revokeUserTokens(req.user.userId);
+        await recordUserLog(req, { action: "logout_all", user });
+
+        clearRefreshCookie(res);
+        res.json({ message: "Logged out of all devices" });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error", error });
+    }
+});
+
+// Current User Route
+// The client takes identity and role from here instead of trusting its own storage
+router.get("/me", protect, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user) return res.status(401).json({ message: "User no longer exists" });
+
+        res.json({
+            userId: user._id,
+            fullName: user.fullName,
+            email: user.email,
+            role: user.role,
+            createdAt: user.createdAt,
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error", error });
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,21 @@
+const express = require("express");
+const { protect, requirePermission } = require("../middleware/authMiddleware");
+const { resolveWorkspace } = require("../middleware/workspaceMiddleware");
+const {
+    getFeed,
+    createFeed,
+    deleteFeed,
+    getFeedCalendar,
+    exportCalendar,
+} = require("../controller/calendarController");
+
+const router = express.Router();
+
+router.get("/feed", protect, requirePermission("tasks:read"), getFeed);
+router.post("/feed", protect, requirePermission("tasks:read"), createFeed);
+router.delete("/feed", protect, deleteFeed);
+router.get("/export.ics", protect, requirePermission("tasks:read"), resolveWorkspace, exportCalendar);
+// Fetched by calendar apps, which authenticate with the token in the URL alone
+router.get("/:token.ics", getFeedCalendar);
+
+module.exports = router;
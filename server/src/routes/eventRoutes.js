@@ -0,0 +1,21 @@
+const express = require("express");
+const { protect, requirePermission } = require("../middleware/authMiddleware");
+const { resolveWorkspace } = require("../middleware/workspaceMiddleware");
+const {
+    getEvents,
+    createEvent,
+    updateEvent,
+    deleteEvent,
+} = require("../controller/eventController");
+
+const router = express.Router();
+
+// Events belong to a workspace calendar, so they share the task permissions
+router.use(protect, resolveWorkspace);
+
+router.get("/", requirePermission("tasks:read"), getEvents);
+router.post("/", requirePermission("tasks:create"), createEvent);
+router.patch("/:id", requirePermission("tasks:update"), updateEvent);
+router.delete("/:id", requirePermission("tasks:delete"), deleteEvent);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require("express");
+const { protect, requirePermission } = require("../middleware/authMiddleware");
+const { resolveWorkspace } = require("../middleware/workspaceMiddleware");
+const { importRows } = require("../controller/importController");
+
+const router = express.Router();
+
+router.use(protect, resolveWorkspace);
+
+router.post("/", requirePermission("tasks:create"), importRows);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require("express");
+const { protect } = require("../middleware/authMiddleware");
+const {
+    getNotifications,
+    getUnreadCount,
+    updateNotification,
+    markAllRead,
+} = require("../controller/notificationController");
+
+const router = express.Router();
+
+// A user's inbox spans every workspace they are in, so no workspace is resolved
+router.use(protect);
+
+router.get("/", getNotifications);
+router.get("/unread-count", getUnreadCount);
+router.post("/read-all", markAllRead);
+router.patch("/:id", updateNotification);
+
+module.exports = router;
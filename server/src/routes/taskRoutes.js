@@ -0,0 +1,65 @@
+const express = require("express");
+const { protect, requirePermission } = require("../middleware/authMiddleware");
+const { resolveWorkspace } = require("../middleware/workspaceMiddleware");
+const { parseUpload } = require("../middleware/uploadMiddleware");
+const {
+    getTasks,
+    exportTasks,
+    getOccurrences,
+    getTask,
+    createTask,
+    updateTask,
+    deleteTask,
+    moveTask,
+    addChecklistItem,
+    updateChecklistItem,
+    deleteChecklistItem,
+    getDependencies,
+    addDependency,
+    removeDependency,
+} = require("../controller/taskController");
+const {
+    getComments,
+    createComment,
+    updateComment,
+    deleteComment,
+} = require("../controller/commentController");
+const {
+    getAttachments,
+    uploadAttachment,
+    downloadAttachment,
+    deleteAttachment,
+} = require("../controller/attachmentController");
+
+const router = express.Router();
+
+router.use(protect, resolveWorkspace);
+
+router.get("/", requirePermission("tasks:read"), getTasks);
+router.get("/export", requirePermission("tasks:read"), exportTasks);
+router.get("/occurrences", requirePermission("tasks:read"), getOccurrences);
+router.get("/:id", requirePermission("tasks:read"), getTask);
+router.post("/", requirePermission("tasks:create"), createTask);
+router.patch("/:id", requirePermission("tasks:update"), updateTask);
+router.patch("/:id/move", requirePermission("tasks:update"), moveTask);
+
+router.post("/:id/checklist", requirePermission("tasks:update"), addChecklistItem);
+router.patch("/:id/checklist/:itemId", requirePermission("tasks:update"), updateChecklistItem);
+router.delete("/:id/checklist/:itemId", requirePermission("tasks:update"), deleteChecklistItem);
+router.delete("/:id", requirePermission("tasks:delete"), deleteTask);
+
+router.get("/:id/dependencies", requirePermission("tasks:read"), getDependencies);
+router.post("/:id/dependencies", requirePermission("tasks:update"), addDependency);
+router.delete("/:id/dependencies/:blockerId", requirePermission("tasks:update"), removeDependency);
+
+router.get("/:id/comments", requirePermission("tasks:read"), getComments);
+router.post("/:id/comments", requirePermission("tasks:update"), createComment);
+router.patch("/:id/comments/:commentId", requirePermission("tasks:update"), updateComment);
+router.delete("/:id/comments/:commentId", requirePermission("tasks:update"), deleteComment);
+
+router.get("/:id/attachments", requirePermission("tasks:read"), getAttachments);
+router.post("/:id/attachments", requirePermission("tasks:update"), parseUpload, uploadAttachment);
+router.get("/:id/attachments/:attachmentId", requirePermission("tasks:read"), downloadAttachment);
+router.delete("/:id/attachments/:attachmentId", requirePermission("tasks:update"), deleteAttachment);
+
+module.exports = router;
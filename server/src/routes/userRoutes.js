@@ -0,0 +1,12 @@
+const express = require("express");
+const { protect, requirePermission } = require("../middleware/authMiddleware");
+const { resolveWorkspace } = require("../middleware/workspaceMiddleware");
+const { searchUsers } = require("../controller/userController");
+
+const router = express.Router();
+
+router.use(protect, resolveWorkspace);
+
+router.get("/search", requirePermission("tasks:assign"), searchUsers);
+
+module.exports = router;
@@ -0,0 +1,43 @@
+const express = require("express");
+const { protect } = require("../middleware/authMiddleware");
+const {
+    getWorkspaces,
+    createWorkspace,
+    getWorkspace,
+    updateWorkspace,
+    deleteWorkspace,
+    addMember,
+    updateMember,
+    removeMember,
+    getTeams,
+    createTeam,
+    updateTeam,
+    deleteTeam,
+    getWorkspaceWorkflow,
+    updateWorkspaceWorkflow,
+} = require("../controller/workspaceController");
+
+const router = express.Router();
+
+// Workspace roles are checked per workspace in the controller
+router.use(protect);
+
+router.get("/", getWorkspaces);
+router.post("/", createWorkspace);
+router.get("/:id", getWorkspace);
+router.patch("/:id", updateWorkspace);
+router.delete("/:id", deleteWorkspace);
+
+router.post("/:id/members", addMember);
+router.patch("/:id/members/:userId", updateMember);
+router.delete("/:id/members/:userId", removeMember);
+
+router.get("/:id/teams", getTeams);
+router.post("/:id/teams", createTeam);
+router.patch("/:id/teams/:teamId", updateTeam);
+router.delete("/:id/teams/:teamId", deleteTeam);
+
+router.get("/:id/workflow", getWorkspaceWorkflow);
+router.put("/:id/workflow", updateWorkspaceWorkflow);
+
+module.exports = router;
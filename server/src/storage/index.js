@@ -0,0 +1,32 @@
+const { createLocalDriver } = require("./localDriver");
+const { createS3Driver } = require("./s3Driver");
+
+/**
+ * Where attachment files live. Every driver stores opaque keys chosen by the
+ * server and implements:
+ *
+ *   put(key, buffer, { contentType }) -> Promise<void>
+ *   get(key)                          -> Promise<Readable>  (rejects with code "ENOENT" when missing)
+ *   remove(key)                       -> Promise<void>      (missing keys are not an error)
+ *
+ * STORAGE_DRIVER picks the driver: "local" (default) or "s3".
+ */
+const DRIVERS = {
+    local: createLocalDriver,
+    s3: createS3Driver,
+};
+
+let storage = null;
+
+// The configured driver, created on first use
+const getStorage = () => {
+    if (!storage) {
+        const name = process.env.STORAGE_DRIVER || "local";
+        const createDriver = DRIVERS[name];
+        if (!createDriver) throw new Error(`Unknown STORAGE_DRIVER "${name}"`);
+        storage = createDriver();
+    }
+    return storage;
+};
+
+module.exports = { getStorage };
@@ -0,0 +1,33 @@
+const fs = require("fs");
+const path = require("path");
+
+// Files go under UPLOAD_DIR, by default server/uploads
+const createLocalDriver = (root = process.env.UPLOAD_DIR || path.join(__dirname, "../../uploads")) => {
+    const resolve = (key) => {
+        const file = path.resolve(root, key);
+        // Keys are generated by the server, but never let one point outside the root
+        if (!file.startsWith(path.resolve(root) + path.sep)) throw new Error(`Invalid storage key "${key}"`);
+        return file;
+    };
+
+    return {
+        async put(key, buffer) {
+            const file = resolve(key);
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            await fs.promises.writeFile(file, buffer);
+        },
+
+        async get(key) {
+            const file = resolve(key);
+            // Fail before the caller starts answering, rather than mid-stream
+            await fs.promises.access(file);
+            return fs.createReadStream(file);
+        },
+
+        async remove(key) {
+            await fs.promises.rm(resolve(key), { force: true });
+        },
+    };
+};
+
+module.exports = { createLocalDriver };
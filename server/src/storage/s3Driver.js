@@ -0,0 +1,53 @@
+// Works with AWS S3 and with S3-compatible servers such as MinIO, which is
+// what S3_ENDPOINT is for; path-style URLs keep local stand-ins working.
+const createS3Driver = ({
+    bucket = process.env.S3_BUCKET,
+    endpoint = process.env.S3_ENDPOINT,
+    region = process.env.S3_REGION || "us-east-1",
+    accessKeyId = process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+} = {}) => {
+    if (!bucket) throw new Error("S3_BUCKET is required by the s3 storage driver");
+
+    // Only loaded when the driver is used, so local installs don't pay for the SDK
+    const {
+        S3Client,
+        PutObjectCommand,
+        GetObjectCommand,
+        DeleteObjectCommand,
+    } = require("@aws-sdk/client-s3");
+
+    const client = new S3Client({
+        region,
+        endpoint,
+        forcePathStyle: Boolean(endpoint),
+        credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+    });
+
+    return {
+        async put(key, buffer, { contentType } = {}) {
+            await client.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                Body: buffer,
+                ContentType: contentType,
+            }));
+        },
+
+        async get(key) {
+            try {
+                const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+                return Body;
+            } catch (error) {
+                if (error.name === "NoSuchKey") error.code = "ENOENT";
+                throw error;
+            }
+        },
+
+        async remove(key) {
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+        },
+    };
+};
+
+module.exports = { createS3Driver };
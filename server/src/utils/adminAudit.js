@@ -0,0 +1,13 @@
+const AdminAudit = require("../models/AdminAudit");
+
+// Records a destructive admin action in the audit trail
+const recordAdminAction = (req, { action, details, affected }) =>
+    AdminAudit.create({
+        admin: req.user.userId,
+        action,
+        details,
+        affected,
+        ip: req.ip,
+    });
+
+module.exports = { recordAdminAction };
@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+const Attachment = require("../models/Attachment");
+const { getStorage } = require("../storage");
+
+const MB = 1024 * 1024;
+
+// Largest single upload, and the total a user may keep across all tasks
+const MAX_ATTACHMENT_BYTES = Number(process.env.ATTACHMENT_MAX_BYTES) || 10 * MB;
+const ATTACHMENT_QUOTA_BYTES = Number(process.env.ATTACHMENT_QUOTA_BYTES) || 200 * MB;
+
+// Specs, documents and screenshots. SVG and HTML are left out since a browser would run their scripts.
+const ALLOWED_TYPES = new Set([
+    "image/png",
+    "image/jpeg",
+    "image/gif",
+    "image/webp",
+    "application/pdf",
+    "text/plain",
+    "text/markdown",
+    "text/csv",
+    "application/zip",
+    "application/msword",
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    "application/vnd.ms-excel",
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+]);
+
+const isAllowedType = (contentType) => ALLOWED_TYPES.has(contentType);
+
+// Bytes the user's uploads take up
+const usedBytes = async (userId) => {
+    const [usage] = await Attachment.aggregate([
+        { $match: { uploader: new mongoose.Types.ObjectId(userId) } },
+        { $group: { _id: null, bytes: { $sum: "$size" } } },
+    ]);
+    return usage ? usage.bytes : 0;
+};
+
+// Deletes matching attachments and their files. A file that cannot be removed
+// is logged and left behind rather than keeping its record alive.
+const removeAttachments = async (filter) => {
+    const attachments = await Attachment.find(filter, "key");
+    if (attachments.length === 0) return;
+
+    const storage = getStorage();
+    const results = await Promise.allSettled(attachments.map(({ key }) => storage.remove(key)));
+    results
+        .filter((result) => result.status === "rejected")
+        .forEach((result) => console.error("Failed to remove attachment file:", result.reason));
+
+    await Attachment.deleteMany({ _id: { $in: attachments.map(({ _id }) => _id) } });
+};
+
+module.exports = {
+    MAX_ATTACHMENT_BYTES,
+    ATTACHMENT_QUOTA_BYTES,
+    isAllowedType,
+    usedBytes,
+    removeAttachments,
+};
@@ -0,0 +1,96 @@
+const { once } = require("events");
+const ExcelJS = require("exceljs");
+
+// Streams a table of documents to the response as CSV, JSON or XLSX. Rows are written as
+// they are read, so exports of any size use little memory.
+//
+// A table is a list of columns, { key, header, value(row) }: JSON rows are objects by key,
+// while CSV and XLSX get a header row.
+
+const EXPORT_FORMATS = {
+    csv: "text/csv; charset=utf-8",
+    json: "application/json; charset=utf-8",
+    xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const toCell = (value) => {
+    if (value === null || value === undefined) return "";
+    if (value instanceof Date) return value.toISOString();
+    return value;
+};
+
+const csvCell = (value) => {
+    let text = String(toCell(value));
+    if (FORMULA_START.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+};
+
+// Writes a chunk, waiting when the client reads slower than the rows come in
+const write = async (res, chunk) => {
+    if (res.destroyed) throw new Error("The client closed the connection");
+    if (!res.write(chunk)) await Promise.race([once(res, "drain"), once(res, "close")]);
+};
+
+const writeCsv = async (res, columns, rows) => {
+    // The byte order mark tells Excel the file is UTF-8
+    await write(res, `\uFEFF${columns.map((column) => csvCell(column.header)).join(",")}\r\n`);
+    for await (const row of rows) {
+        await write(res, `${columns.map((column) => csvCell(column.value(row))).join(",")}\r\n`);
+    }
+    res.end();
+};
+
+const writeJson = async (res, columns, rows) => {
+    let separator = "[\n";
+    for await (const row of rows) {
+        const record = Object.fromEntries(columns.map((column) => [column.key, column.value(row) ?? null]));
+        await write(res, separator + JSON.stringify(record));
+        separator = ",\n";
+    }
+    res.end(separator === "[\n" ? "[]\n" : "\n]\n");
+};
+
+const writeXlsx = async (res, columns, rows, sheetName) => {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const sheet = workbook.addWorksheet(sheetName);
+    sheet.columns = columns.map((column) => ({ header: column.header, key: column.key, width: column.width || 20 }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.getRow(1).commit();
+
+    for await (const row of rows) {
+        sheet.addRow(Object.fromEntries(columns.map((column) => [column.key, column.value(row) ?? null]))).commit();
+    }
+    sheet.commit();
+    await workbook.commit();
+};
+
+// Checks ?format=; returns an error message, or null when it is one we write
+const validateFormat = (format) =>
+    EXPORT_FORMATS[format] ? null : `format must be one of ${Object.keys(EXPORT_FORMATS).join(", ")}`;
+
+/**
+ * Sends `rows`, any (async) iterable such as a Mongoose cursor, as a file download.
+ * Once rows are being written the status is sent, so a failure can only cut the file short.
+ */
+const sendExport = async (res, { format, filename, columns, rows, sheetName = "Export" }) => {
+    const date = new Date().toISOString().slice(0, 10);
+    res.attachment(`${filename}-${date}.${format}`);
+    res.set("Content-Type", EXPORT_FORMATS[format]);
+
+    try {
+        if (format === "csv") await writeCsv(res, columns, rows);
+        else if (format === "json") await writeJson(res, columns, rows);
+        else await writeXlsx(res, columns, rows, sheetName);
+    } catch (error) {
+        if (!res.headersSent) throw error;
+        if (!res.destroyed) {
+            console.error(error);
+            res.destroy(error);
+        }
+    }
+};
+
+module.exports = { EXPORT_FORMATS, validateFormat, sendExport };
@@ -0,0 +1,117 @@
+const { toRRule } = require("./recurrence");
+
+// iCalendar (RFC 5545) output for calendar apps: tasks become VTODOs due on their
+// due date, calendar events become VEVENTs
+
+const PRODUCT_ID = "-//TaskFlow//Calendar//EN";
+// Lines longer than this many bytes are folded onto continuation lines
+const MAX_LINE_BYTES = 75;
+const PRIORITIES = { high: 1, medium: 5, low: 9 };
+
+const escapeText = (text) =>
+    String(text)
+        .replace(/\\/g, "\\\\")
+        .replace(/;/g, "\\;")
+        .replace(/,/g, "\\,")
+        .replace(/\r?\n/g, "\\n");
+
+// Splits a line into parts of at most MAX_LINE_BYTES bytes without cutting a character in two;
+// continuation lines start with a space, which counts towards their length
+const foldLine = (line) => {
+    const parts = [];
+    let part = "";
+    let bytes = 0;
+    for (const char of line) {
+        const size = Buffer.byteLength(char);
+        if (bytes + size > MAX_LINE_BYTES) {
+            parts.push(part);
+            part = " ";
+            bytes = 1;
+        }
+        part += char;
+        bytes += size;
+    }
+    parts.push(part);
+    return parts.join("\r\n");
+};
+
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]|\.\d{3}/g, "");
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10).replace(/-/g, "");
+
+const property = (name, value) => foldLine(`${name}:${value}`);
+
+const taskToTodo = (task, stamp) => {
+    const lines = [
+        "BEGIN:VTODO",
+        property("UID", `task-${task._id}@taskflow`),
+        property("DTSTAMP", stamp),
+        property("LAST-MODIFIED", formatDateTime(task.updatedAt || Date.now())),
+        property("SUMMARY", escapeText(task.title)),
+    ];
+    if (task.description) lines.push(property("DESCRIPTION", escapeText(task.description)));
+    lines.push(
+        property("DUE;VALUE=DATE", formatDate(task.dueDate)),
+        property("STATUS", task.status === "complete" ? "COMPLETED" : "NEEDS-ACTION"),
+        property("PERCENT-COMPLETE", task.progress || 0),
+        property("PRIORITY", PRIORITIES[task.priority] || 0)
+    );
+
+    // Earlier occurrences of a series are tasks of their own, so only the latest one
+    // carries the rule, starting from its own due date with the occurrences left
+    if (task.recurrence && !task.nextCreated) {
+        const { freq, interval, byWeekday, nth, count, until } = task.recurrence;
+        const left = count ? count - task.occurrence + 1 : null;
+        lines.push(
+            property("DTSTART;VALUE=DATE", formatDate(task.dueDate)),
+            property("RRULE", toRRule({ freq, interval, byWeekday, nth, count: left, until }))
+        );
+    }
+
+    lines.push("END:VTODO");
+    return lines;
+};
+
+const eventToVEvent = (event, stamp) => {
+    const lines = [
+        "BEGIN:VEVENT",
+        property("UID", `event-${event._id}@taskflow`),
+        property("DTSTAMP", stamp),
+        property("LAST-MODIFIED", formatDateTime(event.updatedAt || Date.now())),
+        property("SUMMARY", escapeText(event.title)),
+    ];
+    if (event.description) lines.push(property("DESCRIPTION", escapeText(event.description)));
+
+    if (event.allDay) {
+        // All-day events are stored as the UTC midnights of their days
+        const start = new Date(event.start);
+        // DTEND of an all-day event is the day after the last one, and at least one day on
+        let end = new Date(event.end);
+        if (end <= start) end = new Date(start.getTime() + 24 * 60 * 60 * 1000);
+        lines.push(property("DTSTART;VALUE=DATE", formatDate(start)), property("DTEND;VALUE=DATE", formatDate(end)));
+    } else {
+        lines.push(property("DTSTART", formatDateTime(event.start)), property("DTEND", formatDateTime(event.end)));
+    }
+
+    lines.push("END:VEVENT");
+    return lines;
+};
+
+// A complete VCALENDAR of the given tasks (those without a due date are left out) and events
+const buildCalendar = ({ name, tasks = [], events = [] }) => {
+    const stamp = formatDateTime(Date.now());
+    const lines = [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        property("PRODID", PRODUCT_ID),
+        "CALSCALE:GREGORIAN",
+        "METHOD:PUBLISH",
+        property("X-WR-CALNAME", escapeText(name)),
+        ...tasks.filter((task) => task.dueDate).flatMap((task) => taskToTodo(task, stamp)),
+        ...events.flatMap((event) => eventToVEvent(event, stamp)),
+        "END:VCALENDAR",
+    ];
+    return `${lines.join("\r\n")}\r\n`;
+};
+
+module.exports = { buildCalendar };
@@ -0,0 +1,62 @@
+const Setting = require("../models/Setting");
+const UserLog = require("../models/UserLog");
+
+const RETENTION_KEY = "userLogRetentionDays";
+const DEFAULT_RETENTION_DAYS = 90;
+const MAX_RETENTION_DAYS = 3650;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Retention period in days, or null when logs are kept forever
+const getRetentionDays = async () => {
+    const setting = await Setting.findOne({ key: RETENTION_KEY }).lean();
+    return setting ? setting.value : DEFAULT_RETENTION_DAYS;
+};
+
+const setRetentionDays = (days, adminId) => Setting.findOneAndUpdate(
+    { key: RETENTION_KEY },
+    { value: days, updatedBy: adminId },
+    { upsert: true, new: true }
+);
+
+// Returns an error message when days is not null or a whole number in range
+const validateRetentionDays = (days) => {
+    if (days === null) return null;
+    if (!Number.isInteger(days) || days < 1 || days > MAX_RETENTION_DAYS) {
+        return `Retention must be a whole number of days between 1 and ${MAX_RETENTION_DAYS}, or null to keep logs forever`;
+    }
+    return null;
+};
+
+// Filter matching logs past the retention period, or null when nothing expires
+const expiredLogsFilter = (days) =>
+    days === null ? null : { createdAt: { $lt: new Date(Date.now() - days * DAY_MS) } };
+
+// Reports what a prune would delete without deleting anything.
+// Pass days to preview a retention period before saving it.
+const previewPrune = async (days) => {
+    const retentionDays = days === undefined ? await getRetentionDays() : days;
+    const filter = expiredLogsFilter(retentionDays);
+
+    return {
+        retentionDays,
+        cutoff: filter ? filter.createdAt.$lt : null,
+        count: filter ? await UserLog.countDocuments(filter) : 0,
+    };
+};
+
+// Deletes logs past the retention period and returns how many were removed
+const pruneUserLogs = async () => {
+    const filter = expiredLogsFilter(await getRetentionDays());
+    if (!filter) return 0;
+
+    const { deletedCount } = await UserLog.deleteMany(filter);
+    return deletedCount;
+};
+
+module.exports = {
+    getRetentionDays,
+    setRetentionDays,
+    validateRetentionDays,
+    previewPrune,
+    pruneUserLogs,
+};
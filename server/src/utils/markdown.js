@@ -0,0 +1,57 @@
+const crypto = require("crypto");
+const { marked } = require("marked");
+const sanitizeHtml = require("sanitize-html");
+
+// Mentions are written as @[Name](userId) by the comment composer
+const MENTION_PATTERN = /@\[([^\]\n]{1,100})\]\(([0-9a-f]{24})\)/gi;
+
+const SANITIZE_OPTIONS = {
+    allowedTags: sanitizeHtml.defaults.allowedTags.concat(["del", "img"]),
+    allowedAttributes: {
+        a: ["href", "title", "rel", "target"],
+        img: ["src", "alt", "title"],
+        code: ["class"],
+    },
+    allowedSchemes: ["http", "https", "mailto"],
+    transformTags: {
+        a: sanitizeHtml.simpleTransform("a", { rel: "noopener noreferrer nofollow", target: "_blank" }),
+    },
+};
+
+const escapeHtml = (text) =>
+    text.replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+// Renders a comment body to sanitized HTML. `members` maps user id -> display name
+// for the users who may be mentioned; mentions of anyone else become plain text.
+// Returns the HTML and the ids of the users mentioned.
+const renderComment = (body, members) => {
+    const mentions = new Set();
+    const found = [];
+    // Mentions are swapped for placeholders markdown leaves alone. Sanitizing turns those
+    // in text into mention markup, which the comment itself therefore cannot forge; in
+    // code they go back to the text as written, and in attributes to a plain @Name.
+    const nonce = crypto.randomBytes(8).toString("hex");
+    const placeholder = new RegExp(`mention${nonce}x(\\d+)x`, "g");
+
+    const markdown = body.replace(MENTION_PATTERN, (match, name, id) => {
+        const userId = id.toLowerCase();
+        found.push({ match, userId: members.has(userId) ? userId : null, name });
+        return `mention${nonce}x${found.length - 1}x`;
+    });
+
+    const toText = (text, tag) => text.replace(placeholder, (match, index) => {
+        const { match: source, userId, name } = found[index];
+        if (tag === "code") return escapeHtml(source);
+        if (!userId) return escapeHtml(`@${name}`);
+
+        mentions.add(userId);
+        return `<span class="mention" data-mention="${userId}">@${escapeHtml(members.get(userId))}</span>`;
+    });
+
+    const html = sanitizeHtml(marked.parse(markdown, { async: false }), { ...SANITIZE_OPTIONS, textFilter: toText })
+        .replace(placeholder, (match, index) => escapeHtml(`@${found[index].name}`));
+
+    return { html, mentions: [...mentions] };
+};
+
+module.exports = { renderComment };
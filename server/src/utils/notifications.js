@@ -0,0 +1,136 @@
+const Notification = require("../models/Notification");
+const Task = require("../models/Task");
+const User = require("../models/User");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Tasks that fell overdue longer ago than this get no reminder, so the first run after
+// an outage does not flood inboxes with old deadlines
+const OVERDUE_LOOKBACK_DAYS = 7;
+
+const nameOf = async (userId) => {
+    const user = await User.findById(userId, "fullName email").lean();
+    return user?.fullName || user?.email || "Someone";
+};
+
+// Distinct ids of the users in `ids`, leaving out whoever caused the notification
+const recipientsOf = (ids, actorId) =>
+    [...new Set(ids.filter(Boolean).map(String))].filter((id) => id !== String(actorId));
+
+// Inserts the notifications. Notifying is a side effect of a change that has already been
+// saved, so a failure is logged rather than passed on to the request.
+const send = async (notifications) => {
+    if (notifications.length === 0) return;
+    try {
+        await Notification.insertMany(notifications);
+    } catch (error) {
+        console.error("Sending notifications failed:", error);
+    }
+};
+
+// One notification of a kind about `task` for each recipient
+const about = (task, recipients, fields) => recipients.map((user) => ({
+    user,
+    task: task._id,
+    workspace: task.workspace,
+    ...fields,
+}));
+
+// Tells users they were assigned to tasks; `assignments` lists { task, assignees } pairs,
+// so a batch of tasks looks the actor up once
+const notifyAssigned = async (actorId, assignments) => {
+    const pending = assignments
+        .map(({ task, assignees }) => ({ task, recipients: recipientsOf(assignees, actorId) }))
+        .filter(({ recipients }) => recipients.length > 0);
+    if (pending.length === 0) return;
+
+    const actorName = await nameOf(actorId).catch(() => "Someone");
+    await send(pending.flatMap(({ task, recipients }) => about(task, recipients, {
+        type: "assignment",
+        actor: actorId,
+        message: `${actorName} assigned you to "${task.title}"`,
+    })));
+};
+
+// Tells the users a comment mentions, and the task's owner and assignees that it was posted.
+// For an edited comment, pass the users it mentioned before: only those newly mentioned hear.
+const notifyComment = async (task, comment, mentionedBefore = null) => {
+    const edited = mentionedBefore !== null;
+    const mentioned = recipientsOf(comment.mentions, comment.author)
+        .filter((id) => !edited || !mentionedBefore.map(String).includes(id));
+    const watchers = edited ? [] : recipientsOf([task.owner, ...task.assignees], comment.author)
+        .filter((id) => !mentioned.includes(id));
+    if (mentioned.length + watchers.length === 0) return;
+
+    const actorName = await nameOf(comment.author).catch(() => "Someone");
+    await send([
+        ...about(task, mentioned, {
+            type: "mention",
+            actor: comment.author,
+            message: `${actorName} mentioned you on "${task.title}"`,
+        }),
+        ...about(task, watchers, {
+            type: "comment",
+            actor: comment.author,
+            message: `${actorName} commented on "${task.title}"`,
+        }),
+    ]);
+};
+
+const startOfDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+// Due dates may carry a time of day, as recurring and imported ones can, so days are compared
+const reminderMessage = (task, today) => {
+    if (task.dueDate < today) return `"${task.title}" was due on ${task.dueDate.toISOString().slice(0, 10)}`;
+    const tomorrow = new Date(today.getTime() + DAY_MS);
+    return `"${task.title}" is due ${task.dueDate < tomorrow ? "today" : "tomorrow"}`;
+};
+
+// Inserts reminders and returns how many went in. A reminder another run sent meanwhile is
+// a duplicate key and skipped; any other failure is logged, so one task cannot hold up the rest.
+const insertReminders = async (reminders) => {
+    try {
+        const inserted = await Notification.insertMany(reminders, { ordered: false });
+        return inserted.length;
+    } catch (error) {
+        const failures = error.writeErrors || [];
+        if (failures.length === 0 || failures.some((failure) => failure.code !== 11000)) {
+            console.error("Sending due reminders failed:", error);
+        }
+        return error.insertedDocs?.length || 0;
+    }
+};
+
+/**
+ * Reminds the owner and assignees of incomplete tasks due today or tomorrow (due_soon) and
+ * of those whose due day has passed (overdue), comparing due dates by UTC day. Each
+ * reminder is keyed by task, due date and user, so it is sent once however often this
+ * runs, and again if the task is given a new due date. Returns how many were sent.
+ */
+const sendDueReminders = async (now = new Date()) => {
+    const today = startOfDay(now);
+    const tasks = Task.find({
+        status: "incomplete",
+        dueDate: {
+            $gte: new Date(today.getTime() - OVERDUE_LOOKBACK_DAYS * DAY_MS),
+            $lt: new Date(today.getTime() + 2 * DAY_MS),
+        },
+    }, "title dueDate owner assignees workspace").lean().cursor();
+
+    let sent = 0;
+    for await (const task of tasks) {
+        const type = task.dueDate < today ? "overdue" : "due_soon";
+        const day = task.dueDate.toISOString().slice(0, 10);
+        const reminders = about(task, recipientsOf([task.owner, ...(task.assignees || [])], null), {
+            type,
+            message: reminderMessage(task, today),
+        }).map((reminder) => ({ ...reminder, key: `${type}:${task._id}:${day}:${reminder.user}` }));
+
+        const sentBefore = await Notification.find({ key: { $in: reminders.map((reminder) => reminder.key) } })
+            .distinct("key");
+        const fresh = reminders.filter((reminder) => !sentBefore.includes(reminder.key));
+        if (fresh.length > 0) sent += await insertReminders(fresh);
+    }
+    return sent;
+};
+
+module.exports = { notifyAssigned, notifyComment, sendDueReminders };
@@ -0,0 +1,28 @@
+const permissionConfig = require("../../../shared/permissions.json");
+
+const { roles, aliases } = permissionConfig;
+
+const ROLES = Object.keys(roles);
+
+// Flatten each role's own permissions with everything it inherits
+const resolvePermissions = (role) => {
+    const { inherits, permissions } = roles[role];
+    return new Set([...(inherits ? resolvePermissions(inherits) : []), ...permissions]);
+};
+
+const ROLE_PERMISSIONS = Object.fromEntries(ROLES.map((role) => [role, resolvePermissions(role)]));
+
+// Maps legacy role names (e.g. "user" from older tokens) onto current ones
+const normalizeRole = (role) => aliases[role] || role;
+
+const hasPermission = (role, permission) =>
+    Boolean(ROLE_PERMISSIONS[normalizeRole(role)]?.has(permission));
+
+module.exports = {
+    ROLES,
+    DEFAULT_ROLE: permissionConfig.defaultRole,
+    SELF_REGISTER_ROLES: permissionConfig.selfRegisterRoles,
+    PRIVILEGED_ROLES: permissionConfig.privilegedRoles,
+    normalizeRole,
+    hasPermission,
+};
@@ -0,0 +1,161 @@
+// Recurrence rules: a subset of iCalendar RRULE.
+//
+//   { freq: "daily" | "weekly" | "monthly",
+//     interval,    every `interval` days / weeks / months
+//     byWeekday,   weekly: the weekdays it falls on ("MO".."SU"); monthly: the weekday of `nth`
+//     nth,         monthly: 1-4 for the nth weekday of the month, -1 for the last; null for the day of the month
+//     count,       ends after this many occurrences, or
+//     until,       ends after this date
+//     start }      the first occurrence, which every later one is counted from
+//
+// Dates are handled in UTC, the way due dates are stored.
+
+const FREQUENCIES = ["daily", "weekly", "monthly"];
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const NTH_VALUES = [1, 2, 3, 4, -1];
+const MAX_INTERVAL = 365;
+const MAX_COUNT = 1000;
+// Stop walking a rule that never produces a date in range (e.g. until before start)
+const MAX_STEPS = 10000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+// The same time of day as `time`, on year/month/day in UTC; null when the day does not exist
+const atDay = (time, year, month, day) => {
+    const date = new Date(Date.UTC(year, month, day, time.getUTCHours(), time.getUTCMinutes(), time.getUTCSeconds()));
+    return date.getUTCMonth() === ((month % 12) + 12) % 12 ? date : null;
+};
+
+// Day of the month of the nth (or last, for -1) `weekday` in a month
+const nthWeekdayOfMonth = (year, month, weekday, nth) => {
+    if (nth === -1) {
+        const last = new Date(Date.UTC(year, month + 1, 0));
+        return last.getUTCDate() - ((last.getUTCDay() - weekday + 7) % 7);
+    }
+    const first = new Date(Date.UTC(year, month, 1)).getUTCDay();
+    return 1 + ((weekday - first + 7) % 7) + (nth - 1) * 7;
+};
+
+// Candidate dates of the rule in period `n` (the nth day, week or month after the start), in order
+const datesInPeriod = (rule, start, n) => {
+    const step = n * rule.interval;
+
+    if (rule.freq === "daily") return [addDays(start, step)];
+
+    if (rule.freq === "weekly") {
+        const weekdays = rule.byWeekday.length > 0
+            ? rule.byWeekday.map((day) => WEEKDAYS.indexOf(day))
+            : [start.getUTCDay()];
+        // Weeks run Monday to Sunday, as RRULE's default WKST=MO
+        const weekStart = addDays(start, step * 7 - ((start.getUTCDay() + 6) % 7));
+        return [...new Set(weekdays)]
+            .map((weekday) => addDays(weekStart, (weekday + 6) % 7))
+            .sort((a, b) => a - b);
+    }
+
+    const year = start.getUTCFullYear();
+    const month = start.getUTCMonth() + step;
+    const day = rule.nth
+        ? nthWeekdayOfMonth(year, month, WEEKDAYS.indexOf(rule.byWeekday[0]), rule.nth)
+        : start.getUTCDate();
+    const date = atDay(start, year, month, day);
+    // Months without that day (the 31st, say) are skipped, as in RRULE
+    return date ? [date] : [];
+};
+
+/**
+ * Walks the occurrences of a rule in order, starting with rule.start as number 1.
+ * Calls visit(date, number) for each until it returns false or the rule ends.
+ */
+const eachOccurrence = (rule, visit) => {
+    const start = new Date(rule.start);
+    const until = rule.until ? new Date(rule.until) : null;
+
+    // The start is always the first occurrence, even when it is off the pattern
+    if (visit(start, 1) === false) return;
+
+    let number = 1;
+    for (let period = 0; period < MAX_STEPS; period += 1) {
+        for (const date of datesInPeriod(rule, start, period)) {
+            if (date <= start) continue;
+            if ((until && date > until) || (rule.count && number >= rule.count)) return;
+            number += 1;
+            if (visit(date, number) === false) return;
+        }
+    }
+};
+
+// The first occurrence numbered above `after` and, when given, later than `since`,
+// as { date, number }; null when the rule has ended
+const nextOccurrence = (rule, after, since = null) => {
+    let next = null;
+    eachOccurrence(rule, (date, number) => {
+        if (number <= after || (since && date <= since)) return true;
+        next = { date, number };
+        return false;
+    });
+    return next;
+};
+
+// Occurrences numbered above `after` that fall within [from, to], at most `limit` of them
+const occurrencesBetween = (rule, after, from, to, limit = 500) => {
+    const found = [];
+    eachOccurrence(rule, (date, number) => {
+        if (date > to || found.length >= limit) return false;
+        if (number > after && date >= from) found.push({ date, number });
+        return true;
+    });
+    return found;
+};
+
+// Returns an error message when the rule is malformed, otherwise null
+const validateRecurrence = (rule) => {
+    if (!rule || typeof rule !== "object") return "Recurrence must be an object";
+    if (!FREQUENCIES.includes(rule.freq)) return `Recurrence frequency must be one of ${FREQUENCIES.join(", ")}`;
+
+    const interval = rule.interval ?? 1;
+    if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) {
+        return `Recurrence interval must be a whole number between 1 and ${MAX_INTERVAL}`;
+    }
+
+    const byWeekday = rule.byWeekday || [];
+    if (!Array.isArray(byWeekday) || !byWeekday.every((day) => WEEKDAYS.includes(day))) {
+        return `Weekdays must be among ${WEEKDAYS.join(", ")}`;
+    }
+    if (rule.nth !== undefined && rule.nth !== null) {
+        if (rule.freq !== "monthly") return "Only monthly rules can fall on the nth weekday";
+        if (!NTH_VALUES.includes(rule.nth)) return "The nth weekday must be 1-4, or -1 for the last";
+        if (byWeekday.length !== 1) return "Choose the one weekday a monthly rule falls on";
+    }
+
+    if (rule.count && rule.until) return "A recurrence ends after a number of times or by a date, not both";
+    if (rule.count !== undefined && rule.count !== null
+        && (!Number.isInteger(rule.count) || rule.count < 1 || rule.count > MAX_COUNT)) {
+        return `A recurrence can repeat between 1 and ${MAX_COUNT} times`;
+    }
+    if (rule.until && Number.isNaN(new Date(rule.until).getTime())) return "The end date is not a valid date";
+    return null;
+};
+
+// The rule as an iCalendar RRULE value, e.g. "FREQ=MONTHLY;INTERVAL=1;BYDAY=-1FR".
+// Occurrences fall on days, so UNTIL is a date, to go with a date-valued DTSTART.
+const toRRule = (rule) => {
+    const parts = [`FREQ=${rule.freq.toUpperCase()}`, `INTERVAL=${rule.interval || 1}`];
+    if (rule.byWeekday?.length) {
+        parts.push(`BYDAY=${rule.nth ? `${rule.nth}${rule.byWeekday[0]}` : rule.byWeekday.join(",")}`);
+    }
+    if (rule.count) parts.push(`COUNT=${rule.count}`);
+    if (rule.until) parts.push(`UNTIL=${new Date(rule.until).toISOString().slice(0, 10).replace(/-/g, "")}`);
+    return parts.join(";");
+};
+
+module.exports = {
+    FREQUENCIES,
+    WEEKDAYS,
+    NTH_VALUES,
+    nextOccurrence,
+    occurrencesBetween,
+    validateRecurrence,
+    toRRule,
+};
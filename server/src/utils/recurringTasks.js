@@ -0,0 +1,79 @@
+const Task = require("../models/Task");
+const { nextOccurrence, validateRecurrence } = require("./recurrence");
+const { getWorkflow, settleOnBoard } = require("./workflows");
+
+// Makes a task the first occurrence of a new series repeating by `rule`, counted from
+// its due date. Returns an error message, or null when the rule was applied.
+const applyRecurrence = (task, rule) => {
+    if (rule === null) {
+        task.recurrence = null;
+        return null;
+    }
+    if (task.parent) return "Subtasks cannot repeat";
+    if (!task.dueDate) return "A recurring task needs a due date";
+
+    const invalid = validateRecurrence(rule);
+    if (invalid) return invalid;
+
+    task.recurrence = {
+        freq: rule.freq,
+        interval: rule.interval || 1,
+        byWeekday: rule.byWeekday || [],
+        nth: rule.nth || null,
+        count: rule.count || null,
+        until: rule.until || null,
+        start: task.dueDate,
+    };
+    task.series = task.series || task._id;
+    task.occurrence = 1;
+    task.nextCreated = false;
+    return null;
+};
+
+// Creates the occurrence that follows `task`, skipping any whose date has already passed.
+// Claims the task first, so each occurrence is created once however many callers race.
+const createNextOccurrence = async (task, now = new Date()) => {
+    const claimed = await Task.findOneAndUpdate(
+        { _id: task._id, nextCreated: false },
+        { nextCreated: true },
+        { new: true }
+    );
+    if (!claimed?.recurrence) return null;
+
+    const next = nextOccurrence(claimed.recurrence, claimed.occurrence, now);
+    if (!next) return null;
+
+    const occurrence = new Task({
+        title: claimed.title,
+        description: claimed.description,
+        priority: claimed.priority,
+        assignees: claimed.assignees,
+        owner: claimed.owner,
+        workspace: claimed.workspace,
+        dueDate: next.date,
+        checklist: claimed.checklist.map(({ text }) => ({ text })),
+        recurrence: claimed.recurrence,
+        series: claimed.series,
+        occurrence: next.number,
+    });
+    await settleOnBoard(occurrence, await getWorkflow(occurrence.workspace));
+    await occurrence.save();
+    return occurrence;
+};
+
+// Occurrences whose successor is due: the current one was completed or its date arrived
+const createDueOccurrences = async (now = new Date()) => {
+    const due = await Task.find({
+        "recurrence.freq": { $exists: true },
+        nextCreated: false,
+        $or: [{ status: "complete" }, { dueDate: { $lte: now } }],
+    });
+
+    let created = 0;
+    for (const task of due) {
+        if (await createNextOccurrence(task, now)) created += 1;
+    }
+    return created;
+};
+
+module.exports = { applyRecurrence, createNextOccurrence, createDueOccurrences };
@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+const Task = require("../models/Task");
+const { hasPermission } = require("./permissions");
+const { isWorkspaceAdmin } = require("./workspaces");
+
+// Task managers see every task. Everyone else sees what they own or are assigned to,
+// plus every task in workspaces they administer (req.workspaceRoles, see resolveWorkspace)
+const visibleTo = (req) => {
+    const { user } = req;
+    if (hasPermission(user.role, "tasks:manage")) return {};
+
+    const administered = [...req.workspaceRoles]
+        .filter(([, role]) => isWorkspaceAdmin(role))
+        .map(([id]) => new mongoose.Types.ObjectId(id));
+
+    return {
+        $or: [
+            { owner: user.userId },
+            { assignees: user.userId },
+            { workspace: { $in: administered } },
+        ],
+    };
+};
+
+// The task in req.params.id, or null when it is missing or hidden from the user
+const findVisibleTask = (req) => {
+    if (!mongoose.isValidObjectId(req.params.id)) return null;
+    return Task.findOne({ _id: req.params.id, ...visibleTo(req) });
+};
+
+module.exports = { visibleTo, findVisibleTask };
@@ -0,0 +1,39 @@
+const Task = require("../models/Task");
+
+// Whether making `taskId` wait on `blockerId` would close a loop, i.e. whether
+// `blockerId` already waits, directly or through other tasks, on `taskId`
+const wouldCycle = async (taskId, blockerId) => {
+    const target = String(taskId);
+    const seen = new Set([String(blockerId)]);
+
+    for (let level = [blockerId]; level.length > 0;) {
+        const tasks = await Task.find({ _id: { $in: level } }, "blockedBy");
+        level = [];
+        for (const id of tasks.flatMap((task) => task.blockedBy.map(String))) {
+            if (id === target) return true;
+            if (!seen.has(id)) {
+                seen.add(id);
+                level.push(id);
+            }
+        }
+    }
+    return false;
+};
+
+// Unlinks deleted tasks from the tasks they blocked, which may unblock them
+const releaseDependents = async (removedIds) => {
+    const dependents = await Task.find({ blockedBy: { $in: removedIds } }).distinct("_id");
+    if (dependents.length === 0) return;
+
+    await Task.updateMany({ _id: { $in: dependents } }, { $pullAll: { blockedBy: removedIds } });
+    await Task.refreshBlocked({ _id: { $in: dependents } });
+};
+
+// Explains why a blocked task cannot be completed yet
+const blockedMessage = async (task) => {
+    const blockers = await Task.find({ _id: { $in: task.blockedBy }, status: { $ne: "complete" } }, "title");
+    const titles = blockers.map((blocker) => `"${blocker.title}"`).join(", ");
+    return `"${task.title}" is blocked by ${titles} and cannot be completed yet`;
+};
+
+module.exports = { wouldCycle, releaseDependents, blockedMessage };
@@ -0,0 +1,33 @@
+const Task = require("../models/Task");
+
+// Cards are spaced this far apart, so most moves fit between two neighbours
+const POSITION_STEP = 1024;
+// Below this gap floating point runs out of room and the column is renumbered
+const MIN_GAP = 1e-6;
+
+// Position after the last card of a workspace column
+const endOfColumn = async (workspace, column) => {
+    const last = await Task.findOne({ workspace, column }, "position").sort({ position: -1 });
+    return last ? last.position + POSITION_STEP : 0;
+};
+
+// Renumbers a column to evenly spaced positions, keeping its order
+const rebalanceColumn = async (workspace, column) => {
+    const tasks = await Task.find({ workspace, column }, "_id").sort({ position: 1, createdAt: 1 });
+    await Task.bulkWrite(tasks.map((task, index) => ({
+        updateOne: { filter: { _id: task._id }, update: { $set: { position: index * POSITION_STEP } } },
+    })));
+};
+
+// Fractional position between the cards above and below a drop; either may be missing
+const positionBetween = (above, below) => {
+    if (above && below) return (above.position + below.position) / 2;
+    if (above) return above.position + POSITION_STEP;
+    if (below) return below.position - POSITION_STEP;
+    return 0;
+};
+
+const needsRebalance = (above, below) =>
+    Boolean(above && below) && Math.abs(below.position - above.position) < MIN_GAP;
+
+module.exports = { POSITION_STEP, endOfColumn, rebalanceColumn, positionBetween, needsRebalance };
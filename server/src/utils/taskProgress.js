@@ -0,0 +1,44 @@
+const Task = require("../models/Task");
+const { getWorkflow, canTransition, firstOpenColumn, settleOnBoard } = require("./workflows");
+
+// Share of finished checklist items and subtasks, as a whole percentage.
+// Only a task with everything finished reaches 100%.
+const percentDone = (done, total) => (done === total ? 100 : Math.min(99, Math.round((done / total) * 100)));
+
+// Recomputes a task's progress from its checklist and subtasks, then does the same
+// for its parent, since finishing a subtask can finish the task above it.
+// Tasks without items keep the progress set by hand. A blocked task cannot be completed,
+// so finishing its items leaves it at 99% until it is unblocked. Nor can items complete or
+// reopen a task when the workflow forbids the move of its card that would make: the task
+// then stays in its column, short of or at 100%.
+const recomputeProgress = async (taskId) => {
+    const task = await Task.findById(taskId);
+    if (!task) return;
+
+    const subtasks = await Task.find({ parent: task._id }, "status");
+    const subtasksDone = subtasks.filter((subtask) => subtask.status === "complete").length;
+    task.subtasks = { total: subtasks.length, done: subtasksDone };
+
+    const workflow = await getWorkflow(task.workspace);
+    const total = task.checklist.length + subtasks.length;
+    if (total > 0) {
+        const done = task.checklist.filter((item) => item.done).length + subtasksDone;
+        let progress = percentDone(done, total);
+        if (task.status !== "complete" && progress === 100) {
+            if (task.blocked || !canTransition(workflow, task.column, Task.DONE_COLUMN)) progress = 99;
+        } else if (task.status === "complete" && progress < 100) {
+            if (!canTransition(workflow, task.column, firstOpenColumn(workflow))) progress = 100;
+        }
+        task.progress = progress;
+    }
+
+    await settleOnBoard(task, workflow);
+    await task.save();
+
+    if (task.parent) await recomputeProgress(task.parent);
+};
+
+// Whether a task's progress is computed rather than set by hand
+const hasItems = (task) => task.checklist.length > 0 || task.subtasks.total > 0;
+
+module.exports = { recomputeProgress, hasItems };
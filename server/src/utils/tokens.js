@@ -0,0 +1,84 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const RefreshToken = require("../models/RefreshToken");
+require("dotenv").config();
+
+const ACCESS_TOKEN_TTL = "15m";
+const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const REFRESH_COOKIE = "refreshToken";
+
+const isProduction = process.env.NODE_ENV === "production";
+
+// In production the client and the API are on different hosts, and
+// cross-site cookies must be SameSite=None, which browsers only accept with Secure
+const refreshCookieOptions = {
+    httpOnly: true,
+    secure: isProduction,
+    sameSite: isProduction ? "none" : "lax",
+    path: "/api/auth",
+};
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// Short-lived JWT sent with every API request.
+// jti lets a single token be revoked, tv ties it to the user's token version.
+const signAccessToken = (user) => jwt.sign(
+    { userId: user._id, role: user.role, tv: user.tokenVersion || 0 },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL, jwtid: crypto.randomUUID() }
+);
+
+// Random opaque refresh token; only its hash is ever stored
+const generateRefreshToken = () => {
+    const token = crypto.randomBytes(48).toString("hex");
+    return { token, tokenHash: hashToken(token) };
+};
+
+// Stores a refresh token and sets it as an httpOnly cookie; returns its family.
+// Pass a family to continue an existing session instead of starting a new one.
+const issueRefreshToken = async (res, user, {
+    family = crypto.randomUUID(),
+    refreshToken = generateRefreshToken(),
+} = {}) => {
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_MS);
+
+    await RefreshToken.create({ user: user._id, tokenHash: refreshToken.tokenHash, family, expiresAt });
+    res.cookie(REFRESH_COOKIE, refreshToken.token, { ...refreshCookieOptions, expires: expiresAt });
+
+    return family;
+};
+
+const clearRefreshCookie = (res) => {
+    res.clearCookie(REFRESH_COOKIE, refreshCookieOptions);
+};
+
+// Revokes every refresh token issued from the same login
+const revokeTokenFamily = (family) => RefreshToken.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date() }
+);
+
+// Revokes every refresh token the user holds, on every device
+const revokeUserTokens = (userId) => RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date() }
+);
+
+// Starts a new session: refresh token in a cookie, access token returned for the body.
+// The refresh token family doubles as the session id in the activity log.
+const startSession = async (res, user) => {
+    const session = await issueRefreshToken(res, user);
+    return { token: signAccessToken(user), session };
+};
+
+module.exports = {
+    REFRESH_COOKIE,
+    hashToken,
+    signAccessToken,
+    generateRefreshToken,
+    issueRefreshToken,
+    clearRefreshCookie,
+    revokeTokenFamily,
+    revokeUserTokens,
+    startSession,
+};
@@ -0,0 +1,25 @@
+const jwt = require("jsonwebtoken");
+const UserLog = require("../models/UserLog");
+
+// Records an authentication event. Logging must never break the auth flow,
+// so failures are reported and swallowed.
+const recordUserLog = async (req, { action, user, email, token, session }) => {
+    try {
+        const jti = token ? jwt.decode(token)?.jti : req.user?.jti;
+
+        await UserLog.create({
+            user: user?._id || null,
+            email: user?.email || email || "",
+            role: user?.role || null,
+            action,
+            session: session || null,
+            jti: jti || null,
+            ip: req.ip,
+            userAgent: req.get("User-Agent") || null,
+        });
+    } catch (error) {
+        console.error("Failed to record user log:", error);
+    }
+};
+
+module.exports = { recordUserLog };
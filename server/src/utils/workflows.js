@@ -0,0 +1,77 @@
+const Workflow = require("../models/Workflow");
+const Task = require("../models/Task");
+const { endOfColumn } = require("./taskPositions");
+
+const { DONE_COLUMN } = Task;
+
+// Board of workspaces that never customised their workflow
+const DEFAULT_WORKFLOW = {
+    columns: [
+        { key: "todo", name: "To Do", color: "#ff6384", wipLimit: null },
+        { key: "in_progress", name: "In Progress", color: "#ffce56", wipLimit: null },
+        { key: DONE_COLUMN, name: "Completed", color: "#36a2eb", wipLimit: null },
+    ],
+    transitions: [],
+};
+
+// The workspace's workflow as a plain object, falling back to the default
+const getWorkflow = async (workspaceId) => {
+    const workflow = await Workflow.findOne({ workspace: workspaceId }, "columns transitions").lean();
+    return workflow || DEFAULT_WORKFLOW;
+};
+
+const hasColumn = (workflow, key) => workflow.columns.some((column) => column.key === key);
+
+const canTransition = (workflow, from, to) => {
+    if (from === to) return true;
+    const rule = workflow.transitions.find((transition) => transition.from === from);
+    return !rule || rule.to.includes(to);
+};
+
+// The first column of a workflow that does not hold completed tasks
+const firstOpenColumn = (workflow) => workflow.columns.find((column) => column.key !== DONE_COLUMN).key;
+
+// Validates a new or changed task and keeps its card on the board. A reopened task leaves
+// the done column for the first open column, as do cards in a column the workflow lacks.
+// New cards, and cards that changed column, go last.
+const settleOnBoard = async (task, workflow) => {
+    await task.validate();
+    if (task.$locals.reopened || !hasColumn(workflow, task.column)) {
+        task.column = firstOpenColumn(workflow);
+        task.$locals.reopened = false;
+    }
+    if (task.isNew || task.isModified("column")) {
+        task.position = await endOfColumn(task.workspace, task.column);
+    }
+};
+
+// Checks a submitted workflow; returns an error message, or null when it is usable
+const validateWorkflow = ({ columns, transitions = [] }) => {
+    if (!Array.isArray(columns) || columns.length < 2) return "A workflow needs at least two columns";
+    if (!Array.isArray(transitions)) return "transitions must be a list";
+
+    if (columns.some((column) => !column || typeof column.key !== "string")) return "Every column needs a key";
+
+    const keys = columns.map((column) => column.key);
+    if (new Set(keys).size !== keys.length) return "Column keys must be unique";
+    if (!keys.includes(DONE_COLUMN)) return `The "${DONE_COLUMN}" column cannot be removed`;
+
+    const known = new Set(keys);
+    const unknown = transitions.some((transition) =>
+        !transition || !known.has(transition.from)
+        || !Array.isArray(transition.to) || transition.to.some((key) => !known.has(key)));
+    if (unknown) return "Transitions may only name columns of the workflow";
+
+    return null;
+};
+
+module.exports = {
+    DONE_COLUMN,
+    DEFAULT_WORKFLOW,
+    getWorkflow,
+    hasColumn,
+    canTransition,
+    firstOpenColumn,
+    settleOnBoard,
+    validateWorkflow,
+};
@@ -0,0 +1,32 @@
+const Workspace = require("../models/Workspace");
+
+// Returns the user's personal workspace, creating it on first use.
+// The upsert plus the unique index keeps concurrent requests from making two.
+const ensurePersonalWorkspace = async (userId) => {
+    try {
+        return await Workspace.findOneAndUpdate(
+            { owner: userId, personal: true },
+            {
+                $setOnInsert: {
+                    name: "Personal",
+                    members: [{ user: userId, role: "owner" }],
+                },
+            },
+            { upsert: true, new: true, setDefaultsOnInsert: true }
+        );
+    } catch (error) {
+        // Lost the race to a concurrent upsert; the other one created it
+        if (error.code === 11000) return Workspace.findOne({ owner: userId, personal: true });
+        throw error;
+    }
+};
+
+// Map of workspace id -> the user's role in it
+const membershipsOf = async (userId) => {
+    const workspaces = await Workspace.find({ "members.user": userId }, "members");
+    return new Map(workspaces.map((workspace) => [String(workspace._id), workspace.roleOf(userId)]));
+};
+
+const isWorkspaceAdmin = (role) => role === "owner" || role === "admin";
+
+module.exports = { ensurePersonalWorkspace, membershipsOf, isWorkspaceAdmin };
@@ -15,6 +15,7 @@ import {
   Routes,
   Route,
   Navigate,
+  useLocation,
 } from 'react-router-dom';
 import { useAuth } from './contexts/AuthContext';
 
@@ -36,6 +37,7 @@ import ManageUsers from './pages/AdminPages/ManageUsers';
 import ManageTasks from './pages/AdminPages/ManageTasks';
 import Settings from './pages/AdminPages/Settings';
 import UserLogPage from './pages/AdminPages/UserLogPage';
+import ManageWorkflows from './pages/AdminPages/ManageWorkflows';
 
 // User Pages
 import UserDashboard from './pages/UserPages/Dashboard';
@@ -50,44 +52,51 @@ import TaskFilter from './components/tasks/TaskFilter';
 // Context Providers
 import AuthProvider from './contexts/AuthContext';
 import NotificationProvider from './contexts/NotificationContext';
+import WorkspaceProvider from './contexts/WorkspaceContext';
 import NotAuthenticated from './components/NotAuthenticated';
 
 /**
  * Protected Route Component
  *
  * Higher-order component that protects routes requiring authentication.
- * Redirects unauthenticated users to the login page with return path.
+ * Admin routes are gated on permissions of the role returned by /api/auth/me;
+ * signed-out visitors are sent to the login page with the return path.
  *
  * @param {Object} props - Component props
  * @param {React.ReactNode} props.children - Child components to render when authenticated
- * @param {string} [props.requiredRole] - Optional role required to access the route
+ * @param {string} [props.requiredPermission] - Optional permission required to access the route
  */
-const ProtectedRoute = ({ children, requiredRole }) => {
-  const { user, hasRole } = useAuth();
+const ProtectedRoute = ({ children, requiredPermission }) => {
+  const { user, can } = useAuth();
+  const location = useLocation();
 
-  // Check if user is authenticated
-  const isAuthenticated = !!user || !!localStorage.getItem('token');
-
-  // If not authenticated, redirect to login
-  if (!isAuthenticated) {
+  // If not authenticated, let the page render its signed-out state
+  if (!requiredPermission) {
     return children;
   }
 
-  // If role is required, check if user has the role
-  if (requiredRole) {
-    const hasRequiredRole = hasRole(requiredRole);
+  // The user is only set once the server has confirmed the stored token
+  if (!user) {
+    return (
+      <Navigate
+        to='/login'
+        state={{ from: location.pathname, role: 'admin' }}
+        replace
+      />
+    );
+  }
 
-    if (!hasRequiredRole) {
-      // Redirect to appropriate dashboard based on user's role
-      const userRole = localStorage.getItem('userRole');
-      const redirectPath =
-        userRole === 'admin' ? '/admin/dashboard' : '/admin/dashboard';
+  // Check the role the server reported, not anything kept in localStorage
+  if (!can(requiredPermission)) {
+    // Redirect to appropriate dashboard based on user's permissions
+    const redirectPath = can('admin:access')
+      ? '/admin/dashboard'
+      : '/user/dashboard';
 
-      return <Navigate to={redirectPath} replace />;
-    }
+    return <Navigate to={redirectPath} replace />;
   }
 
-  // User is authenticated and has required role (if specified)
+  // User is authenticated and has required permission (if specified)
   return children;
 };
 
@@ -99,146 +108,156 @@ const ProtectedRoute = ({ children, requiredRole }) => {
 function App() {
   return (
     <AuthProvider>
-      <NotificationProvider>
-        <Router>
-          <div className='flex flex-col min-h-screen'>
-            <Navbar />
-
-            <main className='flex-grow'>
-              <Routes>
-                {/* Public Routes */}
-                <Route path='/' element={<Login />} />
-                <Route path='/home' element={<Landing />} />
-                <Route path='/login' element={<Login />} />
-                <Route path='/signup' element={<Signup />} />
-                <Route path='/forgot-password' element={<ForgotPassword />} />
-                <Route path='/reset-password' element={<ResetPassword />} />
-
-                {/* Protected Admin Routes */}
-                <Route
-                  path='/admin/dashboard'
-                  element={
-                    <ProtectedRoute requiredRole='admin'>
-                      <Dashboard />
-                    </ProtectedRoute>
-                  }
-                />
-                <Route
-                  path='/admin/users'
-                  element={
-                    <ProtectedRoute requiredRole='admin'>
-                      <Users />
-                    </ProtectedRoute>
-                  }
-                />
-                <Route
-                  path='/admin/manage-users'
-                  element={
-                    <ProtectedRoute requiredRole='admin'>
-                      <ManageUsers />
-                    </ProtectedRoute>
-                  }
-                />
-                <Route
-                  path='/admin/manage-tasks'
-                  element={
-                    <ProtectedRoute requiredRole='admin'>
-                      <ManageTasks />
-                    </ProtectedRoute>
-                  }
-                />
-                <Route
-                  path='/admin/settings'
-                  element={
-                    <ProtectedRoute requiredRole='admin'>
-                      <Settings />
-                    </ProtectedRoute>
-                  }
-                />
-                <Route
-                  path='/admin/user-logs'
-                  element={
-                    <ProtectedRoute requiredRole='admin'>
-                      <UserLogPage />
-                    </ProtectedRoute>
-                  }
-                />
-                <Route
-                  path='/admin/task-filter'
-                  element={
-                    <ProtectedRoute requiredRole='admin'>
-                      <TaskFilter />
-                    </ProtectedRoute>
-                  }
-                />
-                <Route
-                  path='/user/not-authenticated'
-                  element={<NotAuthenticated />}
-                />
-
-                {/* Protected User Routes */}
-                <Route
-                  path='/user/dashboard'
-                  element={
-                    <ProtectedRoute>
-                      <UserDashboard />
-                    </ProtectedRoute>
-                  }
-                />
-                <Route
-                  path='/user/userpage'
-                  element={
-                    <ProtectedRoute>
-                      <UserPage />
-                    </ProtectedRoute>
-                  }
-                />
-                <Route
-                  path='/user/notifications'
-                  element={
-                    <ProtectedRoute>
-                      <NotificationsPage />
-                    </ProtectedRoute>
-                  }
-                />
-                <Route
-                  path='/user/calendar'
-                  element={
-                    <ProtectedRoute>
-                      <CalendarPage />
-                    </ProtectedRoute>
-                  }
-                />
-                <Route
-                  path='/user/profile'
-                  element={
-                    <ProtectedRoute>
-                      <ProfilePage />
-                    </ProtectedRoute>
-                  }
-                />
-                <Route
-                  path='/user/task-filter'
-                  element={
-                    <ProtectedRoute>
-                      <TaskFilter />
-                    </ProtectedRoute>
-                  }
-                />
-
-                {/* Fallback Route - Redirect to landing page */}
-                <Route path='*' element={<Navigate to='/' replace />} />
-                <Route
-                  path='/user/not-authenticated'
-                  element={<NotAuthenticated />}
-                />
-              </Routes>
-            </main>
-
-            <Footer />
-          </div>
-        </Router>
-      </NotificationProvider>
+      <WorkspaceProvider>
+        <NotificationProvider>
+          <Router>
+            <div className='flex flex-col min-h-screen'>
+              <Navbar />
+
+              <main className='flex-grow'>
+                <Routes>
+                  {/* Public Routes */}
+                  <Route path='/' element={<Login />} />
+                  <Route path='/home' element={<Landing />} />
+                  <Route path='/login' element={<Login />} />
+                  <Route path='/signup' element={<Signup />} />
+                  <Route path='/forgot-password' element={<ForgotPassword />} />
+                  <Route path='/reset-password' element={<ResetPassword />} />
+
+                  {/* Protected Admin Routes */}
+                  <Route
+                    path='/admin/dashboard'
+                    element={
+                      <ProtectedRoute requiredPermission='admin:access'>
+                        <Dashboard />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path='/admin/users'
+                    element={
+                      <ProtectedRoute requiredPermission='users:read'>
+                        <Users />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path='/admin/manage-users'
+                    element={
+                      <ProtectedRoute requiredPermission='users:read'>
+                        <ManageUsers />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path='/admin/manage-tasks'
+                    element={
+                      <ProtectedRoute requiredPermission='tasks:manage'>
+                        <ManageTasks />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path='/admin/workflows'
+                    element={
+                      <ProtectedRoute requiredPermission='tasks:manage'>
+                        <ManageWorkflows />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path='/admin/settings'
+                    element={
+                      <ProtectedRoute requiredPermission='admin:access'>
+                        <Settings />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path='/admin/user-logs'
+                    element={
+                      <ProtectedRoute requiredPermission='logs:read'>
+                        <UserLogPage />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path='/admin/task-filter'
+                    element={
+                      <ProtectedRoute requiredPermission='tasks:manage'>
+                        <TaskFilter />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path='/user/not-authenticated'
+                    element={<NotAuthenticated />}
+                  />
+
+                  {/* Protected User Routes */}
+                  <Route
+                    path='/user/dashboard'
+                    element={
+                      <ProtectedRoute>
+                        <UserDashboard />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path='/user/userpage'
+                    element={
+                      <ProtectedRoute>
+                        <UserPage />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path='/user/notifications'
+                    element={
+                      <ProtectedRoute>
+                        <NotificationsPage />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path='/user/calendar'
+                    element={
+                      <ProtectedRoute>
+                        <CalendarPage />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path='/user/profile'
+                    element={
+                      <ProtectedRoute>
+                        <ProfilePage />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path='/user/task-filter'
+                    element={
+                      <ProtectedRoute>
+                        <TaskFilter />
+                      </ProtectedRoute>
+                    }
+                  />
+
+                  {/* Fallback Route - Redirect to landing page */}
+                  <Route path='*' element={<Navigate to='/' replace />} />
+                  <Route
+                    path='/user/not-authenticated'
+                    element={<NotAuthenticated />}
+                  />
+                </Routes>
+              </main>
+
+              <Footer />
+            </div>
+          </Router>
+        </NotificationProvider>
+      </WorkspaceProvider>
     </AuthProvider>
   );
 }
@@ -1,28 +1,242 @@
-const API_URL = "https://zidio-task-management-backend.onrender.com/";
+import { apiRequest, apiDownload } from "./utils/api";
+import { validateTask } from "./utils/taskSchema";
 
-export const fetchTasks = async () => {
-  const response = await fetch(API_URL);
-  return await response.json();
+// Fired after every task mutation so open task views can refetch
+export const TASKS_UPDATED_EVENT = "tasksUpdated";
+
+const notifyTasksUpdated = () => {
+  window.dispatchEvent(new Event(TASKS_UPDATED_EVENT));
+};
+
+// Reject invalid tasks before they reach the server, with the same rules it applies
+const assertValidTask = (task, options) => {
+  const errors = validateTask(task, options);
+  const messages = Object.values(errors);
+
+  if (messages.length > 0) {
+    const error = new Error(messages[0]);
+    error.errors = errors;
+    throw error;
+  }
+};
+
+export const fetchTasks = async (params = {}) => {
+  const query = new URLSearchParams(params).toString();
+  return apiRequest(`/api/tasks${query ? `?${query}` : ""}`);
+};
+
+// Computed upcoming occurrences of recurring tasks between two dates, for the calendar
+export const fetchOccurrences = async (from, to) => {
+  const params = new URLSearchParams({ from: from.toISOString(), to: to.toISOString() });
+  return apiRequest(`/api/tasks/occurrences?${params}`);
+};
+
+export const fetchTask = async (id) => {
+  return apiRequest(`/api/tasks/${id}`);
 };
 
 export const createTask = async (task) => {
-  const response = await fetch(API_URL, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(task),
-  });
-  return await response.json();
+  assertValidTask(task);
+  const created = await apiRequest("/api/tasks", { method: "POST", body: task });
+  notifyTasksUpdated();
+  return created;
 };
 
 export const deleteTask = async (id) => {
-  await fetch(`${API_URL}/${id}`, { method: "DELETE" });
+  await apiRequest(`/api/tasks/${id}`, { method: "DELETE" });
+  notifyTasksUpdated();
 };
 
 export const updateTask = async (id, updates) => {
-  const response = await fetch(`${API_URL}/${id}`, {
+  assertValidTask(updates, { partial: true });
+  const updated = await apiRequest(`/api/tasks/${id}`, { method: "PATCH", body: updates });
+  notifyTasksUpdated();
+  return updated;
+};
+
+export const fetchSubtasks = async (id) => {
+  return fetchTasks({ parent: id });
+};
+
+// Checklist changes answer with the task, its progress recomputed by the server
+export const addChecklistItem = async (taskId, text) => {
+  const task = await apiRequest(`/api/tasks/${taskId}/checklist`, { method: "POST", body: { text } });
+  notifyTasksUpdated();
+  return task;
+};
+
+export const updateChecklistItem = async (taskId, itemId, changes) => {
+  const task = await apiRequest(`/api/tasks/${taskId}/checklist/${itemId}`, {
     method: "PATCH",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(updates),
+    body: changes,
   });
-  return await response.json();
-};
\ No newline at end of file
+  notifyTasksUpdated();
+  return task;
+};
+
+export const deleteChecklistItem = async (taskId, itemId) => {
+  const task = await apiRequest(`/api/tasks/${taskId}/checklist/${itemId}`, { method: "DELETE" });
+  notifyTasksUpdated();
+  return task;
+};
+
+// Tasks a task waits on ("blocked by") and the tasks waiting on it ("blocks")
+export const fetchDependencies = async (taskId) => {
+  return apiRequest(`/api/tasks/${taskId}/dependencies`);
+};
+
+// Makes `taskId` wait on `blockerId`; the server refuses links that would form a cycle
+export const addDependency = async (taskId, blockerId) => {
+  const task = await apiRequest(`/api/tasks/${taskId}/dependencies`, {
+    method: "POST",
+    body: { blockedBy: blockerId },
+  });
+  notifyTasksUpdated();
+  return task;
+};
+
+export const removeDependency = async (taskId, blockerId) => {
+  const task = await apiRequest(`/api/tasks/${taskId}/dependencies/${blockerId}`, { method: "DELETE" });
+  notifyTasksUpdated();
+  return task;
+};
+
+// Comments on a task, oldest first; replies carry the id of the comment they answer
+export const fetchComments = async (taskId) => {
+  return apiRequest(`/api/tasks/${taskId}/comments`);
+};
+
+// Adding or removing a comment changes the task's comment count
+export const postComment = async (taskId, body, parent = null) => {
+  const comment = await apiRequest(`/api/tasks/${taskId}/comments`, { method: "POST", body: { body, parent } });
+  notifyTasksUpdated();
+  return comment;
+};
+
+export const editComment = async (taskId, commentId, body) => {
+  return apiRequest(`/api/tasks/${taskId}/comments/${commentId}`, { method: "PATCH", body: { body } });
+};
+
+export const deleteComment = async (taskId, commentId) => {
+  const result = await apiRequest(`/api/tasks/${taskId}/comments/${commentId}`, { method: "DELETE" });
+  notifyTasksUpdated();
+  return result;
+};
+
+// Files attached to a task; uploads and removals change the task's attachment count
+export const fetchAttachments = async (taskId) => {
+  return apiRequest(`/api/tasks/${taskId}/attachments`);
+};
+
+export const uploadAttachment = async (taskId, file) => {
+  const body = new FormData();
+  body.append("file", file);
+  const attachment = await apiRequest(`/api/tasks/${taskId}/attachments`, { method: "POST", body });
+  notifyTasksUpdated();
+  return attachment;
+};
+
+// Resolves to the file as a Blob
+export const downloadAttachment = async (taskId, attachmentId) => {
+  return apiDownload(`/api/tasks/${taskId}/attachments/${attachmentId}`);
+};
+
+export const deleteAttachment = async (taskId, attachmentId) => {
+  const result = await apiRequest(`/api/tasks/${taskId}/attachments/${attachmentId}`, { method: "DELETE" });
+  notifyTasksUpdated();
+  return result;
+};
+
+/**
+ * Moves a board card into `column`, between the cards `above` and `below`
+ * (task ids, null at either end of the column). The server picks the position.
+ */
+export const moveTask = async (id, { column, above = null, below = null }) => {
+  const moved = await apiRequest(`/api/tasks/${id}/move`, {
+    method: "PATCH",
+    body: { column, above, below },
+  });
+  notifyTasksUpdated();
+  return moved;
+};
+
+// Creates tasks and calendar events in the current workspace in one batch; nothing is
+// created unless every row is valid. With dryRun the rows are only checked, and the
+// result lists the problems as { kind, index, message }.
+export const importRows = async ({ tasks = [], events = [] }, { dryRun = false } = {}) => {
+  const result = await apiRequest("/api/import", { method: "POST", body: { tasks, events, dryRun } });
+  if (!dryRun) notifyTasksUpdated();
+  return result;
+};
+
+// Calendar events of the current workspace overlapping a date range
+export const fetchEvents = async (from, to) => {
+  const params = new URLSearchParams({ from: from.toISOString(), to: to.toISOString() });
+  return apiRequest(`/api/events?${params}`);
+};
+
+export const createEvent = async (event) => {
+  return apiRequest("/api/events", { method: "POST", body: event });
+};
+
+export const updateEvent = async (id, changes) => {
+  return apiRequest(`/api/events/${id}`, { method: "PATCH", body: changes });
+};
+
+export const deleteEvent = async (id) => {
+  return apiRequest(`/api/events/${id}`, { method: "DELETE" });
+};
+
+// Calendar of the current workspace for a date range, as an .ics file Blob
+export const downloadCalendar = async (from, to) => {
+  const params = new URLSearchParams({ from: from.toISOString(), to: to.toISOString() });
+  return apiDownload(`/api/calendar/export.ics?${params}`);
+};
+
+// Whether the user has a calendar feed to subscribe to
+export const fetchCalendarFeed = async () => {
+  return apiRequest("/api/calendar/feed");
+};
+
+// Creates a new feed URL, or replaces the current one; the old URL stops working
+export const createCalendarFeed = async () => {
+  return apiRequest("/api/calendar/feed", { method: "POST" });
+};
+
+export const deleteCalendarFeed = async () => {
+  return apiRequest("/api/calendar/feed", { method: "DELETE" });
+};
+
+// Board columns and allowed moves of a workspace
+export const fetchWorkflow = async (workspaceId) => {
+  return apiRequest(`/api/workspaces/${workspaceId}/workflow`);
+};
+
+export const saveWorkflow = async (workspaceId, workflow) => {
+  return apiRequest(`/api/workspaces/${workspaceId}/workflow`, { method: "PUT", body: workflow });
+};
+
+// Users who can be assigned tasks in the current workspace, or in `workspace` when given
+export const searchUsers = async (query, workspace) => {
+  const params = new URLSearchParams({ q: query, ...(workspace && { workspace }) });
+  return apiRequest(`/api/users/search?${params}`);
+};
+
+// A page of the user's notifications, newest first, with how many are unread
+export const fetchNotifications = async ({ page = 1, limit = 20, unreadOnly = false } = {}) => {
+  const params = new URLSearchParams({ page, limit, ...(unreadOnly && { unread: "true" }) });
+  return apiRequest(`/api/notifications?${params}`);
+};
+
+export const fetchUnreadCount = async () => {
+  return apiRequest("/api/notifications/unread-count");
+};
+
+// Marks a notification read or unread; the result holds it and the new unread count
+export const markNotificationRead = async (id, read = true) => {
+  return apiRequest(`/api/notifications/${id}`, { method: "PATCH", body: { read } });
+};
+
+export const markAllNotificationsRead = async () => {
+  return apiRequest("/api/notifications/read-all", { method: "POST" });
+};
@@ -6,7 +6,7 @@ function TaskForm({ addTask }) {
   const handleSubmit = (e) => {
     e.preventDefault();
     if (!title.trim()) return;
-    addTask({ id: Date.now(), title, completed: false });
+    addTask({ title, status: "incomplete" });
     setTitle("");
   };
 
@@ -1,19 +1,21 @@
 function TaskItem({ task, deleteTask, toggleComplete }) {
+  const isComplete = task.status === 'complete';
+
   return (
-    <li className={`flex justify-between items-center p-3 border rounded ${task.completed ? 'bg-green-100' : 'bg-white'}`}>
+    <li className={`flex justify-between items-center p-3 border rounded ${isComplete ? 'bg-green-100' : 'bg-white'}`}>
       <div className="flex items-center space-x-2">
         <input 
           type="checkbox" 
-          checked={task.completed} 
-          onChange={() => toggleComplete(task.id)} 
+          checked={isComplete} 
+          onChange={() => toggleComplete(task._id)} 
           className="cursor-pointer"
         />
-        <span className={`${task.completed ? 'line-through text-gray-500' : 'text-black'}`}>
+        <span className={`${isComplete ? 'line-through text-gray-500' : 'text-black'}`}>
           {task.title}
         </span>
       </div>
       <button 
-        onClick={() => deleteTask(task.id)} 
+        onClick={() => deleteTask(task._id)} 
         className="text-red-500 hover:text-red-700"
       >
         Delete
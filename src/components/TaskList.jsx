@@ -2,159 +2,42 @@
  * TaskList Component
  * 
  * A comprehensive task management component that displays tasks in a dropdown from the navbar.
- * Implements full CRUD functionality with localStorage persistence for data sharing between components.
+ * Reads and updates tasks through the TaskFlow API so every open view stays in sync.
  * 
  * Features:
  * - Displays task title, description, status, priority, and due date
  * - Allows marking tasks as complete/incomplete
  * - Provides task editing capability with validation
- * - Implements localStorage for persistent storage and cross-component data sharing
+ * - Persists changes through the tasks API
  * - Includes loading, error, and empty states with appropriate UI feedback
  * 
  * @author Senior Full-Stack Engineer
  * @version 1.1.0
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState } from 'react';
 import { FaCheck, FaEdit, FaSpinner, FaExclamationTriangle, FaCalendarAlt, FaFlag } from 'react-icons/fa';
+import { useTasks } from '../hooks/useTasks';
 
 const TaskList = () => {
-  // State management with proper initialization
-  const [tasks, setTasks] = useState([]);
-  const [filteredTasks, setFilteredTasks] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
+  // Tasks come from the API and refresh whenever another view changes them
+  const { tasks, loading, error, editTask } = useTasks();
   const [editingTask, setEditingTask] = useState(null);
   const [editForm, setEditForm] = useState({ title: '', description: '' });
 
-  /**
-   * Load tasks from localStorage or initialize with mock data
-   * Uses localStorage for cross-component data sharing
-   */
-  useEffect(() => {
-    const loadTasks = async () => {
-      try {
-        // Simulate network delay for realistic UX
-        await new Promise(resolve => setTimeout(resolve, 500));
-        
-        // Check for existing tasks in localStorage
-        const storedTasks = localStorage.getItem('tasks');
-        
-        if (storedTasks) {
-          // Parse and use stored tasks
-          const parsedTasks = JSON.parse(storedTasks);
-          setTasks(parsedTasks);
-          setFilteredTasks(parsedTasks);
-        } else {
-          // Initialize with mock data if no stored tasks exist
-          const mockTasks = [
-            {
-              _id: '1',
-              title: 'Complete project documentation',
-              description: 'Write comprehensive documentation for the TaskFlow project',
-              status: 'incomplete',
-              priority: 'high',
-              dueDate: new Date().toISOString(),
-              createdAt: new Date().toISOString()
-            },
-            {
-              _id: '2',
-              title: 'Fix navigation bug',
-              description: 'Address the issue with sidebar navigation on mobile devices',
-              status: 'complete',
-              priority: 'medium',
-              dueDate: new Date().toISOString(),
-              createdAt: new Date(Date.now() - 86400000).toISOString()
-            },
-            {
-              _id: '3',
-              title: 'Implement user feedback',
-              description: 'Add the user feedback form to the dashboard',
-              status: 'incomplete',
-              priority: 'low',
-              dueDate: new Date(Date.now() + 86400000).toISOString(),
-              createdAt: new Date(Date.now() - 172800000).toISOString()
-            },
-            {
-              _id: '4',
-              title: 'Update dependencies',
-              description: 'Update all npm packages to their latest versions',
-              status: 'incomplete',
-              priority: 'medium',
-              dueDate: new Date(Date.now() + 172800000).toISOString(),
-              createdAt: new Date(Date.now() - 259200000).toISOString()
-            }
-          ];
-          
-          // Store mock tasks in localStorage for persistence
-          localStorage.setItem('tasks', JSON.stringify(mockTasks));
-          
-          setTasks(mockTasks);
-          setFilteredTasks(mockTasks);
-        }
-        
-        setError(null);
-      } catch (err) {
-        console.error('Error loading tasks:', err);
-        setError('Failed to load tasks. Please try again later.');
-      } finally {
-        setLoading(false);
-      }
-    };
-
-    loadTasks();
-    
-    // Set up event listener for storage changes from other components
-    const handleStorageChange = (e) => {
-      if (e.key === 'tasks') {
-        try {
-          const updatedTasks = JSON.parse(e.newValue || '[]');
-          setTasks(updatedTasks);
-          setFilteredTasks(updatedTasks);
-        } catch (err) {
-          console.error('Error parsing tasks from storage:', err);
-        }
-      }
-    };
-    
-    // Add event listener for storage changes
-    window.addEventListener('storage', handleStorageChange);
-    
-    // Clean up event listener on component unmount
-    return () => {
-      window.removeEventListener('storage', handleStorageChange);
-    };
-  }, []);
-
   /**
    * Toggle task completion status
-   * Updates both component state and localStorage
    * 
-   * @param {string} taskId - ID of the task to update
+   * @param {Object} task - Task to update
    */
-  const handleStatusChange = (taskId) => {
-    const updatedTasks = tasks.map(task => 
-      task._id === taskId 
-        ? { 
-            ...task, 
-            status: task.status === 'complete' ? 'incomplete' : 'complete',
-            updatedAt: new Date().toISOString()
-          } 
-        : task
-    );
-    
-    // Update local state
-    setTasks(updatedTasks);
-    setFilteredTasks(updatedTasks);
-    
-    // Persist to localStorage for cross-component sharing
-    localStorage.setItem('tasks', JSON.stringify(updatedTasks));
-    
-    // Dispatch storage event for other components
-    window.dispatchEvent(new StorageEvent('storage', {
-      key: 'tasks',
-      newValue: JSON.stringify(updatedTasks)
-    }));
+  const handleStatusChange = async (task) => {
+    try {
+      await editTask(task._id, {
+        status: task.status === 'complete' ? 'incomplete' : 'complete'
+      });
+    } catch (err) {
+      console.error('Error updating task:', err);
+    }
   };
 
   /**
@@ -185,42 +68,26 @@ const TaskList = () => {
 
   /**
    * Save edited task
-   * Updates both component state and localStorage
    * 
    * @param {string} taskId - ID of the task being edited
    */
-  const saveTask = (taskId) => {
+  const saveTask = async (taskId) => {
     // Form validation
     if (!editForm.title.trim()) {
       alert('Task title cannot be empty');
       return;
     }
     
-    // Update task with edited values
-    const updatedTasks = tasks.map(task => 
-      task._id === taskId 
-        ? { 
-            ...task, 
-            title: editForm.title, 
-            description: editForm.description,
-            updatedAt: new Date().toISOString()
-          } 
-        : task
-    );
-    
-    // Update local state
-    setTasks(updatedTasks);
-    setFilteredTasks(updatedTasks);
-    setEditingTask(null);
-    
-    // Persist to localStorage for cross-component sharing
-    localStorage.setItem('tasks', JSON.stringify(updatedTasks));
-    
-    // Dispatch storage event for other components
-    window.dispatchEvent(new StorageEvent('storage', {
-      key: 'tasks',
-      newValue: JSON.stringify(updatedTasks)
-    }));
+    try {
+      await editTask(taskId, {
+        title: editForm.title,
+        description: editForm.description
+      });
+      setEditingTask(null);
+    } catch (err) {
+      console.error('Error saving task:', err);
+      alert(err.message);
+    }
   };
 
   /**
@@ -311,7 +178,7 @@ const TaskList = () => {
       <h3 className="text-lg font-semibold mb-4 text-gray-800 border-b pb-2">Your Tasks</h3>
       
       <ul className="space-y-3" aria-label="Task list">
-        {filteredTasks.map((task) => (
+        {tasks.map((task) => (
           <li key={task._id} className="border-b pb-3">
             {editingTask === task._id ? (
               // Edit form
@@ -364,7 +231,7 @@ const TaskList = () => {
                   </h4>
                   <div className="flex space-x-2">
                     <button
-                      onClick={() => handleStatusChange(task._id)}
+                      onClick={() => handleStatusChange(task)}
                       className={`p-1 rounded ${
                         task.status === 'complete' 
                           ? 'bg-green-100 text-green-600' 
@@ -1,49 +1,82 @@
 import React, { useEffect, useState } from "react";
+import { apiRequest } from "../../utils/api";
 
 const AdminStats = () => {
   const [totalUsers, setTotalUsers] = useState(0);
-  const [totalTasks, setTotalTasks] = useState(0);
-  const [pendingTasks, setPendingTasks] = useState(0);
-  const [completedTasks, setCompletedTasks] = useState(0);
+  const [workspaceStats, setWorkspaceStats] = useState([]);
 
   // Fetch Users from API
   useEffect(() => {
-    fetch("https://zidio-task-management-backend.onrender.com/admin/users") // API URL
-      .then((res) => res.json())
+    apiRequest("/admin/users")
       .then((data) => {
         setTotalUsers(data.length); // Count total users
       })
       .catch((err) => console.error("Error fetching users:", err));
   }, []);
 
-  // Fetch Tasks from Local Storage
+  // Task counts per workspace, aggregated by the server
   useEffect(() => {
-    const storedTasks = JSON.parse(localStorage.getItem("tasks")) || [];
-
-    setTotalTasks(storedTasks.length);
-    setPendingTasks(storedTasks.filter((task) => task.progress < 100).length);
-    setCompletedTasks(storedTasks.filter((task) => task.progress === 100).length);
+    apiRequest("/admin/workspaces/stats")
+      .then(setWorkspaceStats)
+      .catch((err) => console.error("Error fetching workspace stats:", err));
   }, []);
 
+  const totalTasks = workspaceStats.reduce((sum, stat) => sum + stat.total, 0);
+  const completedTasks = workspaceStats.reduce((sum, stat) => sum + stat.completed, 0);
+
   return (
-    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-      {/* Total Users */}
-      <div className="bg-white p-4 shadow rounded-lg text-center">
-        <h3 className="text-lg font-semibold">Total Users</h3>
-        <p className="text-3xl font-bold text-blue-600">{totalUsers}</p>
-      </div>
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        {/* Total Users */}
+        <div className="bg-white p-4 shadow rounded-lg text-center">
+          <h3 className="text-lg font-semibold">Total Users</h3>
+          <p className="text-3xl font-bold text-blue-600">{totalUsers}</p>
+        </div>
+
+        {/* Total Tasks */}
+        <div className="bg-white p-4 shadow rounded-lg text-center">
+          <h3 className="text-lg font-semibold">Total Tasks</h3>
+          <p className="text-3xl font-bold text-purple-600">{totalTasks}</p>
+        </div>
 
-      {/* Total Tasks */}
-      <div className="bg-white p-4 shadow rounded-lg text-center">
-        <h3 className="text-lg font-semibold">Total Tasks</h3>
-        <p className="text-3xl font-bold text-purple-600">{totalTasks}</p>
-      </div>
 
+        {/* Completed Tasks */}
+        <div className="bg-white p-4 shadow rounded-lg text-center">
+          <h3 className="text-lg font-semibold">Completed Tasks</h3>
+          <p className="text-3xl font-bold text-green-600">{completedTasks}</p>
+        </div>
+      </div>
 
-      {/* Completed Tasks */}
-      <div className="bg-white p-4 shadow rounded-lg text-center">
-        <h3 className="text-lg font-semibold">Completed Tasks</h3>
-        <p className="text-3xl font-bold text-green-600">{completedTasks}</p>
+      {/* Per Workspace */}
+      <div className="bg-white p-4 shadow rounded-lg overflow-x-auto">
+        <h3 className="text-lg font-semibold mb-2">Tasks by Workspace</h3>
+        <table className="w-full border-collapse">
+          <thead>
+            <tr className="bg-gray-200 text-left">
+              <th className="p-2">Workspace</th>
+              <th className="p-2">Owner</th>
+              <th className="p-2">Members</th>
+              <th className="p-2">Tasks</th>
+              <th className="p-2">Completed</th>
+              <th className="p-2">Overdue</th>
+            </tr>
+          </thead>
+          <tbody>
+            {workspaceStats.map((stat) => (
+              <tr key={stat._id} className="border-b">
+                <td className="p-2">
+                  {stat.name}
+                  {stat.personal && <span className="ml-2 text-xs text-gray-500">(personal)</span>}
+                </td>
+                <td className="p-2">{stat.owner?.email}</td>
+                <td className="p-2">{stat.memberCount}</td>
+                <td className="p-2">{stat.total}</td>
+                <td className="p-2">{stat.completed}</td>
+                <td className="p-2">{stat.overdue}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
       </div>
     </div>
   );
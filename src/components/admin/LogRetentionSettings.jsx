@@ -0,0 +1,117 @@
+import React, { useState, useEffect } from "react";
+import { apiRequest } from "../../utils/api";
+
+/**
+ * Card for the server-side user log retention policy.
+ * Expired logs are pruned hourly by the server; "Preview" is a dry run.
+ */
+const LogRetentionSettings = () => {
+  const [days, setDays] = useState("");
+  const [keepForever, setKeepForever] = useState(false);
+  const [preview, setPreview] = useState(null);
+  const [message, setMessage] = useState("");
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    apiRequest("/admin/settings/log-retention")
+      .then((data) => {
+        setKeepForever(data.days === null);
+        setDays(data.days === null ? "" : String(data.days));
+      })
+      .catch((err) => {
+        console.error("Failed to load log retention:", err);
+        setMessage("Could not load the retention policy.");
+      })
+      .finally(() => setLoading(false));
+  }, []);
+
+  // null keeps logs forever; otherwise a whole number of days
+  const requestedDays = () => (keepForever ? null : Number(days));
+
+  const isValid = keepForever || (Number.isInteger(Number(days)) && Number(days) >= 1);
+
+  const handlePreview = async () => {
+    setMessage("");
+    try {
+      const query = keepForever ? "" : `?days=${Number(days)}`;
+      setPreview(await apiRequest(`/admin/logs/prune/dry-run${query}`));
+    } catch (err) {
+      setMessage(err.status ? err.message : "Could not reach the server.");
+    }
+  };
+
+  const handleSave = async () => {
+    setMessage("");
+    try {
+      await apiRequest("/admin/settings/log-retention", {
+        method: "PUT",
+        body: { days: requestedDays() },
+      });
+      setPreview(null);
+      setMessage("Retention policy saved.");
+    } catch (err) {
+      setMessage(err.status ? err.message : "Could not reach the server.");
+    }
+  };
+
+  return (
+    <div className="bg-white p-6 shadow-lg rounded-lg">
+      <h2 className="text-lg font-semibold mb-4">Log Retention</h2>
+
+      <label className="block text-sm font-medium">Delete user logs older than (days)</label>
+      <input
+        type="number"
+        min="1"
+        value={days}
+        disabled={keepForever || loading}
+        onChange={(e) => {
+          setDays(e.target.value);
+          setPreview(null);
+        }}
+        className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-400 focus:outline-none disabled:bg-gray-100"
+      />
+
+      <label className="mt-3 flex items-center text-sm">
+        <input
+          type="checkbox"
+          checked={keepForever}
+          disabled={loading}
+          onChange={(e) => {
+            setKeepForever(e.target.checked);
+            setPreview(null);
+          }}
+          className="mr-2"
+        />
+        Keep logs forever
+      </label>
+
+      {preview && (
+        <p className="mt-3 text-sm text-gray-700">
+          {preview.cutoff
+            ? `${preview.count} logs older than ${new Date(preview.cutoff).toLocaleString()} would be deleted.`
+            : "No logs would be deleted."}
+        </p>
+      )}
+      {message && <p className="mt-3 text-sm text-gray-700">{message}</p>}
+
+      <div className="mt-4 grid grid-cols-2 gap-3">
+        <button
+          onClick={handlePreview}
+          disabled={!isValid || loading}
+          className="py-3 border border-blue-500 text-blue-600 rounded-lg hover:bg-blue-50 transition disabled:opacity-50"
+        >
+          Preview
+        </button>
+        <button
+          onClick={handleSave}
+          disabled={!isValid || loading}
+          className="py-3 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition disabled:opacity-50"
+        >
+          Save Policy
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default LogRetentionSettings;
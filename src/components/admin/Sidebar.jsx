@@ -1,19 +1,22 @@
 import React from 'react';
 import { Link, useLocation } from 'react-router-dom';
-import { FaChartPie, FaUsers, FaTasks, FaCog } from 'react-icons/fa';
+import { FaChartPie, FaUsers, FaTasks, FaCog, FaColumns } from 'react-icons/fa';
+import { useAuth } from '../../contexts/AuthContext';
 
 const Sidebar = () => {
   const location = useLocation();
+  const { can } = useAuth();
 
-  // Sidebar menu items with icons
+  // Sidebar menu items with icons, each shown only with the permission its page needs
   const menuItems = [
-    { path: '/admin/dashboard', label: 'Dashboard', icon: <FaChartPie /> },
-    { path: '/admin/manage-users', label: 'Manage Users', icon: <FaUsers /> },
-    { path: '/admin/manage-tasks', label: 'Manage Tasks', icon: <FaTasks /> },
-    { path: '/admin/user-logs', label: 'User Logs', icon: <FaTasks /> },
-    { path: '/admin/task-filter', label: 'Task Filter', icon: <FaTasks /> },
-    { path: '/admin/settings', label: 'Settings', icon: <FaCog /> },
-  ];
+    { path: '/admin/dashboard', label: 'Dashboard', icon: <FaChartPie />, permission: 'admin:access' },
+    { path: '/admin/manage-users', label: 'Manage Users', icon: <FaUsers />, permission: 'users:read' },
+    { path: '/admin/manage-tasks', label: 'Manage Tasks', icon: <FaTasks />, permission: 'tasks:manage' },
+    { path: '/admin/workflows', label: 'Workflows', icon: <FaColumns />, permission: 'tasks:manage' },
+    { path: '/admin/user-logs', label: 'User Logs', icon: <FaTasks />, permission: 'logs:read' },
+    { path: '/admin/task-filter', label: 'Task Filter', icon: <FaTasks />, permission: 'tasks:manage' },
+    { path: '/admin/settings', label: 'Settings', icon: <FaCog />, permission: 'admin:access' },
+  ].filter(({ permission }) => can(permission));
 
   return (
     <div className='w-64 min-h-screen p-6 bg-gray-900 text-white glassmorphism border-r border-gray-700'>
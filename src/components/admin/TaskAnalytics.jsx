@@ -1,23 +1,16 @@
-import React, { useEffect, useState } from "react";
+import React from "react";
 import { Bar } from "react-chartjs-2";
 import "chart.js/auto";
+import { useTasks } from "../../hooks/useTasks";
 
 const TaskAnalytics = () => {
-  const [taskStats, setTaskStats] = useState({
-    todo: 0,
-    inProgress: 0,
-    completed: 0,
-  });
+  const { tasks } = useTasks();
 
-  useEffect(() => {
-    const storedTasks = JSON.parse(localStorage.getItem("tasks")) || [];
-    const updatedStats = {
-      todo: storedTasks.filter((task) => task.progress <= 40).length,
-      inProgress: storedTasks.filter((task) => task.progress > 40 && task.progress <= 80).length,
-      completed: storedTasks.filter((task) => task.progress > 80).length,
-    };
-    setTaskStats(updatedStats);
-  }, []);
+  const taskStats = {
+    todo: tasks.filter((task) => task.progress <= 40).length,
+    inProgress: tasks.filter((task) => task.progress > 40 && task.progress <= 80).length,
+    completed: tasks.filter((task) => task.progress > 80).length,
+  };
 
   const chartData = {
     labels: ["To Do", "In Progress", "Completed"],
@@ -2,15 +2,15 @@
  * Login Component
  * 
  * A comprehensive authentication component that handles user login with proper
- * validation, error handling, and state management. Implements localStorage-based
- * authentication for persistent user sessions across browser refreshes.
+ * validation, error handling, and state management. Authenticates against the
+ * backend's /api/auth/login endpoint and keeps the issued JWT for later requests.
  * 
  * Features:
- * - Supports both default and custom user accounts
+ * - Authenticates registered accounts through the API
  * - Persists authentication state across browser sessions
  * - Provides clear error feedback and loading states
  * - Implements role-based redirection
- * - Logs authentication events for admin tracking
+ * - Authentication events are logged by the server for admin tracking
  * 
  * @author Senior Full-Stack Engineer
  * @version 2.0.0
@@ -19,6 +19,7 @@
 import React, { useState, useEffect } from "react";
 import { useNavigate, useLocation, Link } from "react-router-dom";
 import { useAuth } from "../../contexts/AuthContext";
+import { hasPermission } from "../../utils/permissions";
 import { FaLock, FaEnvelope, FaExclamationCircle, FaSpinner } from "react-icons/fa";
 
 const Login = () => {
@@ -29,7 +30,7 @@ const Login = () => {
   const [loading, setLoading] = useState(false);
   
   // Hooks initialization
-  const { login } = useAuth();
+  const { user, login } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
   
@@ -42,16 +43,14 @@ const Login = () => {
    * Redirects authenticated users to appropriate dashboard
    */
   useEffect(() => {
-    const token = localStorage.getItem("token");
-    if (token) {
-      const userRole = localStorage.getItem("userRole");
-      navigate(userRole === "admin" ? "/admin/dashboard" : "/user/dashboard");
+    if (user) {
+      navigate(from !== "/" ? from : (hasPermission(user.role, "admin:access") ? "/admin/dashboard" : "/user/dashboard"));
     }
-  }, [navigate]);
+  }, [user, from, navigate]);
 
   /**
    * Handles form submission and authentication
-   * Implements localStorage-based authentication with support for custom users
+   * Exchanges the credentials for a JWT through the auth context
    * 
    * @param {Event} e - The form submission event
    */
@@ -69,58 +68,14 @@ const Login = () => {
     setLoading(true);
     
     try {
-      // Simulate network latency for realistic UX
-      await new Promise(resolve => setTimeout(resolve, 800));
+      const sessionUser = await login(email, password);
       
-      // Get stored users from localStorage or initialize with default users
-      const storedUsers = JSON.parse(localStorage.getItem('users') || JSON.stringify([
-        { email: 'admin@example.com', password: 'password123', role: 'admin', userId: 'admin-123' },
-        { email: 'user@example.com', password: 'password123', role: 'user', userId: 'user-456' }
-      ]));
-      
-      // Find matching user
-      const user = storedUsers.find(u => u.email === email && u.password === password);
-      
-      if (user) {
-        // User found, proceed with login
-        const mockToken = `mock-token-${Date.now()}`;
-        
-        // Store authentication data in localStorage for persistence
-        localStorage.setItem("token", mockToken);
-        localStorage.setItem("userRole", user.role);
-        localStorage.setItem("userId", user.userId);
-        localStorage.setItem("email", email);
-        
-        // Create log entry for admin tracking
-        const logData = {
-          userId: user.userId,
-          username: email,
-          role: user.role,
-          action: "login",
-          loginTime: new Date().toISOString(),
-          ipAddress: "127.0.0.1", // In production, this would be captured from the request
-          tokenName: mockToken.substring(0, 10) + "..." // Truncated for security
-        };
-        
-        // Store login logs in localStorage for admin view
-        const existingLogs = JSON.parse(localStorage.getItem('userLogs') || '[]');
-        existingLogs.push(logData);
-        localStorage.setItem('userLogs', JSON.stringify(existingLogs));
-        
-        console.log("User login:", logData);
-        
-        // Update authentication context
-        login(email);
-        
-        // Navigate to appropriate dashboard or requested page
-        navigate(from !== "/" ? from : (user.role === "admin" ? "/admin/dashboard" : "/user/dashboard"));
-      } else {
-        // Invalid credentials
-        setError("Invalid email or password");
-      }
+      // Navigate to appropriate dashboard or requested page
+      navigate(from !== "/" ? from : (hasPermission(sessionUser.role, "admin:access") ? "/admin/dashboard" : "/user/dashboard"));
     } catch (err) {
       console.error("Login error:", err);
-      setError("An unexpected error occurred. Please try again.");
+      // Errors with a status came back from the server (e.g. invalid credentials)
+      setError(err.status ? err.message : "An unexpected error occurred. Please try again.");
     } finally {
       setLoading(false);
     }
@@ -224,7 +179,6 @@ const Login = () => {
             <span className="text-gray-600 text-sm">Don't have an account? </span>
             <Link
               to="/signup"
-              state={{ role }}
               className="text-blue-600 text-sm hover:underline"
             >
               Sign up
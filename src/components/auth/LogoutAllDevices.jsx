@@ -0,0 +1,49 @@
+import React, { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { useAuth } from "../../contexts/AuthContext";
+
+/**
+ * Card that ends every session of the current user, on this and any other device.
+ */
+const LogoutAllDevices = () => {
+  const { logoutAllDevices } = useAuth();
+  const navigate = useNavigate();
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleClick = async () => {
+    if (!window.confirm("Log out of all devices, including this one?")) return;
+
+    setError("");
+    setLoading(true);
+    try {
+      await logoutAllDevices();
+      navigate("/login");
+    } catch (err) {
+      console.error("Logout from all devices failed:", err);
+      setError(err.status ? err.message : "Could not reach the server. Please try again.");
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="bg-white p-6 shadow-lg rounded-lg">
+      <h2 className="text-lg font-semibold mb-2">Sessions</h2>
+      <p className="text-sm text-gray-600">
+        Signed in somewhere you don't recognise? End every session on every device.
+      </p>
+
+      {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+
+      <button
+        onClick={handleClick}
+        disabled={loading}
+        className="mt-4 w-full bg-red-500 text-white py-3 rounded-lg hover:bg-red-600 transition disabled:opacity-60"
+      >
+        {loading ? "Logging out..." : "Log out all devices"}
+      </button>
+    </div>
+  );
+};
+
+export default LogoutAllDevices;
@@ -6,8 +6,8 @@
  * to the login page with return path preservation.
  * 
  * Features:
- * - Authentication verification using localStorage and context
- * - Role-based access control for admin/user routes
+ * - Authentication verification against the server-confirmed session
+ * - Permission-based access control for admin/user routes
  * - Return path preservation for post-login redirection
  * - Seamless integration with React Router v6
  * 
@@ -24,11 +24,11 @@ import { useAuth } from "../../contexts/AuthContext";
  * 
  * @param {Object} props - Component props
  * @param {React.ReactNode} props.children - Child components to render when authenticated
- * @param {string} [props.requiredRole] - Optional role required to access the route
+ * @param {string} [props.requiredPermission] - Optional permission required to access the route
  * @returns {React.ReactElement} Protected route component
  */
-const ProtectedRoute = ({ children, requiredRole }) => {
-  const { user, hasRole } = useAuth();
+const ProtectedRoute = ({ children, requiredPermission }) => {
+  const { user, can } = useAuth();
   const location = useLocation();
   
   /**
@@ -39,37 +39,31 @@ const ProtectedRoute = ({ children, requiredRole }) => {
   }, [location.pathname]);
 
   /**
-   * Check if user is authenticated using both context and localStorage
-   * This dual-check approach ensures reliability across page refreshes
+   * The context only holds a user once /api/auth/me has confirmed the token,
+   * so a token left in localStorage is not enough on its own
    */
-  const isAuthenticated = !!user || !!localStorage.getItem("token");
-  
-  // If not authenticated, redirect to login with return path
-  if (!isAuthenticated) {
+  if (!user) {
     console.log(`Authentication required for: ${location.pathname}`);
     return <Navigate to="/login" state={{ from: location.pathname }} replace />;
   }
   
   /**
-   * If role is required, check if user has the role
-   * This implements role-based access control (RBAC)
+   * If a permission is required, check the user's role grants it
+   * This implements permission-based access control
    */
-  if (requiredRole) {
-    // Check role from context or localStorage
-    const userRole = localStorage.getItem("userRole");
-    const hasRequiredRole = hasRole ? hasRole(requiredRole) : userRole === requiredRole;
-    
-    if (!hasRequiredRole) {
-      console.log(`Role ${requiredRole} required for: ${location.pathname}`);
+  if (requiredPermission) {
+    // Role comes from the server, never from localStorage
+    if (!can(requiredPermission)) {
+      console.log(`Permission ${requiredPermission} required for: ${location.pathname}`);
       
-      // Redirect to appropriate dashboard based on user's role
-      const redirectPath = userRole === "admin" ? "/admin/dashboard" : "/user/dashboard";
+      // Redirect to appropriate dashboard based on user's permissions
+      const redirectPath = can("admin:access") ? "/admin/dashboard" : "/user/dashboard";
       
       return <Navigate to={redirectPath} replace />;
     }
   }
   
-  // User is authenticated and has required role (if specified)
+  // User is authenticated and has required permission (if specified)
   return children;
 };
 
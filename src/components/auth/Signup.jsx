@@ -2,14 +2,13 @@
  * Signup Component
  * 
  * A comprehensive user registration component with validation, error handling,
- * and localStorage-based user management. Supports creating both admin and regular
- * user accounts with persistent storage across browser sessions.
+ * and account creation through the backend's /api/auth/register endpoint.
+ * New accounts are members; admins are promoted from the admin dashboard.
  * 
  * Features:
  * - Form validation with clear error feedback
  * - Password strength and matching validation
- * - Role-based account creation
- * - Persistent user storage in localStorage
+ * - Accounts stored server-side with hashed passwords
  * - Automatic login after successful registration
  * 
  * @author Senior Full-Stack Engineer
@@ -17,8 +16,9 @@
  */
 
 import React, { useState, useEffect } from "react";
-import { useNavigate, useLocation, Link } from "react-router-dom";
+import { useNavigate, Link } from "react-router-dom";
 import { useAuth } from "../../contexts/AuthContext";
+import { hasPermission } from "../../utils/permissions";
 import { FaUser, FaEnvelope, FaLock, FaExclamationCircle, FaSpinner } from "react-icons/fa";
 
 const Signup = () => {
@@ -38,24 +38,18 @@ const Signup = () => {
   });
   
   // Hooks initialization
-  const { signup } = useAuth();
+  const { user, signup } = useAuth();
   const navigate = useNavigate();
-  const location = useLocation();
-  
-  // Extract role from location state or default to user
-  const role = location.state?.role || "user";
 
   /**
    * Effect hook to check for existing authentication
    * Redirects authenticated users to appropriate dashboard
    */
   useEffect(() => {
-    const token = localStorage.getItem("token");
-    if (token) {
-      const userRole = localStorage.getItem("userRole");
-      navigate(userRole === "admin" ? "/admin/dashboard" : "/user/dashboard");
+    if (user) {
+      navigate(hasPermission(user.role, "admin:access") ? "/admin/dashboard" : "/user/dashboard");
     }
-  }, [navigate]);
+  }, [user, navigate]);
 
   /**
    * Handles form input changes and updates state
@@ -118,7 +112,7 @@ const Signup = () => {
 
   /**
    * Handles form submission and user registration
-   * Implements localStorage-based user management
+   * Registers the account through the auth context
    * 
    * @param {Event} e - Form submission event
    */
@@ -161,72 +155,18 @@ const Signup = () => {
     setLoading(true);
     
     try {
-      // Simulate network latency for realistic UX
-      await new Promise(resolve => setTimeout(resolve, 800));
-      
-      // Get existing users from localStorage or initialize with default users
-      const storedUsers = JSON.parse(localStorage.getItem('users') || JSON.stringify([
-        { email: 'admin@example.com', password: 'password123', role: 'admin', userId: 'admin-123' },
-        { email: 'user@example.com', password: 'password123', role: 'user', userId: 'user-456' }
-      ]));
-      
-      // Check if email already exists
-      if (storedUsers.some(user => user.email === formData.email)) {
-        setError("Email already in use");
-        setLoading(false);
-        return;
-      }
-      
-      // Create new user object
-      const newUser = {
-        email: formData.email,
-        password: formData.password,
-        role: role,
-        userId: `user-${Date.now()}`,
+      const sessionUser = await signup({
         fullName: formData.fullName,
-        createdAt: new Date().toISOString()
-      };
-      
-      // Add to stored users
-      storedUsers.push(newUser);
-      localStorage.setItem('users', JSON.stringify(storedUsers));
-      
-      // Generate authentication token
-      const mockToken = `mock-token-${Date.now()}`;
-      
-      // Store authentication data for automatic login
-      localStorage.setItem("token", mockToken);
-      localStorage.setItem("userRole", newUser.role);
-      localStorage.setItem("userId", newUser.userId);
-      localStorage.setItem("email", newUser.email);
-      
-      // Create log entry for admin tracking
-      const logData = {
-        userId: newUser.userId,
-        username: newUser.email,
-        fullName: newUser.fullName,
-        role: newUser.role,
-        action: "register",
-        loginTime: new Date().toISOString(),
-        ipAddress: "127.0.0.1", // In production, this would be captured from the request
-        tokenName: mockToken.substring(0, 10) + "..." // Truncated for security
-      };
-      
-      // Store registration log
-      const existingLogs = JSON.parse(localStorage.getItem('userLogs') || '[]');
-      existingLogs.push(logData);
-      localStorage.setItem('userLogs', JSON.stringify(existingLogs));
-      
-      console.log("User registration:", logData);
-      
-      // Call the context signup method
-      signup(formData.email, formData.password);
+        email: formData.email,
+        password: formData.password
+      });
       
       // Navigate to the appropriate dashboard
-      navigate(newUser.role === "admin" ? "/admin/dashboard" : "/user/dashboard");
+      navigate(hasPermission(sessionUser.role, "admin:access") ? "/admin/dashboard" : "/user/dashboard");
     } catch (err) {
       console.error("Registration error:", err);
-      setError("Failed to create an account. Please try again.");
+      // Errors with a status came back from the server (e.g. email already registered)
+      setError(err.status ? err.message : "Failed to create an account. Please try again.");
     } finally {
       setLoading(false);
     }
@@ -237,7 +177,7 @@ const Signup = () => {
       <div className="bg-white shadow-lg rounded-xl p-8 w-full max-w-md transform transition duration-300 hover:scale-105">
         {/* Header */}
         <h2 className="text-3xl font-bold text-center text-gray-800 mb-6">
-          {role === "admin" ? "Admin Registration" : "User Registration"}
+          User Registration
         </h2>
 
         {/* Error display with animation */}
@@ -401,7 +341,6 @@ const Signup = () => {
           <span className="text-gray-600 text-sm">Already have an account? </span>
           <Link
             to="/login"
-            state={{ role }}
             className="text-blue-600 text-sm hover:underline"
           >
             Log in
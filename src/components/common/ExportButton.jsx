@@ -0,0 +1,80 @@
+import React, { useState, useEffect, useRef } from "react";
+import { FaDownload, FaSpinner } from "react-icons/fa";
+import { apiDownload } from "../../utils/api";
+import { saveBlob } from "../../utils/download";
+
+const FORMATS = [
+  { key: "csv", label: "CSV" },
+  { key: "xlsx", label: "Excel (XLSX)" },
+  { key: "json", label: "JSON" },
+];
+
+// Export menu of a table: the server streams the rows matching `params` in the chosen format.
+// Pass the page's active filters and sort as params so the file matches what is shown.
+const ExportButton = ({ path, params = {}, filename, className = "" }) => {
+  const [open, setOpen] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    const handleClick = (event) => {
+      if (!menuRef.current?.contains(event.target)) setOpen(false);
+    };
+    document.addEventListener("mousedown", handleClick);
+    return () => document.removeEventListener("mousedown", handleClick);
+  }, [open]);
+
+  const handleExport = async (format) => {
+    setOpen(false);
+    setExporting(true);
+    try {
+      // Unset filters are left out rather than sent empty
+      const query = new URLSearchParams(
+        Object.entries({ ...params, format }).filter(([, value]) => value !== undefined && value !== "")
+      );
+      const date = new Date().toISOString().slice(0, 10);
+      saveBlob(await apiDownload(`${path}?${query}`), `${filename}-${date}.${format}`);
+    } catch (error) {
+      alert(`Export failed: ${error.message}`);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div ref={menuRef} className={`relative inline-block ${className}`}>
+      <button
+        onClick={() => setOpen(!open)}
+        disabled={exporting}
+        aria-haspopup="menu"
+        aria-expanded={open}
+        className="flex items-center px-3 py-2 bg-white border rounded text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+      >
+        {exporting ? (
+          <FaSpinner className="animate-spin mr-2" aria-hidden="true" />
+        ) : (
+          <FaDownload className="mr-2" aria-hidden="true" />
+        )}
+        Export
+      </button>
+      {open && (
+        <ul role="menu" className="absolute right-0 mt-1 w-40 bg-white border rounded shadow-lg z-10 text-sm">
+          {FORMATS.map((format) => (
+            <li key={format.key} role="none">
+              <button
+                role="menuitem"
+                onClick={() => handleExport(format.key)}
+                className="block w-full text-left px-3 py-2 hover:bg-gray-100"
+              >
+                {format.label}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ExportButton;
@@ -0,0 +1,40 @@
+import React, { useEffect } from "react";
+import { FaTimes } from "react-icons/fa";
+
+// Dialog over the page; closes on Escape, the close button or a click on the backdrop.
+// It renders in place rather than through a portal, so dropdowns that close on
+// outside clicks treat clicks in the dialog as their own.
+const Modal = ({ title, onClose, children, className = "" }) => {
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === "Escape") onClose();
+    };
+
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  }, [onClose]);
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4"
+      onMouseDown={(event) => event.target === event.currentTarget && onClose()}
+    >
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-label={title}
+        className={`w-full max-w-2xl max-h-[90vh] flex flex-col bg-white rounded-lg shadow-xl ${className}`}
+      >
+        <div className="flex justify-between items-center p-4 border-b">
+          <h2 className="text-lg font-semibold text-gray-800 truncate">{title}</h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-800" aria-label="Close">
+            <FaTimes />
+          </button>
+        </div>
+        <div className="p-4 overflow-y-auto">{children}</div>
+      </div>
+    </div>
+  );
+};
+
+export default Modal;
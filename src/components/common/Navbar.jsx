@@ -1,11 +1,17 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
+import { useWorkspace } from '../../contexts/WorkspaceContext';
 import { FaUserCircle, FaTasks } from 'react-icons/fa';
 import TaskList from '../tasks/TaskList';
 
+// Value of the switcher option that creates a workspace instead of selecting one
+const NEW_WORKSPACE = '__new__';
+
 const Navbar = () => {
-  const { logout, isAuthenticated } = useAuth();
+  const { logout, isAuthenticated, can } = useAuth();
+  const { workspaces, currentWorkspace, selectWorkspace, createWorkspace } =
+    useWorkspace();
   const navigate = useNavigate();
   const location = useLocation();
   const hideProfileRoutes = ['/', '/login', '/signup'];
@@ -17,7 +23,6 @@ const Navbar = () => {
   const [profile, setProfile] = useState({
     name: 'User',
     profilePic: '',
-    role: 'user',
   });
 
   useEffect(() => {
@@ -29,7 +34,6 @@ const Navbar = () => {
       setProfile({
         name: storedProfile.name || 'User',
         profilePic: storedProfile.profilePic || '',
-        role: storedProfile.role || (isAdminPortal ? 'admin' : 'user'),
       });
     }
   }, [location.pathname]);
@@ -59,6 +63,22 @@ const Navbar = () => {
     }
   };
 
+  const handleWorkspaceChange = async (e) => {
+    if (e.target.value !== NEW_WORKSPACE) {
+      selectWorkspace(e.target.value);
+      return;
+    }
+
+    const name = window.prompt('Name of the new workspace');
+    if (!name?.trim()) return;
+    try {
+      await createWorkspace(name.trim());
+    } catch (err) {
+      console.error('Creating workspace failed:', err);
+      alert(err.status ? err.message : 'Could not reach the server.');
+    }
+  };
+
   const handleLogoClick = (e) => {
     e.preventDefault();
     setTimeout(() => {
@@ -94,6 +114,20 @@ const Navbar = () => {
         <div className='flex items-center gap-4'>
           {isAuthenticated ? (
             <>
+              {/* Workspace Switcher */}
+              <select
+                value={currentWorkspace?._id || ''}
+                onChange={handleWorkspaceChange}
+                aria-label='Workspace'
+                className='bg-white text-blue-600 font-medium px-3 py-2 rounded-lg shadow-md focus:outline-none'>
+                {workspaces.map((workspace) => (
+                  <option key={workspace._id} value={workspace._id}>
+                    {workspace.name}
+                  </option>
+                ))}
+                <option value={NEW_WORKSPACE}>+ New workspace…</option>
+              </select>
+
               {/* Task List Button */}
               <div className='relative' ref={taskListRef}>
                 <button
@@ -135,8 +169,8 @@ const Navbar = () => {
                       <li>
                         <Link
                           to={
-                            profile.role === 'admin'
-                              ? '/admin/profile'
+                            can('admin:access')
+                              ? '/admin/settings'
                               : '/user/profile'
                           }
                           className='block px-4 py-2 hover:bg-gray-200 transition'
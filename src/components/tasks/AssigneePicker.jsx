@@ -0,0 +1,118 @@
+/**
+ * AssigneePicker Component
+ *
+ * Searchable multi-select of the users a task can be assigned to.
+ * Suggestions come from /api/users/search, which only returns members
+ * of the workspace the task lives in.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { FaTimes } from 'react-icons/fa';
+import { searchUsers } from '../../api';
+
+// Wait for a pause in typing before searching
+const SEARCH_DELAY_MS = 250;
+
+/**
+ * @param {Object} props
+ * @param {Array<{_id: string, fullName: string, email: string}>} props.value - Selected users
+ * @param {Function} props.onChange - Called with the new list of selected users
+ * @param {string} [props.workspace] - Workspace id to search in; defaults to the current one
+ */
+const AssigneePicker = ({ value, onChange, workspace }) => {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [open, setOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return undefined;
+
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      searchUsers(query.trim(), workspace)
+        .then((users) => {
+          if (!cancelled) setResults(users);
+        })
+        .catch((err) => console.error('User search failed:', err));
+    }, SEARCH_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, workspace, open]);
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const selectedIds = new Set(value.map((user) => user._id));
+  const suggestions = results.filter((user) => !selectedIds.has(user._id));
+
+  const addUser = (user) => {
+    onChange([...value, user]);
+    setQuery('');
+  };
+
+  const removeUser = (id) => {
+    onChange(value.filter((user) => user._id !== id));
+  };
+
+  return (
+    <div className='relative' ref={containerRef}>
+      <div className='flex flex-wrap gap-2 p-2 border rounded bg-white'>
+        {value.map((user) => (
+          <span
+            key={user._id}
+            className='flex items-center bg-blue-100 text-blue-700 text-sm px-2 py-1 rounded'>
+            {user.fullName || user.email}
+            <button
+              type='button'
+              onClick={() => removeUser(user._id)}
+              aria-label={`Unassign ${user.fullName || user.email}`}
+              className='ml-1 hover:text-blue-900'>
+              <FaTimes />
+            </button>
+          </span>
+        ))}
+        <input
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onFocus={() => setOpen(true)}
+          placeholder={value.length ? 'Add another assignee' : 'Assign to...'}
+          aria-label='Search users to assign'
+          className='flex-1 min-w-[8rem] p-1 outline-none'
+        />
+      </div>
+
+      {open && suggestions.length > 0 && (
+        <ul className='absolute left-0 right-0 mt-1 max-h-60 overflow-y-auto bg-white border rounded shadow-lg z-10'>
+          {suggestions.map((user) => (
+            <li key={user._id}>
+              <button
+                type='button'
+                onClick={() => addUser(user)}
+                className='block w-full text-left px-3 py-2 hover:bg-gray-100'>
+                <span className='font-medium'>{user.fullName}</span>
+                <span className='ml-2 text-sm text-gray-500'>{user.email}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default AssigneePicker;
@@ -0,0 +1,337 @@
+/**
+ * CommentThread Component
+ *
+ * Discussion panel of one task: comments with threaded replies, written in
+ * Markdown with @mentions of workspace members. The server renders and
+ * sanitizes each comment, so its HTML is shown as is.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { FaReply, FaEdit, FaTrash, FaSpinner } from 'react-icons/fa';
+import Modal from '../common/Modal';
+import { useAuth } from '../../contexts/AuthContext';
+import {
+  fetchComments,
+  postComment,
+  editComment,
+  deleteComment,
+  searchUsers,
+} from '../../api';
+
+// Wait for a pause in typing before searching
+const SEARCH_DELAY_MS = 250;
+// Replies nest up to this depth and line up beneath it
+const MAX_INDENT = 3;
+// An "@" starting a word, followed by what has been typed of the name so far
+const MENTION_QUERY = /(^|\s)@([^\s@[\]()]{0,30})$/;
+
+// Styles for the Markdown the server renders
+const BODY_CLASSES =
+  'text-sm text-gray-800 break-words [&_a]:text-blue-600 [&_a]:underline [&_ul]:list-disc [&_ul]:pl-5 ' +
+  '[&_ol]:list-decimal [&_ol]:pl-5 [&_code]:bg-gray-100 [&_code]:px-1 [&_code]:rounded [&_pre]:bg-gray-100 ' +
+  '[&_pre]:p-2 [&_pre]:rounded [&_pre]:overflow-x-auto [&_blockquote]:border-l-4 [&_blockquote]:pl-2 ' +
+  '[&_blockquote]:text-gray-600 [&_.mention]:text-blue-700 [&_.mention]:font-medium';
+
+/**
+ * Textarea that suggests workspace members after an "@" and inserts the
+ * picked one as @[Name](userId), the form the server turns into a mention.
+ */
+const MentionInput = ({ value, onChange, workspace, placeholder, autoFocus }) => {
+  const [mention, setMention] = useState(null);
+  const [suggestions, setSuggestions] = useState([]);
+
+  useEffect(() => {
+    if (!mention) {
+      setSuggestions([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      searchUsers(mention.query, workspace)
+        .then((users) => {
+          if (!cancelled) setSuggestions(users);
+        })
+        .catch((err) => console.error('User search failed:', err));
+    }, SEARCH_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [mention, workspace]);
+
+  const handleChange = (e) => {
+    const text = e.target.value;
+    const caret = e.target.selectionStart;
+    const match = text.slice(0, caret).match(MENTION_QUERY);
+
+    setMention(match ? { start: caret - match[2].length - 1, end: caret, query: match[2] } : null);
+    onChange(text);
+  };
+
+  const insertMention = (user) => {
+    const token = `@[${(user.fullName || user.email).replace(/[[\]]/g, '')}](${user._id}) `;
+    onChange(value.slice(0, mention.start) + token + value.slice(mention.end));
+    setMention(null);
+  };
+
+  return (
+    <div className='relative'>
+      <textarea
+        value={value}
+        onChange={handleChange}
+        onBlur={() => setTimeout(() => setMention(null), 150)}
+        placeholder={placeholder}
+        autoFocus={autoFocus}
+        rows='3'
+        className='w-full p-2 border rounded text-sm focus:ring-2 focus:ring-blue-500 focus:outline-none'
+      />
+      {mention && suggestions.length > 0 && (
+        <ul className='absolute left-0 right-0 max-h-48 overflow-y-auto bg-white border rounded shadow-lg z-10'>
+          {suggestions.map((user) => (
+            <li key={user._id}>
+              <button
+                type='button'
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => insertMention(user)}
+                className='block w-full text-left px-3 py-2 text-sm hover:bg-gray-100'>
+                <span className='font-medium'>{user.fullName}</span>
+                <span className='ml-2 text-gray-500'>{user.email}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Form around a MentionInput; onSubmit resolves to whether the text was saved,
+ * and the form clears when it was
+ */
+const CommentForm = ({ initialValue = '', submitLabel, onSubmit, onCancel, workspace, autoFocus }) => {
+  const [body, setBody] = useState(initialValue);
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!body.trim()) return;
+
+    setSaving(true);
+    const saved = await onSubmit(body.trim());
+    setSaving(false);
+    if (saved) setBody('');
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className='space-y-2'>
+      <MentionInput
+        value={body}
+        onChange={setBody}
+        workspace={workspace}
+        placeholder='Write a comment… Markdown and @mentions are supported'
+        autoFocus={autoFocus}
+      />
+      <div className='flex justify-end gap-2'>
+        {onCancel && (
+          <button
+            type='button'
+            onClick={onCancel}
+            className='px-3 py-1 bg-gray-200 text-gray-700 rounded hover:bg-gray-300 transition-colors'>
+            Cancel
+          </button>
+        )}
+        <button
+          type='submit'
+          disabled={saving || !body.trim()}
+          className='px-3 py-1 bg-blue-500 text-white rounded hover:bg-blue-600 transition-colors disabled:opacity-50'>
+          {submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+/**
+ * @param {Object} props
+ * @param {Object} props.task - Task whose comments are shown
+ * @param {Function} props.onClose - Called when the panel is closed
+ */
+const CommentThread = ({ task, onClose }) => {
+  const { user, can } = useAuth();
+  const [comments, setComments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [editing, setEditing] = useState(null);
+
+  const workspace = task.workspace?._id || task.workspace;
+
+  const loadComments = useCallback(async () => {
+    try {
+      setComments(await fetchComments(task._id));
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [task._id]);
+
+  useEffect(() => {
+    loadComments();
+  }, [loadComments]);
+
+  // Every change reports its error in place and reloads the thread on success
+  const run = async (action) => {
+    setError('');
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+    await loadComments();
+    return true;
+  };
+
+  const handleDelete = (comment) => {
+    if (!window.confirm('Delete this comment?')) return;
+    run(() => deleteComment(task._id, comment._id));
+  };
+
+  const repliesTo = comments.reduce((groups, comment) => {
+    const key = comment.parent || 'root';
+    (groups[key] = groups[key] || []).push(comment);
+    return groups;
+  }, {});
+
+  const renderComment = (comment, depth) => {
+    const isAuthor = comment.author?._id === user?.userId;
+    const canDelete = isAuthor || can('tasks:manage');
+
+    return (
+      <li key={comment._id} className={depth > 0 && depth <= MAX_INDENT ? 'ml-6' : ''}>
+        <div className='border rounded p-3 bg-gray-50'>
+          <div className='flex justify-between items-baseline text-xs text-gray-500 mb-1'>
+            <span>
+              <span className='font-semibold text-gray-700'>
+                {comment.author?.fullName || comment.author?.email || 'Deleted user'}
+              </span>
+              {' · '}
+              {new Date(comment.createdAt).toLocaleString()}
+              {comment.editedAt && !comment.deleted && ' (edited)'}
+            </span>
+            {!comment.deleted && (
+              <span className='flex gap-2'>
+                {can('tasks:update') && (
+                  <button
+                    onClick={() => setReplyingTo(comment._id)}
+                    className='hover:text-blue-600'
+                    aria-label='Reply'>
+                    <FaReply />
+                  </button>
+                )}
+                {isAuthor && (
+                  <button
+                    onClick={() => setEditing(comment._id)}
+                    className='hover:text-blue-600'
+                    aria-label='Edit comment'>
+                    <FaEdit />
+                  </button>
+                )}
+                {canDelete && (
+                  <button
+                    onClick={() => handleDelete(comment)}
+                    className='hover:text-red-600'
+                    aria-label='Delete comment'>
+                    <FaTrash />
+                  </button>
+                )}
+              </span>
+            )}
+          </div>
+
+          {comment.deleted ? (
+            <p className='text-sm italic text-gray-400'>This comment was deleted.</p>
+          ) : editing === comment._id ? (
+            <CommentForm
+              initialValue={comment.body}
+              submitLabel='Save'
+              workspace={workspace}
+              autoFocus
+              onCancel={() => setEditing(null)}
+              onSubmit={(body) =>
+                run(async () => {
+                  await editComment(task._id, comment._id, body);
+                  setEditing(null);
+                })
+              }
+            />
+          ) : (
+            // Rendered and sanitized by the server
+            <div className={BODY_CLASSES} dangerouslySetInnerHTML={{ __html: comment.html }} />
+          )}
+        </div>
+
+        {replyingTo === comment._id && (
+          <div className='ml-6 mt-2'>
+            <CommentForm
+              submitLabel='Reply'
+              workspace={workspace}
+              autoFocus
+              onCancel={() => setReplyingTo(null)}
+              onSubmit={(body) =>
+                run(async () => {
+                  await postComment(task._id, body, comment._id);
+                  setReplyingTo(null);
+                })
+              }
+            />
+          </div>
+        )}
+
+        {repliesTo[comment._id] && (
+          <ul className='mt-2 space-y-2'>
+            {repliesTo[comment._id].map((reply) => renderComment(reply, depth + 1))}
+          </ul>
+        )}
+      </li>
+    );
+  };
+
+  return (
+    <Modal title={`Comments · ${task.title}`} onClose={onClose}>
+      {loading ? (
+        <div className='flex justify-center items-center p-4'>
+          <FaSpinner className='animate-spin text-blue-500 text-2xl' />
+        </div>
+      ) : (
+        <div className='space-y-4'>
+          {comments.length === 0 ? (
+            <p className='text-sm text-gray-500'>No comments yet.</p>
+          ) : (
+            <ul className='space-y-2'>{(repliesTo.root || []).map((comment) => renderComment(comment, 0))}</ul>
+          )}
+
+          {error && <p className='text-sm text-red-600'>{error}</p>}
+
+          {can('tasks:update') && (
+            <CommentForm
+              submitLabel='Comment'
+              workspace={workspace}
+              onSubmit={(body) => run(() => postComment(task._id, body))}
+            />
+          )}
+        </div>
+      )}
+    </Modal>
+  );
+};
+
+export default CommentThread;
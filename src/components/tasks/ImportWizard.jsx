@@ -0,0 +1,252 @@
+/**
+ * ImportWizard Component
+ *
+ * Brings tasks over from other tools in three steps: pick a CSV or iCalendar
+ * file, map the CSV's columns to task fields, then preview every row with the
+ * problems the server finds before creating them all in one batch.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import React, { useState, useEffect } from 'react';
+import { FaFileImport, FaSpinner } from 'react-icons/fa';
+import Modal from '../common/Modal';
+import { IMPORT_FIELDS, parseCsv, guessMapping, rowsToTasks, parseIcs } from '../../utils/importFiles';
+import { importRows } from '../../api';
+
+const isIcs = (file) => /\.ics$/i.test(file.name) || file.type === 'text/calendar';
+
+/**
+ * @param {Object} props
+ * @param {Function} props.onClose - Called when the wizard is closed
+ * @param {Function} props.onImported - Called with the counts once rows are created
+ */
+const ImportWizard = ({ onClose, onImported }) => {
+  const [step, setStep] = useState('file');
+  const [file, setFile] = useState(null);
+  // Parsed CSV table, and which column each task field comes from
+  const [table, setTable] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [eventsAsTasks, setEventsAsTasks] = useState(false);
+  const [rows, setRows] = useState({ tasks: [], events: [] });
+  // Problems by "kind:index", from a dry run of the import
+  const [problems, setProblems] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleFile = async (e) => {
+    const picked = e.target.files[0];
+    e.target.value = '';
+    if (!picked) return;
+
+    setError('');
+    setFile(picked);
+    const text = await picked.text();
+    if (isIcs(picked)) {
+      setTable({ ics: text });
+      setStep('preview');
+      return;
+    }
+
+    const parsed = parseCsv(text);
+    if (parsed.rows.length === 0) {
+      setError('The file has no rows below its header');
+      return;
+    }
+    setTable(parsed);
+    setMapping(guessMapping(parsed.columns));
+    setStep('map');
+  };
+
+  // Rows to send, rebuilt whenever the mapping or the event option changes
+  useEffect(() => {
+    if (!table) return;
+    setRows(table.ics ? parseIcs(table.ics, { eventsAsTasks }) : { tasks: rowsToTasks(table.rows, mapping), events: [] });
+  }, [table, mapping, eventsAsTasks]);
+
+  useEffect(() => {
+    if (step !== 'preview') return undefined;
+    if (rows.tasks.length + rows.events.length === 0) {
+      setProblems({});
+      return undefined;
+    }
+
+    let cancelled = false;
+    setProblems(null);
+    importRows(rows, { dryRun: true })
+      .then(({ errors }) => {
+        if (cancelled) return;
+        setProblems(Object.fromEntries(errors.map(({ kind, index, message }) => [`${kind}:${index}`, message])));
+      })
+      .catch((err) => !cancelled && setError(err.message));
+    return () => {
+      cancelled = true;
+    };
+  }, [step, rows]);
+
+  const preview = [
+    ...rows.tasks.map((row, index) => ({ ...row, kind: 'task', index, when: row.dueDate })),
+    ...rows.events.map((row, index) => ({
+      ...row,
+      kind: 'event',
+      index,
+      when: row.allDay ? row.start : row.start && new Date(row.start).toLocaleString(),
+    })),
+  ];
+  const invalid = problems ? Object.keys(problems).length : 0;
+  const valid = preview.length - invalid;
+
+  // Rows with problems are left out, so the rest can go in while those get fixed at the source
+  const handleImport = async () => {
+    const keep = (kind) => (row, index) => !problems[`${kind}:${index}`];
+    setBusy(true);
+    setError('');
+    try {
+      const created = await importRows({
+        tasks: rows.tasks.filter(keep('task')),
+        events: rows.events.filter(keep('event')),
+      });
+      onImported(created);
+    } catch (err) {
+      setError(err.message);
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Modal title='Import Tasks' onClose={onClose} className='max-w-4xl'>
+      <div className='space-y-4 text-sm'>
+        {step === 'file' && (
+          <>
+            <p className='text-gray-600'>
+              Choose a CSV file with a header row, or an iCalendar (.ics) file exported from a calendar or to-do
+              app. Its to-dos become tasks and its events go on the calendar.
+            </p>
+            <label className='flex flex-col items-center gap-2 p-8 border-2 border-dashed rounded cursor-pointer hover:bg-gray-50'>
+              <FaFileImport className='text-3xl text-gray-400' aria-hidden='true' />
+              <span className='text-blue-600'>Choose a file</span>
+              <input type='file' accept='.csv,.ics,text/csv,text/calendar' className='hidden' onChange={handleFile} />
+            </label>
+          </>
+        )}
+
+        {step === 'map' && table && (
+          <>
+            <p className='text-gray-600'>
+              Pick the column of <span className='font-medium'>{file.name}</span> that holds each field.
+              Assignees are matched to workspace members by email or full name.
+            </p>
+            <div className='grid grid-cols-1 sm:grid-cols-2 gap-3'>
+              {IMPORT_FIELDS.map((field) => (
+                <label key={field.key} className='flex items-center gap-2'>
+                  <span className='w-28 text-gray-700'>
+                    {field.label}
+                    {field.required && ' *'}
+                  </span>
+                  <select
+                    value={mapping[field.key]}
+                    onChange={(e) => setMapping({ ...mapping, [field.key]: Number(e.target.value) })}
+                    className='flex-1 p-2 border rounded'>
+                    <option value={-1}>Not imported</option>
+                    {table.columns.map((column, index) => (
+                      <option key={index} value={index}>
+                        {column || `Column ${index + 1}`}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              ))}
+            </div>
+            <div className='flex justify-between'>
+              <button onClick={() => setStep('file')} className='px-4 py-2 bg-gray-200 rounded hover:bg-gray-300'>
+                Back
+              </button>
+              <button
+                onClick={() => setStep('preview')}
+                disabled={mapping.title < 0}
+                className='px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50'>
+                Preview
+              </button>
+            </div>
+          </>
+        )}
+
+        {step === 'preview' && (
+          <>
+            {table?.ics && (
+              <label className='flex items-center gap-2'>
+                <input type='checkbox' checked={eventsAsTasks} onChange={(e) => setEventsAsTasks(e.target.checked)} />
+                Import events as tasks due on the day they start
+              </label>
+            )}
+
+            {problems === null && !error ? (
+              <div className='flex justify-center p-4'>
+                <FaSpinner className='animate-spin text-blue-500 text-2xl' />
+              </div>
+            ) : (
+              <div className='max-h-[50vh] overflow-auto border rounded'>
+                <table className='w-full text-left'>
+                  <thead className='bg-gray-100 sticky top-0'>
+                    <tr>
+                      <th className='p-2'>#</th>
+                      <th className='p-2'>Type</th>
+                      <th className='p-2'>Title</th>
+                      <th className='p-2'>Due / Starts</th>
+                      <th className='p-2'>Priority</th>
+                      <th className='p-2'>Assignee</th>
+                      <th className='p-2'>Problem</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {preview.map((row, position) => {
+                      const problem = problems?.[`${row.kind}:${row.index}`];
+                      return (
+                        <tr key={`${row.kind}:${row.index}`} className={`border-t ${problem ? 'bg-red-50' : ''}`}>
+                          <td className='p-2 text-gray-500'>{position + 1}</td>
+                          <td className='p-2'>{row.kind === 'task' ? 'Task' : 'Event'}</td>
+                          <td className='p-2'>{row.title || <span className='text-gray-400'>(none)</span>}</td>
+                          <td className='p-2'>{row.when || '—'}</td>
+                          <td className='p-2'>{row.priority || '—'}</td>
+                          <td className='p-2'>{row.assignee || '—'}</td>
+                          <td className='p-2 text-red-700'>{problem}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+                {preview.length === 0 && <p className='p-4 text-gray-500'>The file holds no tasks or events.</p>}
+              </div>
+            )}
+
+            {invalid > 0 && (
+              <p className='text-red-700'>
+                {invalid} row(s) have problems and will be skipped. Fix them in the file and import it again to
+                bring them in too.
+              </p>
+            )}
+
+            <div className='flex justify-between'>
+              <button
+                onClick={() => setStep(table?.ics ? 'file' : 'map')}
+                className='px-4 py-2 bg-gray-200 rounded hover:bg-gray-300'>
+                Back
+              </button>
+              <button
+                onClick={handleImport}
+                disabled={busy || problems === null || valid === 0}
+                className='px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50'>
+                {busy ? 'Importing…' : `Import ${valid} row(s)`}
+              </button>
+            </div>
+          </>
+        )}
+
+        {error && <p className='text-red-600'>{error}</p>}
+      </div>
+    </Modal>
+  );
+};
+
+export default ImportWizard;
@@ -0,0 +1,199 @@
+/**
+ * TaskAttachments Component
+ *
+ * Files attached to one task, with thumbnails for images. Files are fetched
+ * through the API, since downloads need the session token. Thumbnails are the
+ * full files, so nothing is fetched until the list is opened.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import React, { useState, useEffect } from 'react';
+import { FaPaperclip, FaTimes, FaSpinner, FaChevronDown, FaChevronRight } from 'react-icons/fa';
+import { useAuth } from '../../contexts/AuthContext';
+import { saveBlob } from '../../utils/download';
+import {
+  fetchAttachments,
+  uploadAttachment,
+  downloadAttachment,
+  deleteAttachment,
+} from '../../api';
+
+const isImage = (attachment) => attachment.contentType.startsWith('image/');
+
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * @param {Object} props
+ * @param {Object} props.task - Task from the API, including its attachment count
+ */
+const TaskAttachments = ({ task }) => {
+  const { can } = useAuth();
+  const [open, setOpen] = useState(false);
+  const [attachments, setAttachments] = useState([]);
+  const [thumbnails, setThumbnails] = useState({});
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState('');
+
+  // The count changes with every upload and removal, so it tells when to reload
+  const attachmentCount = task.attachmentCount || 0;
+
+  useEffect(() => {
+    if (!open || attachmentCount === 0) {
+      setAttachments([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    fetchAttachments(task._id)
+      .then((list) => {
+        if (!cancelled) setAttachments(list);
+      })
+      .catch((err) => console.error('Error loading attachments:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [task._id, attachmentCount, open]);
+
+  useEffect(() => {
+    const images = attachments.filter(isImage);
+    if (images.length === 0) {
+      setThumbnails({});
+      return undefined;
+    }
+
+    let cancelled = false;
+    const urls = {};
+    Promise.all(
+      images.map(async (attachment) => {
+        try {
+          const blob = await downloadAttachment(task._id, attachment._id);
+          const url = URL.createObjectURL(blob);
+          // Once cleaned up, nothing else would revoke it
+          if (cancelled) URL.revokeObjectURL(url);
+          else urls[attachment._id] = url;
+        } catch (err) {
+          console.error('Error loading thumbnail:', err);
+        }
+      })
+    ).then(() => {
+      if (!cancelled) setThumbnails({ ...urls });
+    });
+
+    return () => {
+      cancelled = true;
+      // Object URLs hold the image in memory until revoked
+      Object.values(urls).forEach((url) => URL.revokeObjectURL(url));
+    };
+  }, [task._id, attachments]);
+
+  const handleUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setError('');
+    setUploading(true);
+    try {
+      await uploadAttachment(task._id, file);
+      setOpen(true);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleDownload = async (attachment) => {
+    try {
+      saveBlob(await downloadAttachment(task._id, attachment._id), attachment.filename);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = async (attachment) => {
+    if (!window.confirm(`Remove "${attachment.filename}"?`)) return;
+    setError('');
+    try {
+      await deleteAttachment(task._id, attachment._id);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (attachmentCount === 0 && !can('tasks:update')) return null;
+
+  return (
+    <div className='mt-2 text-sm'>
+      {attachmentCount > 0 && (
+        <button
+          onClick={() => setOpen((current) => !current)}
+          aria-expanded={open}
+          className='flex items-center text-xs text-gray-600 hover:underline'>
+          {open ? (
+            <FaChevronDown className='mr-1' aria-hidden='true' />
+          ) : (
+            <FaChevronRight className='mr-1' aria-hidden='true' />
+          )}
+          {attachmentCount} {attachmentCount === 1 ? 'attachment' : 'attachments'}
+        </button>
+      )}
+
+      {open && attachments.length > 0 && (
+        <ul className='flex flex-wrap gap-2' aria-label='Attachments'>
+          {attachments.map((attachment) => (
+            <li key={attachment._id} className='relative group'>
+              <button
+                onClick={() => handleDownload(attachment)}
+                title={`${attachment.filename} (${formatSize(attachment.size)})`}
+                className='block'>
+                {isImage(attachment) && thumbnails[attachment._id] ? (
+                  <img
+                    src={thumbnails[attachment._id]}
+                    alt={attachment.filename}
+                    className='h-12 w-12 object-cover rounded border'
+                  />
+                ) : (
+                  <span className='flex items-center max-w-[10rem] px-2 py-1 rounded bg-gray-100 text-gray-700 text-xs'>
+                    <FaPaperclip className='mr-1 shrink-0' aria-hidden='true' />
+                    <span className='truncate'>{attachment.filename}</span>
+                  </span>
+                )}
+              </button>
+              {can('tasks:update') && (
+                <button
+                  onClick={() => handleDelete(attachment)}
+                  className='absolute -top-1 -right-1 hidden group-hover:block bg-white rounded-full text-gray-500 hover:text-red-600 shadow'
+                  aria-label={`Remove ${attachment.filename}`}>
+                  <FaTimes />
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {can('tasks:update') && (
+        <label className='inline-flex items-center mt-1 text-xs text-blue-600 hover:underline cursor-pointer'>
+          {uploading ? (
+            <FaSpinner className='animate-spin mr-1' aria-hidden='true' />
+          ) : (
+            <FaPaperclip className='mr-1' aria-hidden='true' />
+          )}
+          Attach file
+          <input type='file' className='hidden' onChange={handleUpload} disabled={uploading} />
+        </label>
+      )}
+
+      {error && <p className='text-xs text-red-600'>{error}</p>}
+    </div>
+  );
+};
+
+export default TaskAttachments;
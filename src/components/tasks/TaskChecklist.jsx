@@ -0,0 +1,182 @@
+/**
+ * TaskChecklist Component
+ *
+ * Checklist items and subtasks of one task. Ticking items off or completing
+ * subtasks updates the task's progress on the server.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import React, { useState, useEffect } from 'react';
+import { FaTrash, FaPlus } from 'react-icons/fa';
+import {
+  fetchSubtasks,
+  createTask,
+  updateTask,
+  deleteTask,
+  addChecklistItem,
+  updateChecklistItem,
+  deleteChecklistItem,
+} from '../../api';
+import { checklistProgress } from '../../utils/checklist';
+
+/**
+ * @param {Object} props
+ * @param {Object} props.task - Task from the API, including its checklist
+ */
+const TaskChecklist = ({ task }) => {
+  const [subtasks, setSubtasks] = useState([]);
+  const [newItem, setNewItem] = useState('');
+  const [newSubtask, setNewSubtask] = useState('');
+  const [error, setError] = useState('');
+
+  // The task's subtask counts change whenever a subtask is added, finished or removed,
+  // so they tell when the list needs reloading without a request per task on every update
+  const subtaskTotal = task.subtasks?.total || 0;
+  const subtaskDone = task.subtasks?.done || 0;
+
+  useEffect(() => {
+    if (subtaskTotal === 0) {
+      setSubtasks([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    fetchSubtasks(task._id)
+      .then((list) => {
+        if (!cancelled) setSubtasks(list);
+      })
+      .catch((err) => console.error('Error loading subtasks:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [task._id, subtaskTotal, subtaskDone]);
+
+  // Every change reports its error in place; the task list reloads on success
+  const run = async (action) => {
+    setError('');
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleAddItem = (e) => {
+    e.preventDefault();
+    if (!newItem.trim()) return;
+    run(async () => {
+      await addChecklistItem(task._id, newItem.trim());
+      setNewItem('');
+    });
+  };
+
+  const handleAddSubtask = (e) => {
+    e.preventDefault();
+    if (!newSubtask.trim()) return;
+    run(async () => {
+      await createTask({ title: newSubtask.trim(), parent: task._id });
+      setNewSubtask('');
+    });
+  };
+
+  const { done, total } = checklistProgress(task);
+
+  return (
+    <div className='mt-3 space-y-2 text-sm'>
+      <div className='flex justify-between text-gray-600'>
+        <span className='font-semibold'>Checklist</span>
+        {total > 0 && (
+          <span>
+            {done}/{total} done
+          </span>
+        )}
+      </div>
+
+      <ul className='space-y-1'>
+        {task.checklist?.map((item) => (
+          <li key={item._id} className='flex items-center gap-2'>
+            <input
+              type='checkbox'
+              checked={item.done}
+              onChange={() =>
+                run(() => updateChecklistItem(task._id, item._id, { done: !item.done }))
+              }
+              aria-label={`Mark "${item.text}" as ${item.done ? 'not done' : 'done'}`}
+            />
+            <span className={`flex-1 ${item.done ? 'line-through text-gray-400' : ''}`}>
+              {item.text}
+            </span>
+            <button
+              onClick={() => run(() => deleteChecklistItem(task._id, item._id))}
+              className='text-gray-400 hover:text-red-600'
+              aria-label={`Remove "${item.text}"`}>
+              <FaTrash />
+            </button>
+          </li>
+        ))}
+
+        {subtasks.map((subtask) => (
+          <li key={subtask._id} className='flex items-center gap-2'>
+            <input
+              type='checkbox'
+              checked={subtask.status === 'complete'}
+              onChange={() =>
+                run(() =>
+                  updateTask(subtask._id, {
+                    status: subtask.status === 'complete' ? 'incomplete' : 'complete',
+                  })
+                )
+              }
+              aria-label={`Mark subtask "${subtask.title}" as ${
+                subtask.status === 'complete' ? 'incomplete' : 'complete'
+              }`}
+            />
+            <span
+              className={`flex-1 ${
+                subtask.status === 'complete' ? 'line-through text-gray-400' : ''
+              }`}>
+              ↳ {subtask.title}
+              {subtask.subtasks?.total > 0 &&
+                ` (${subtask.subtasks.done}/${subtask.subtasks.total})`}
+            </span>
+            <button
+              onClick={() => run(() => deleteTask(subtask._id))}
+              className='text-gray-400 hover:text-red-600'
+              aria-label={`Delete subtask "${subtask.title}"`}>
+              <FaTrash />
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      <form onSubmit={handleAddItem} className='flex gap-2'>
+        <input
+          value={newItem}
+          onChange={(e) => setNewItem(e.target.value)}
+          placeholder='Add checklist item'
+          className='flex-1 p-1 border rounded'
+        />
+        <button type='submit' className='px-2 text-blue-600' aria-label='Add checklist item'>
+          <FaPlus />
+        </button>
+      </form>
+      <form onSubmit={handleAddSubtask} className='flex gap-2'>
+        <input
+          value={newSubtask}
+          onChange={(e) => setNewSubtask(e.target.value)}
+          placeholder='Add subtask'
+          className='flex-1 p-1 border rounded'
+        />
+        <button type='submit' className='px-2 text-blue-600' aria-label='Add subtask'>
+          <FaPlus />
+        </button>
+      </form>
+
+      {error && <p className='text-red-600'>{error}</p>}
+    </div>
+  );
+};
+
+export default TaskChecklist;
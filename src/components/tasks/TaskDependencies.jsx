@@ -0,0 +1,117 @@
+/**
+ * TaskDependencies Component
+ *
+ * "Blocked by" and "blocks" links of one task. A task is blocked while any
+ * task it waits on is incomplete; the server rejects links that form a cycle.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import React, { useState } from 'react';
+import { FaLock, FaTimes } from 'react-icons/fa';
+import { addDependency, removeDependency } from '../../api';
+
+const idOf = (ref) => ref?._id || ref;
+
+/**
+ * @param {Object} props
+ * @param {Object} props.task - Task from the API, with blockedBy populated
+ * @param {Array<Object>} props.tasks - Tasks the user can pick blockers from
+ */
+const TaskDependencies = ({ task, tasks }) => {
+  const [blockerId, setBlockerId] = useState('');
+  const [error, setError] = useState('');
+
+  const blockedBy = task.blockedBy || [];
+  const linkedIds = new Set(blockedBy.map((blocker) => blocker._id));
+  // Links stay within a workspace
+  const candidates = tasks.filter(
+    (other) =>
+      other._id !== task._id &&
+      !linkedIds.has(other._id) &&
+      idOf(other.workspace) === idOf(task.workspace)
+  );
+  const blocks = tasks.filter((other) =>
+    (other.blockedBy || []).some((blocker) => blocker._id === task._id)
+  );
+
+  const run = async (action) => {
+    setError('');
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (!blockerId) return;
+    run(async () => {
+      await addDependency(task._id, blockerId);
+      setBlockerId('');
+    });
+  };
+
+  return (
+    <div className='mt-3 space-y-2 text-sm'>
+      <div className='flex justify-between text-gray-600'>
+        <span className='font-semibold'>Dependencies</span>
+        {task.blocked && (
+          <span className='flex items-center text-red-700'>
+            <FaLock className='mr-1' aria-hidden='true' />
+            Blocked
+          </span>
+        )}
+      </div>
+
+      {blockedBy.length > 0 && (
+        <ul className='space-y-1' aria-label='Blocked by'>
+          {blockedBy.map((blocker) => (
+            <li key={blocker._id} className='flex items-center gap-2'>
+              <span
+                className={`flex-1 ${blocker.status === 'complete' ? 'line-through text-gray-400' : ''}`}>
+                Blocked by {blocker.title}
+              </span>
+              <button
+                onClick={() => run(() => removeDependency(task._id, blocker._id))}
+                className='text-gray-400 hover:text-red-600'
+                aria-label={`Remove dependency on "${blocker.title}"`}>
+                <FaTimes />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {blocks.length > 0 && (
+        <p className='text-gray-600'>Blocks {blocks.map((other) => other.title).join(', ')}</p>
+      )}
+
+      {candidates.length > 0 && (
+        <form onSubmit={handleAdd} className='flex gap-2'>
+          <select
+            value={blockerId}
+            onChange={(e) => setBlockerId(e.target.value)}
+            className='flex-1 p-1 border rounded'
+            aria-label='Task this one waits on'>
+            <option value=''>Blocked by…</option>
+            {candidates.map((other) => (
+              <option key={other._id} value={other._id}>
+                {other.title}
+              </option>
+            ))}
+          </select>
+          <button type='submit' disabled={!blockerId} className='px-2 text-blue-600 disabled:opacity-50'>
+            Add
+          </button>
+        </form>
+      )}
+
+      {error && <p className='text-red-600'>{error}</p>}
+    </div>
+  );
+};
+
+export default TaskDependencies;
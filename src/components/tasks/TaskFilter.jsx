@@ -3,142 +3,63 @@
  * 
  * A comprehensive task filtering component that allows users to filter tasks
  * by completion status and search by title. Implements real-time filtering
- * with localStorage integration for persistent data access.
+ * over the tasks served by the TaskFlow API.
  * 
  * Features:
  * - Filter tasks by completion status (All/Complete/Incomplete)
  * - Search tasks by title with real-time results
  * - Responsive design with mobile optimization
  * - Accessibility support with ARIA attributes
- * - Integration with localStorage for data persistence
+ * - Stays in sync with task changes made elsewhere in the app
  * 
  * @author Senior Full-Stack Engineer
  * @version 1.0.0
  */
 
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useMemo } from 'react';
 import { FaSearch, FaFilter, FaSpinner, FaExclamationTriangle, FaTasks } from 'react-icons/fa';
+import { useTasks } from '../../hooks/useTasks';
+import ExportButton from '../common/ExportButton';
 
 const TaskFilter = () => {
-  // State management with proper initialization
-  const [tasks, setTasks] = useState([]);
-  const [filteredTasks, setFilteredTasks] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
+  // Tasks come from the API and refresh whenever another view changes them
+  const { tasks, loading, error } = useTasks();
   const [filters, setFilters] = useState({
     status: 'all',
     search: ''
   });
-  const [counts, setCounts] = useState({
-    all: 0,
-    complete: 0,
-    incomplete: 0
-  });
-
-  /**
-   * Load tasks from localStorage
-   * Uses localStorage for cross-component data sharing
-   */
-  useEffect(() => {
-    const loadTasks = async () => {
-      try {
-        // Simulate network delay for realistic UX
-        await new Promise(resolve => setTimeout(resolve, 500));
-        
-        // Get tasks from localStorage
-        const storedTasks = localStorage.getItem('tasks');
-        
-        if (storedTasks) {
-          const parsedTasks = JSON.parse(storedTasks);
-          setTasks(parsedTasks);
-          
-          // Apply initial filtering
-          applyFilters(parsedTasks, filters);
-          
-          // Calculate counts
-          updateCounts(parsedTasks);
-        } else {
-          // Initialize with empty array if no tasks exist
-          setTasks([]);
-          setFilteredTasks([]);
-        }
-        
-        setError(null);
-      } catch (err) {
-        console.error('Error loading tasks:', err);
-        setError('Failed to load tasks. Please try again later.');
-      } finally {
-        setLoading(false);
-      }
-    };
-
-    loadTasks();
-    
-    // Set up event listener for storage changes from other components
-    const handleStorageChange = (e) => {
-      if (e.key === 'tasks') {
-        try {
-          const updatedTasks = JSON.parse(e.newValue || '[]');
-          setTasks(updatedTasks);
-          applyFilters(updatedTasks, filters);
-          updateCounts(updatedTasks);
-        } catch (err) {
-          console.error('Error parsing tasks from storage:', err);
-        }
-      }
-    };
-    
-    // Add event listener for storage changes
-    window.addEventListener('storage', handleStorageChange);
-    
-    // Clean up event listener on component unmount
-    return () => {
-      window.removeEventListener('storage', handleStorageChange);
-    };
-  }, []);
 
   /**
-   * Update task counts by status
-   * 
-   * @param {Array} taskList - List of tasks to count
+   * Task counts by status
    */
-  const updateCounts = (taskList) => {
-    const completeTasks = taskList.filter(task => task.status === 'complete').length;
-    const incompleteTasks = taskList.filter(task => task.status === 'incomplete').length;
-    
-    setCounts({
-      all: taskList.length,
-      complete: completeTasks,
-      incomplete: incompleteTasks
-    });
-  };
+  const counts = useMemo(() => ({
+    all: tasks.length,
+    complete: tasks.filter(task => task.status === 'complete').length,
+    incomplete: tasks.filter(task => task.status === 'incomplete').length
+  }), [tasks]);
 
   /**
-   * Apply filters to tasks based on current filter settings
-   * Memoized with useCallback to prevent unnecessary re-renders
-   * 
-   * @param {Array} taskList - List of tasks to filter
-   * @param {Object} filterSettings - Current filter settings
+   * Tasks matching the current filter settings
    */
-  const applyFilters = useCallback((taskList, filterSettings) => {
-    let result = [...taskList];
+  const filteredTasks = useMemo(() => {
+    let result = [...tasks];
     
     // Apply status filter
-    if (filterSettings.status !== 'all') {
-      result = result.filter(task => task.status === filterSettings.status);
+    if (filters.status !== 'all') {
+      result = result.filter(task => task.status === filters.status);
     }
     
     // Apply search filter
-    if (filterSettings.search.trim()) {
-      const searchTerm = filterSettings.search.toLowerCase().trim();
+    if (filters.search.trim()) {
+      const searchTerm = filters.search.toLowerCase().trim();
       result = result.filter(task => 
         task.title.toLowerCase().includes(searchTerm) || 
         task.description.toLowerCase().includes(searchTerm)
       );
     }
     
-    setFilteredTasks(result);
-  }, []);
+    return result;
+  }, [tasks, filters]);
 
   /**
    * Handle filter changes
@@ -153,7 +74,6 @@ const TaskFilter = () => {
     };
     
     setFilters(newFilters);
-    applyFilters(tasks, newFilters);
   };
 
   // Loading state
@@ -230,8 +150,16 @@ const TaskFilter = () => {
       </div>
       
       {/* Results count */}
-      <div className="mb-4 text-sm text-gray-500">
-        Showing {filteredTasks.length} of {tasks.length} tasks
+      <div className="mb-4 flex justify-between items-center text-sm text-gray-500">
+        <span>Showing {filteredTasks.length} of {tasks.length} tasks</span>
+        <ExportButton
+          path="/api/tasks/export"
+          params={{
+            status: filters.status !== 'all' ? filters.status : undefined,
+            search: filters.search.trim()
+          }}
+          filename="tasks"
+        />
       </div>
       
       {/* Task list */}
@@ -241,9 +169,7 @@ const TaskFilter = () => {
           <button
             className="mt-2 px-4 py-2 text-sm text-blue-600 hover:text-blue-800"
             onClick={() => {
-              const resetFilters = { status: 'all', search: '' };
-              setFilters(resetFilters);
-              applyFilters(tasks, resetFilters);
+              setFilters({ status: 'all', search: '' });
             }}
           >
             Reset Filters
@@ -2,20 +2,22 @@
  * TaskList Component
  *
  * A comprehensive task management component that displays tasks in a dropdown from the navbar.
- * Implements full CRUD functionality with localStorage persistence for data sharing between components.
+ * Reads and updates tasks through the TaskFlow API so every open view stays in sync.
  *
  * Features:
  * - Displays task title, description, status, priority, and due date
  * - Allows marking tasks as complete/incomplete
  * - Provides task editing capability with validation
- * - Implements localStorage for persistent storage and cross-component data sharing
+ * - Persists changes through the tasks API
+ * - Opens the comment thread of each task
+ * - Shows attachments, with thumbnails for images
  * - Includes loading, error, and empty states with appropriate UI feedback
  *
  * @author Senior Full-Stack Engineer
  * @version 1.1.0
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState } from 'react';
 import {
   FaCheck,
   FaEdit,
@@ -23,134 +25,57 @@ import {
   FaExclamationTriangle,
   FaCalendarAlt,
   FaFlag,
+  FaListUl,
+  FaRegComment,
+  FaLock,
 } from 'react-icons/fa';
+import { useTasks } from '../../hooks/useTasks';
+import CommentThread from './CommentThread';
+import TaskAttachments from './TaskAttachments';
+import { checklistProgress } from '../../utils/checklist';
+
+// Finished checklist items and subtasks, shown only when the task has any
+const ChecklistBadge = ({ task }) => {
+  const { done, total } = checklistProgress(task);
+  if (total === 0) return null;
+
+  return (
+    <span
+      className='text-xs px-2 py-1 rounded flex items-center bg-blue-100 text-blue-800'
+      aria-label={`Checklist: ${done} of ${total} done`}>
+      <FaListUl className='mr-1' aria-hidden='true' />
+      {done}/{total}
+    </span>
+  );
+};
 
 const TaskList = () => {
-  const [tasks, setTasks] = useState([]);
-  const [filteredTasks, setFilteredTasks] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
+  const { tasks, loading, error, editTask } = useTasks();
   const [editingTask, setEditingTask] = useState(null);
   const [editForm, setEditForm] = useState({ title: '', description: '' });
   const [filterStatus, setFilterStatus] = useState('all');
   const [searchQuery, setSearchQuery] = useState('');
-
-  useEffect(() => {
-    const loadTasks = async () => {
-      try {
-        await new Promise((resolve) => setTimeout(resolve, 500));
-        const storedTasks = localStorage.getItem('tasks');
-
-        if (storedTasks) {
-          const parsedTasks = JSON.parse(storedTasks);
-          setTasks(parsedTasks);
-          setFilteredTasks(parsedTasks);
-        } else {
-          const mockTasks = [
-            {
-              _id: '1',
-              title: 'Complete project documentation',
-              description:
-                'Write comprehensive documentation for the TaskFlow project',
-              status: 'incomplete',
-              priority: 'high',
-              dueDate: new Date().toISOString(),
-              createdAt: new Date().toISOString(),
-            },
-            {
-              _id: '2',
-              title: 'Fix navigation bug',
-              description:
-                'Address the issue with sidebar navigation on mobile devices',
-              status: 'complete',
-              priority: 'medium',
-              dueDate: new Date().toISOString(),
-              createdAt: new Date(Date.now() - 86400000).toISOString(),
-            },
-            {
-              _id: '3',
-              title: 'Implement user feedback',
-              description: 'Add the user feedback form to the dashboard',
-              status: 'incomplete',
-              priority: 'low',
-              dueDate: new Date(Date.now() + 86400000).toISOString(),
-              createdAt: new Date(Date.now() - 172800000).toISOString(),
-            },
-            {
-              _id: '4',
-              title: 'Update dependencies',
-              description: 'Update all npm packages to their latest versions',
-              status: 'incomplete',
-              priority: 'medium',
-              dueDate: new Date(Date.now() + 172800000).toISOString(),
-              createdAt: new Date(Date.now() - 259200000).toISOString(),
-            },
-          ];
-
-          localStorage.setItem('tasks', JSON.stringify(mockTasks));
-          setTasks(mockTasks);
-          setFilteredTasks(mockTasks);
-        }
-
-        setError(null);
-      } catch (err) {
-        console.error('Error loading tasks:', err);
-        setError('Failed to load tasks. Please try again later.');
-      } finally {
-        setLoading(false);
-      }
-    };
-
-    loadTasks();
-
-    const handleStorageChange = (e) => {
-      if (e.key === 'tasks') {
-        try {
-          const updatedTasks = JSON.parse(e.newValue || '[]');
-          setTasks(updatedTasks);
-        } catch (err) {
-          console.error('Error parsing tasks from storage:', err);
-        }
-      }
-    };
-
-    window.addEventListener('storage', handleStorageChange);
-    return () => {
-      window.removeEventListener('storage', handleStorageChange);
-    };
-  }, []);
-
-  useEffect(() => {
-    const filtered = tasks.filter((task) => {
-      const matchesStatus =
-        filterStatus === 'all' || task.status === filterStatus;
-      const matchesSearch = task.title
-        .toLowerCase()
-        .includes(searchQuery.toLowerCase());
-      return matchesStatus && matchesSearch;
-    });
-    setFilteredTasks(filtered);
-  }, [tasks, filterStatus, searchQuery]);
-
-  const handleStatusChange = (taskId) => {
-    const updatedTasks = tasks.map((task) =>
-      task._id === taskId
-        ? {
-            ...task,
-            status: task.status === 'complete' ? 'incomplete' : 'complete',
-            updatedAt: new Date().toISOString(),
-          }
-        : task
-    );
-
-    setTasks(updatedTasks);
-    localStorage.setItem('tasks', JSON.stringify(updatedTasks));
-    window.dispatchEvent(
-      new StorageEvent('storage', {
-        key: 'tasks',
-        newValue: JSON.stringify(updatedTasks),
-      })
-    );
+  const [commentsTask, setCommentsTask] = useState(null);
+
+  const filteredTasks = tasks.filter((task) => {
+    const matchesStatus =
+      filterStatus === 'all' || task.status === filterStatus;
+    const matchesSearch = task.title
+      .toLowerCase()
+      .includes(searchQuery.toLowerCase());
+    return matchesStatus && matchesSearch;
+  });
+
+  const handleStatusChange = async (task) => {
+    try {
+      await editTask(task._id, {
+        status: task.status === 'complete' ? 'incomplete' : 'complete',
+      });
+    } catch (err) {
+      console.error('Error updating task:', err);
+      // e.g. the task is still blocked by unfinished tasks
+      alert(err.message);
+    }
   };
 
   const startEditing = (task) => {
@@ -163,32 +88,22 @@ const TaskList = () => {
     setEditForm((prev) => ({ ...prev, [name]: value }));
   };
 
-  const saveTask = (taskId) => {
+  const saveTask = async (taskId) => {
     if (!editForm.title.trim()) {
       alert('Task title cannot be empty');
       return;
     }
 
-    const updatedTasks = tasks.map((task) =>
-      task._id === taskId
-        ? {
-            ...task,
-            title: editForm.title,
-            description: editForm.description,
-            updatedAt: new Date().toISOString(),
-          }
-        : task
-    );
-
-    setTasks(updatedTasks);
-    setEditingTask(null);
-    localStorage.setItem('tasks', JSON.stringify(updatedTasks));
-    window.dispatchEvent(
-      new StorageEvent('storage', {
-        key: 'tasks',
-        newValue: JSON.stringify(updatedTasks),
-      })
-    );
+    try {
+      await editTask(taskId, {
+        title: editForm.title,
+        description: editForm.description,
+      });
+      setEditingTask(null);
+    } catch (err) {
+      console.error('Error saving task:', err);
+      alert(err.message);
+    }
   };
 
   const cancelEditing = () => {
@@ -320,7 +235,7 @@ const TaskList = () => {
                   </h4>
                   <div className='flex space-x-2'>
                     <button
-                      onClick={() => handleStatusChange(task._id)}
+                      onClick={() => handleStatusChange(task)}
                       className={`p-1 rounded ${
                         task.status === 'complete'
                           ? 'bg-green-100 text-green-600'
@@ -345,6 +260,16 @@ const TaskList = () => {
                       aria-label='Edit task'>
                       <FaEdit aria-hidden='true' />
                     </button>
+                    <button
+                      onClick={() => setCommentsTask(task)}
+                      className='p-1 rounded bg-gray-100 text-gray-600 hover:opacity-80 transition-opacity flex items-center'
+                      title='Comments'
+                      aria-label={`Comments (${task.commentCount || 0})`}>
+                      <FaRegComment aria-hidden='true' />
+                      {task.commentCount > 0 && (
+                        <span className='ml-1 text-xs'>{task.commentCount}</span>
+                      )}
+                    </button>
                   </div>
                 </div>
 
@@ -353,6 +278,8 @@ const TaskList = () => {
                   {task.description}
                 </p>
 
+                <TaskAttachments task={task} />
+
                 <div className='mt-2 flex flex-wrap gap-2 justify-between items-center'>
                   <div className='flex flex-wrap gap-2'>
                     <span
@@ -374,6 +301,20 @@ const TaskList = () => {
                         {task.priority}
                       </span>
                     )}
+
+                    <ChecklistBadge task={task} />
+
+                    {task.blocked && (
+                      <span
+                        className='text-xs px-2 py-1 rounded flex items-center bg-red-100 text-red-800'
+                        title={`Blocked by ${task.blockedBy
+                          .filter((blocker) => blocker.status !== 'complete')
+                          .map((blocker) => blocker.title)
+                          .join(', ')}`}>
+                        <FaLock className='mr-1' aria-hidden='true' />
+                        Blocked
+                      </span>
+                    )}
                   </div>
 
                   {task.dueDate && (
@@ -390,6 +331,10 @@ const TaskList = () => {
           </li>
         ))}
       </ul>
+
+      {commentsTask && (
+        <CommentThread task={commentsTask} onClose={() => setCommentsTask(null)} />
+      )}
     </div>
   );
 };
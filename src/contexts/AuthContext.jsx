@@ -2,19 +2,34 @@
  * Authentication Context
  *
  * Provides authentication state and methods throughout the application.
- * Implements JWT-based authentication with secure storage and proper state management.
+ * Implements JWT-based authentication against the /api/auth endpoints with
+ * proper state management.
  *
  * Features:
  * - User authentication state management
- * - Login/logout functionality
- * - Token persistence
- * - Role-based access control support
+ * - Login/signup through the backend, logout with server-side revocation
+ * - Token persistence and silent renewal through the refresh cookie
+ * - Role and permission checks (see shared/permissions.json)
  *
  * @author Senior Full-Stack Engineer
  * @version 1.0.0
  */
 
-import React, { createContext, useState, useContext, useEffect } from 'react';
+import React, {
+  createContext,
+  useState,
+  useContext,
+  useEffect,
+  useCallback,
+} from 'react';
+import {
+  apiRequest,
+  refreshAccessToken,
+  SESSION_EXPIRED_EVENT,
+  WORKSPACE_STORAGE_KEY,
+} from '../utils/api';
+import { decodeToken, isTokenExpired } from '../utils/jwt';
+import { hasPermission, normalizeRole } from '../utils/permissions';
 
 // Create the authentication context
 const AuthContext = createContext();
@@ -27,6 +42,39 @@ export const useAuth = () => {
   return useContext(AuthContext);
 };
 
+/**
+ * Reads when a JWT issued by the backend expires
+ *
+ * @param {string|null} token - Encoded JWT
+ * @returns {number|null} Expiry in ms since epoch, or null if the token is malformed or expired
+ */
+const tokenExpiry = (token) => {
+  const payload = token && decodeToken(token);
+  return payload && !isTokenExpired(payload) ? payload.exp * 1000 : null;
+};
+
+// Renew the access token this long before it expires
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+/**
+ * Asks the server who the stored token belongs to
+ * Identity and role always come from this answer, never from localStorage
+ *
+ * @returns {Promise<Object>} User data
+ */
+const fetchSessionUser = async () => {
+  const profile = await apiRequest('/api/auth/me');
+
+  return {
+    userId: profile.userId,
+    fullName: profile.fullName,
+    email: profile.email,
+    role: profile.role,
+    // Read after the request, which may have refreshed the token
+    expiresAt: tokenExpiry(localStorage.getItem('token')),
+  };
+};
+
 /**
  * Authentication Provider Component
  * Manages authentication state and provides methods to login, logout, etc.
@@ -36,93 +84,172 @@ export const useAuth = () => {
  */
 const AuthProvider = ({ children } = {}) => {
   /**
-   * Initialize user state from localStorage if available
-   * This ensures authentication persists across page refreshes
+   * User state is restored from the server on mount (see checkAuth)
+   * Children are not rendered until that check has finished
    */
-  const [user, setUser] = useState(() => {
-    const token = localStorage.getItem('token');
-    const email = localStorage.getItem('email');
-
-    return token && email ? { email } : null;
-  });
+  const [user, setUser] = useState(null);
 
   const [loading, setLoading] = useState(true);
 
   /**
-   * Effect to check token validity on mount
-   * In a production app, this would verify the token with the backend
+   * Clears authentication data and resets state on this device
+   * Used directly when the server has already ended the session
+   */
+  const handleLogout = useCallback(() => {
+    // Clear all auth-related data from localStorage
+    localStorage.removeItem('token');
+    localStorage.removeItem('userRole');
+    localStorage.removeItem('userId');
+    localStorage.removeItem('email');
+    localStorage.removeItem(WORKSPACE_STORAGE_KEY);
+
+    // Reset user state
+    setUser(null);
+  }, []);
+
+  /**
+   * Effect to validate the stored token with the server on mount
+   * This ensures authentication persists across page refreshes
    */
   useEffect(() => {
     const checkAuth = async () => {
       try {
-        const token = localStorage.getItem('token');
-
-        if (token) {
-          // In a real app, we would validate the token with the server
-          // For this demo, we'll just check if it exists
-          const email = localStorage.getItem('email');
-
-          if (email) {
-            setUser({ email });
-          } else {
-            // If email is missing but token exists, something is wrong
-            // Clear authentication data
-            handleLogout();
-          }
-        }
+        // Drop the plaintext credentials and client-side activity log kept by the old mock login
+        localStorage.removeItem('users');
+        localStorage.removeItem('userLogs');
+
+        // An expired access token is fine here: the request renews it
+        if (!localStorage.getItem('token')) return;
+
+        setUser(await fetchSessionUser());
       } catch (error) {
-        console.error('Authentication check failed:', error);
-        handleLogout();
+        if (error.status) {
+          // The server rejected the session (revoked, user deleted, bad signature)
+          handleLogout();
+        } else {
+          // Server unreachable: stay signed out for now and retry on the next load
+          console.error('Authentication check failed:', error);
+        }
       } finally {
         setLoading(false);
       }
     };
 
     checkAuth();
-  }, []);
+  }, [handleLogout]);
+
+  /**
+   * Effect to end the session when the refresh token is rejected
+   */
+  useEffect(() => {
+    window.addEventListener(SESSION_EXPIRED_EVENT, handleLogout);
+    return () => window.removeEventListener(SESSION_EXPIRED_EVENT, handleLogout);
+  }, [handleLogout]);
+
+  /**
+   * Effect to renew the access token shortly before it expires,
+   * so users are not kicked out mid-task
+   */
+  useEffect(() => {
+    if (!user?.expiresAt) return undefined;
+
+    const renew = async () => {
+      try {
+        const token = await refreshAccessToken();
+        setUser((current) => current && { ...current, expiresAt: tokenExpiry(token) });
+      } catch (error) {
+        // A rejected refresh token already ended the session via SESSION_EXPIRED_EVENT
+        if (!error.status) {
+          console.error('Session renewal failed:', error);
+        }
+      }
+    };
+
+    const timer = setTimeout(renew, user.expiresAt - Date.now() - REFRESH_MARGIN_MS);
+    return () => clearTimeout(timer);
+  }, [user?.expiresAt]);
+
+  /**
+   * Persists a freshly issued token and loads the user it belongs to
+   * @param {string} token - JWT returned by the backend
+   * @returns {Promise<Object>} User data
+   */
+  const startSession = async (token) => {
+    if (!tokenExpiry(token)) {
+      throw new Error('Received an invalid session token');
+    }
+
+    localStorage.setItem('token', token);
+
+    try {
+      const sessionUser = await fetchSessionUser();
+
+      localStorage.setItem('userId', sessionUser.userId);
+      localStorage.setItem('email', sessionUser.email);
+
+      setUser(sessionUser);
+      return sessionUser;
+    } catch (error) {
+      localStorage.removeItem('token');
+      throw error;
+    }
+  };
 
   /**
    * Handles user login
    * @param {string} email - User's email
-   * @param {string} password - User's password (not used in mock implementation)
+   * @param {string} password - User's password
    * @returns {Promise<Object>} User data
    */
   const login = async (email, password) => {
-    // In a real app, this would make an API call
-    // For this demo, we just update the state
-    setUser({ email });
-    return { email };
+    const { token } = await apiRequest('/api/auth/login', {
+      method: 'POST',
+      body: { email, password },
+    });
+
+    return startSession(token);
   };
 
   /**
    * Handles user signup
-   * @param {string} email - User's email
-   * @param {string} password - User's password
+   * @param {Object} details - Registration details
+   * @param {string} details.fullName - User's full name
+   * @param {string} details.email - User's email
+   * @param {string} details.password - User's password
    * @returns {Promise<Object>} User data
    */
-  const signup = async (email, password) => {
-    // In a real app, this would make an API call
-    // For this demo, we just update the state
-    setUser({ email });
-    return { email };
+  const signup = async ({ fullName, email, password }) => {
+    const { token } = await apiRequest('/api/auth/register', {
+      method: 'POST',
+      body: { fullName, email, password },
+    });
+
+    return startSession(token);
   };
 
   /**
    * Handles user logout
-   * Clears authentication data and resets state
+   * Revokes the token and refresh cookie on the server, then clears local state
+   * @returns {Promise<void>}
    */
-  const handleLogout = () => {
-    // Clear all auth-related data from localStorage
-    localStorage.removeItem('token');
-    localStorage.removeItem('userRole');
-    localStorage.removeItem('userId');
-    localStorage.removeItem('email');
-
-    // Reset user state
-    setUser(null);
+  const logout = async () => {
+    try {
+      await apiRequest('/api/auth/logout', { method: 'POST' });
+    } catch (error) {
+      // Still sign out locally; the token expires on its own
+      console.error('Server logout failed:', error);
+    } finally {
+      handleLogout();
+    }
+  };
 
-    // In a real app, we might also invalidate the token on the server
-    console.log('User logged out');
+  /**
+   * Ends every session of the current user, on every device
+   * @returns {Promise<void>}
+   */
+  const logoutAllDevices = async () => {
+    await apiRequest('/api/auth/logout-all', { method: 'POST' });
+    handleLogout();
   };
 
   /**
@@ -142,8 +269,16 @@ const AuthProvider = ({ children } = {}) => {
    * @returns {boolean} Whether user has the required role
    */
   const hasRole = (requiredRole) => {
-    const userRole = localStorage.getItem('userRole');
-    return userRole === requiredRole;
+    return normalizeRole(user?.role) === requiredRole;
+  };
+
+  /**
+   * Checks if the current user's role grants a permission
+   * @param {string} permission - Permission name, e.g. 'tasks:assign'
+   * @returns {boolean} Whether the user has the permission
+   */
+  const can = (permission) => {
+    return hasPermission(user?.role, permission);
   };
 
   /**
@@ -154,12 +289,13 @@ const AuthProvider = ({ children } = {}) => {
     loading,
     login,
     signup,
-    logout: handleLogout,
+    logout,
+    logoutAllDevices,
     resetPassword,
     hasRole,
-    isAdmin: () => hasRole('admin'),
-    isAuthenticated:
-      user !== null && user !== undefined && user.email !== undefined,
+    can,
+    isAdmin: () => can('admin:access'),
+    isAuthenticated: user !== null,
   };
 
   return (
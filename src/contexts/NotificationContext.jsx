@@ -1,25 +1,62 @@
-import React, { createContext, useState, useContext } from "react";
+import React, { createContext, useState, useContext, useEffect, useCallback } from "react";
+import { useAuth } from "./AuthContext";
+import { fetchUnreadCount, markNotificationRead, markAllNotificationsRead } from "../api";
 
 const NotificationContext = createContext();
 
+// How often the unread count is checked for notifications the server sent meanwhile
+const POLL_INTERVAL_MS = 60 * 1000;
+
 export const useNotifications = () => {
   return useContext(NotificationContext);
 };
 
+/**
+ * Unread count of the signed-in user's notification inbox, which the server keeps.
+ * The count is polled, and refreshed when the window regains focus, so the sidebar
+ * badge picks up assignments, comments and reminders without a reload.
+ */
 const NotificationProvider = ({ children }) => {
-  const [notifications, setNotifications] = useState([]);
+  const { user } = useAuth();
+  const [unreadCount, setUnreadCount] = useState(0);
+
+  const refreshUnread = useCallback(async () => {
+    try {
+      const { unread } = await fetchUnreadCount();
+      setUnreadCount(unread);
+    } catch (err) {
+      console.error("Error loading unread notifications:", err);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!user) {
+      setUnreadCount(0);
+      return undefined;
+    }
 
-  const addNotification = (message, type = "info") => {
-    const id = Math.random().toString(36).substring(2, 9);
-    setNotifications((prev) => [...prev, { id, message, type }]);
+    refreshUnread();
+    const timer = setInterval(refreshUnread, POLL_INTERVAL_MS);
+    window.addEventListener("focus", refreshUnread);
+    return () => {
+      clearInterval(timer);
+      window.removeEventListener("focus", refreshUnread);
+    };
+  }, [user, refreshUnread]);
+
+  const markRead = async (id, read = true) => {
+    const { notification, unread } = await markNotificationRead(id, read);
+    setUnreadCount(unread);
+    return notification;
+  };
 
-    setTimeout(() => {
-      setNotifications((prev) => prev.filter((notif) => notif.id !== id));
-    }, 5000);
+  const markAllRead = async () => {
+    await markAllNotificationsRead();
+    setUnreadCount(0);
   };
 
   return (
-    <NotificationContext.Provider value={{ notifications, addNotification }}>
+    <NotificationContext.Provider value={{ unreadCount, setUnreadCount, refreshUnread, markRead, markAllRead }}>
       {children}
     </NotificationContext.Provider>
   );
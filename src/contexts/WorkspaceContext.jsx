@@ -0,0 +1,70 @@
+import React, { createContext, useState, useContext, useEffect, useCallback } from "react";
+import { useAuth } from "./AuthContext";
+import { apiRequest, WORKSPACE_STORAGE_KEY } from "../utils/api";
+import { TASKS_UPDATED_EVENT } from "../api";
+
+const WorkspaceContext = createContext();
+
+export const useWorkspace = () => {
+  return useContext(WorkspaceContext);
+};
+
+/**
+ * Workspaces the signed-in user belongs to, and the one they are working in.
+ * The current workspace is kept in localStorage so every API request carries it
+ * (see apiRequest); switching reloads every open task view.
+ */
+const WorkspaceProvider = ({ children }) => {
+  const { user } = useAuth();
+  const [workspaces, setWorkspaces] = useState([]);
+  const [currentId, setCurrentId] = useState(() => localStorage.getItem(WORKSPACE_STORAGE_KEY));
+
+  const selectWorkspace = useCallback((id) => {
+    localStorage.setItem(WORKSPACE_STORAGE_KEY, id);
+    setCurrentId(id);
+    window.dispatchEvent(new Event(TASKS_UPDATED_EVENT));
+  }, []);
+
+  const reload = useCallback(async () => {
+    try {
+      const list = await apiRequest("/api/workspaces");
+      setWorkspaces(list);
+
+      // Fall back to the personal workspace (listed first) when the stored one is gone
+      const stored = localStorage.getItem(WORKSPACE_STORAGE_KEY);
+      if (list.length > 0 && !list.some((workspace) => workspace._id === stored)) {
+        selectWorkspace(list[0]._id);
+      }
+    } catch (err) {
+      console.error("Error loading workspaces:", err);
+    }
+  }, [selectWorkspace]);
+
+  useEffect(() => {
+    if (user) {
+      reload();
+    } else {
+      setWorkspaces([]);
+      setCurrentId(null);
+    }
+  }, [user, reload]);
+
+  const createWorkspace = async (name) => {
+    const workspace = await apiRequest("/api/workspaces", { method: "POST", body: { name } });
+    await reload();
+    selectWorkspace(workspace._id);
+    return workspace;
+  };
+
+  const value = {
+    workspaces,
+    currentWorkspace: workspaces.find((workspace) => workspace._id === currentId) || null,
+    selectWorkspace,
+    createWorkspace,
+    reload,
+  };
+
+  return <WorkspaceContext.Provider value={value}>{children}</WorkspaceContext.Provider>;
+};
+
+export default WorkspaceProvider;
@@ -1,6 +1,55 @@
-import { useState } from "react";
-export const useTasks = () => {
+import { useState, useEffect, useCallback } from "react";
+import {
+  fetchTasks,
+  createTask,
+  updateTask,
+  deleteTask,
+  moveTask,
+  TASKS_UPDATED_EVENT,
+} from "../api";
+import { migrateLegacyTasks } from "../utils/migrateLegacyTasks";
+
+/**
+ * Loads the current user's tasks from the API and keeps them in sync
+ * with mutations made anywhere else in the app. Tasks left in localStorage
+ * by older versions are uploaded first.
+ *
+ * Tasks come from the current workspace unless `workspace` names another;
+ * task managers may pass "all" to load every workspace.
+ */
+export const useTasks = ({ workspace } = {}) => {
   const [tasks, setTasks] = useState([]);
-  const addTask = (task) => setTasks([...tasks, task]);
-  return { tasks, addTask };
-};
\ No newline at end of file
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const reload = useCallback(async () => {
+    try {
+      await migrateLegacyTasks();
+      setTasks(await fetchTasks(workspace ? { workspace } : {}));
+      setError(null);
+    } catch (err) {
+      console.error("Error loading tasks:", err);
+      setError("Failed to load tasks. Please try again later.");
+    } finally {
+      setLoading(false);
+    }
+  }, [workspace]);
+
+  useEffect(() => {
+    reload();
+    window.addEventListener(TASKS_UPDATED_EVENT, reload);
+    return () => window.removeEventListener(TASKS_UPDATED_EVENT, reload);
+  }, [reload]);
+
+  return {
+    tasks,
+    setTasks,
+    loading,
+    error,
+    reload,
+    addTask: createTask,
+    editTask: updateTask,
+    removeTask: deleteTask,
+    moveTask,
+  };
+};
@@ -0,0 +1,35 @@
+import { useState, useEffect } from "react";
+import { fetchWorkflow } from "../api";
+
+/**
+ * Loads the board workflow (columns, WIP limits, transitions) of a workspace
+ *
+ * @param {string|undefined} workspaceId - Workspace to load; nothing is loaded until it is known
+ */
+export const useWorkflow = (workspaceId) => {
+  const [workflow, setWorkflow] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!workspaceId) return undefined;
+
+    let cancelled = false;
+    fetchWorkflow(workspaceId)
+      .then((data) => {
+        if (!cancelled) {
+          setWorkflow(data);
+          setError(null);
+        }
+      })
+      .catch((err) => {
+        console.error("Error loading workflow:", err);
+        if (!cancelled) setError("Failed to load the board.");
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [workspaceId]);
+
+  return { workflow, error };
+};
@@ -1,29 +1,64 @@
-import React, { useState, useEffect } from "react";
+import React, { useState } from "react";
 import Sidebar from "../../components/admin/Sidebar";
+import { useTasks } from "../../hooks/useTasks";
+import AssigneePicker from "../../components/tasks/AssigneePicker";
+import ExportButton from "../../components/common/ExportButton";
+
+const formatDeadline = (dueDate) =>
+  dueDate ? new Date(dueDate).toLocaleDateString() : "—";
+
+const formatAssignees = (assignees = []) =>
+  assignees.length ? assignees.map((user) => user.fullName).join(", ") : "Unassigned";
 
 const ManageTasks = () => {
-  const [tasks, setTasks] = useState([]);
+  // Task managers receive every workspace's tasks from the API
+  const { tasks: allTasks, editTask, removeTask } = useTasks({ workspace: "all" });
+  const [workspaceFilter, setWorkspaceFilter] = useState("");
+  // Task being reassigned and the assignees picked so far
+  const [reassigning, setReassigning] = useState(null);
 
-  // Load tasks from localStorage (same as User Dashboard)
-  useEffect(() => {
-    const storedTasks = JSON.parse(localStorage.getItem("tasks")) || [];
-    setTasks(storedTasks);
-  }, []);
+  // Workspaces that have tasks, for the filter
+  const workspaces = [
+    ...new Map(
+      allTasks
+        .filter((task) => task.workspace)
+        .map((task) => [task.workspace._id, task.workspace.name])
+    ),
+  ].sort((a, b) => a[1].localeCompare(b[1]));
+
+  const tasks = workspaceFilter
+    ? allTasks.filter((task) => task.workspace?._id === workspaceFilter)
+    : allTasks;
 
   // ✅ Mark task as completed
-  const completeTask = (id) => {
-    const updatedTasks = tasks.map((task) =>
-      task.id === id ? { ...task, status: "Completed", progress: 100 } : task
-    );
-    setTasks(updatedTasks);
-    localStorage.setItem("tasks", JSON.stringify(updatedTasks));
+  const completeTask = async (id) => {
+    try {
+      await editTask(id, { status: "complete", progress: 100 });
+    } catch (err) {
+      console.error("Error completing task:", err);
+    }
+  };
+
+  // 👥 Save the new assignees of the task being reassigned
+  const saveAssignees = async () => {
+    try {
+      await editTask(reassigning.taskId, {
+        assignees: reassigning.assignees.map((user) => user._id),
+      });
+      setReassigning(null);
+    } catch (err) {
+      console.error("Error reassigning task:", err);
+      alert(err.message);
+    }
   };
 
   // ❌ Delete a task
-  const deleteTask = (id) => {
-    const updatedTasks = tasks.filter((task) => task.id !== id);
-    setTasks(updatedTasks);
-    localStorage.setItem("tasks", JSON.stringify(updatedTasks));
+  const deleteTask = async (id) => {
+    try {
+      await removeTask(id);
+    } catch (err) {
+      console.error("Error deleting task:", err);
+    }
   };
 
   return (
@@ -33,7 +68,24 @@ const ManageTasks = () => {
 
       {/* Main Content */}
       <div className="flex-1 p-6">
-        <h1 className="text-2xl font-bold text-gray-800 mb-4">Manage Tasks</h1>
+        <div className="flex justify-between items-center mb-4">
+          <h1 className="text-2xl font-bold text-gray-800">Manage Tasks</h1>
+          <div className="flex items-center gap-2">
+            <select
+              value={workspaceFilter}
+              onChange={(e) => setWorkspaceFilter(e.target.value)}
+              className="p-2 border rounded"
+            >
+              <option value="">All workspaces</option>
+              {workspaces.map(([id, name]) => (
+                <option key={id} value={id}>
+                  {name}
+                </option>
+              ))}
+            </select>
+            <ExportButton path="/api/tasks/export" params={{ workspace: workspaceFilter || "all" }} filename="tasks" />
+          </div>
+        </div>
 
         {/* Pending Tasks */}
         <div className="bg-white p-4 shadow rounded-lg mb-4">
@@ -42,7 +94,9 @@ const ManageTasks = () => {
             <thead>
               <tr className="bg-gray-200 text-left">
                 <th className="p-2">Title</th>
-                <th className="p-2">Email</th>
+                <th className="p-2">Workspace</th>
+                <th className="p-2">Owner</th>
+                <th className="p-2">Assignees</th>
                 <th className="p-2">Priority</th>
                 <th className="p-2">Deadline</th>
                 <th className="p-2">Actions</th>
@@ -52,21 +106,57 @@ const ManageTasks = () => {
               {tasks
                 .filter((task) => task.progress < 100)
                 .map((task) => (
-                  <tr key={task.id} className="border-b">
+                  <tr key={task._id} className="border-b">
                     <td className="p-2">{task.title}</td>
-                    <td className="p-2">{task.email}</td>
+                    <td className="p-2">{task.workspace?.name}</td>
+                    <td className="p-2">{task.owner?.email}</td>
+                    <td className="p-2">
+                      {reassigning?.taskId === task._id ? (
+                        <div className="space-y-2">
+                          <AssigneePicker
+                            value={reassigning.assignees}
+                            workspace={task.workspace?._id}
+                            onChange={(assignees) => setReassigning({ ...reassigning, assignees })}
+                          />
+                          <button
+                            className="bg-blue-500 text-white px-3 py-1 rounded hover:bg-blue-600"
+                            onClick={saveAssignees}
+                          >
+                            Save
+                          </button>
+                          <button
+                            className="px-3 py-1 rounded ml-2 hover:bg-gray-200"
+                            onClick={() => setReassigning(null)}
+                          >
+                            Cancel
+                          </button>
+                        </div>
+                      ) : (
+                        <>
+                          {formatAssignees(task.assignees)}
+                          <button
+                            className="ml-2 text-blue-600 hover:underline"
+                            onClick={() =>
+                              setReassigning({ taskId: task._id, assignees: task.assignees || [] })
+                            }
+                          >
+                            Reassign
+                          </button>
+                        </>
+                      )}
+                    </td>
                     <td className="p-2">{task.priority}</td>
-                    <td className="p-2">{task.deadline}</td>
+                    <td className="p-2">{formatDeadline(task.dueDate)}</td>
                     <td className="p-2">
                       <button
                         className="bg-green-500 text-white px-3 py-1 rounded hover:bg-green-600"
-                        onClick={() => completeTask(task.id)}
+                        onClick={() => completeTask(task._id)}
                       >
                         ✅ Mark as Completed
                       </button>
                       <button
                         className="bg-red-500 text-white px-3 py-1 rounded ml-2 hover:bg-red-600"
-                        onClick={() => deleteTask(task.id)}
+                        onClick={() => deleteTask(task._id)}
                       >
                         ❌ Delete
                       </button>
@@ -84,7 +174,9 @@ const ManageTasks = () => {
             <thead>
               <tr className="bg-gray-200 text-left">
                 <th className="p-2">Title</th>
-                <th className="p-2">Email</th>
+                <th className="p-2">Workspace</th>
+                <th className="p-2">Owner</th>
+                <th className="p-2">Assignees</th>
                 <th className="p-2">Priority</th>
                 <th className="p-2">Deadline</th>
               </tr>
@@ -93,11 +185,13 @@ const ManageTasks = () => {
               {tasks
                 .filter((task) => task.progress === 100)
                 .map((task) => (
-                  <tr key={task.id} className="border-b">
+                  <tr key={task._id} className="border-b">
                     <td className="p-2">{task.title}</td>
-                    <td className="p-2">{task.email}</td>
+                    <td className="p-2">{task.workspace?.name}</td>
+                    <td className="p-2">{task.owner?.email}</td>
+                    <td className="p-2">{formatAssignees(task.assignees)}</td>
                     <td className="p-2">{task.priority}</td>
-                    <td className="p-2">{task.deadline}</td>
+                    <td className="p-2">{formatDeadline(task.dueDate)}</td>
                   </tr>
                 ))}
             </tbody>
@@ -115,6 +115,9 @@
 // export default ManageUsers;
 import React, { useState, useEffect } from "react";
 import Sidebar from "../../components/admin/Sidebar";
+import { apiRequest } from "../../utils/api";
+import { ROLES, roleLabel } from "../../utils/permissions";
+import ExportButton from "../../components/common/ExportButton";
 
 const ManageUsers = () => {
   const [users, setUsers] = useState([]);
@@ -122,8 +125,7 @@ const ManageUsers = () => {
   const [editedData, setEditedData] = useState({ fullName: "", email: "", role: "" });
 
   useEffect(() => {
-    fetch("https://zidio-task-management-backend.onrender.com/admin/users")
-      .then((res) => res.json())
+    apiRequest("/admin/users")
       .then((data) => {
         const sortedUsers = data.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
         setUsers(sortedUsers);
@@ -142,32 +144,28 @@ const ManageUsers = () => {
 
   const saveUser = async (email) => {
     try {
-      const res = await fetch(`https://zidio-task-management-backend.onrender.com/admin/users/${email}`, {
+      const updated = await apiRequest(`/admin/users/${encodeURIComponent(email)}`, {
         method: "PUT",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(editedData),
+        body: { fullName: editedData.fullName, role: editedData.role },
       });
 
-      if (!res.ok) throw new Error("Failed to update user");
-
-      setUsers(users.map((u) => (u.email === email ? { ...u, ...editedData } : u)));
+      setUsers(users.map((u) => (u.email === email ? updated : u)));
       setEditingUser(null);
     } catch (error) {
       console.error("Error updating user:", error);
+      // e.g. only a super admin may change admin roles
+      if (error.status) alert(error.message);
     }
   };
 
   const deleteUser = async (email) => {
     try {
-      const res = await fetch(`https://zidio-task-management-backend.onrender.com/admin/users/${email}`, {
-        method: "DELETE",
-      });
-
-      if (!res.ok) throw new Error("Failed to delete user");
+      await apiRequest(`/admin/users/${encodeURIComponent(email)}`, { method: "DELETE" });
 
       setUsers(users.filter((u) => u.email !== email));
     } catch (error) {
       console.error("Error deleting user:", error);
+      if (error.status) alert(error.message);
     }
   };
 
@@ -175,7 +173,10 @@ const ManageUsers = () => {
     <div className="flex min-h-screen bg-gray-100">
       <Sidebar />
       <div className="flex-1 p-6">
-        <h1 className="text-2xl font-bold text-gray-800 mb-4">Manage Users</h1>
+        <div className="flex justify-between items-center mb-4">
+          <h1 className="text-2xl font-bold text-gray-800">Manage Users</h1>
+          <ExportButton path="/admin/users/export" filename="users" />
+        </div>
 
         <div className="bg-white p-4 shadow rounded-lg">
           <table className="w-full border-collapse">
@@ -214,11 +215,14 @@ const ManageUsers = () => {
                         onChange={handleChange}
                         className="border p-1 rounded"
                       >
-                        <option value="Admin">Admin</option>
-                        <option value="User">User</option>
+                        {ROLES.map((role) => (
+                          <option key={role} value={role}>
+                            {roleLabel(role)}
+                          </option>
+                        ))}
                       </select>
                     ) : (
-                      user.role.charAt(0).toUpperCase() + user.role.slice(1)
+                      roleLabel(user.role)
                     )}
                   </td>
                   <td className="p-2">
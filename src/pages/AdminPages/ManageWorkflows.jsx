@@ -0,0 +1,303 @@
+import React, { useEffect, useState } from "react";
+import Sidebar from "../../components/admin/Sidebar";
+import { apiRequest } from "../../utils/api";
+import { fetchWorkflow, saveWorkflow } from "../../api";
+// The column completed tasks live in; it can be renamed but not removed
+import { DONE_COLUMN } from "../../utils/workflows";
+
+// Column keys are what tasks store, so new ones are derived from the name once
+const toKey = (name) =>
+  name
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "")
+    .slice(0, 50);
+
+/**
+ * Admin editor for per-workspace Kanban workflows:
+ * ordered columns with colors and optional WIP limits, and the moves allowed between them.
+ */
+const ManageWorkflows = () => {
+  const [workspaces, setWorkspaces] = useState([]);
+  const [workspaceId, setWorkspaceId] = useState("");
+  const [columns, setColumns] = useState([]);
+  // from key -> allowed target keys; columns missing here allow every move
+  const [rules, setRules] = useState({});
+  const [savedKeys, setSavedKeys] = useState([]);
+  const [message, setMessage] = useState("");
+
+  useEffect(() => {
+    apiRequest("/admin/workspaces/stats")
+      .then((data) => {
+        setWorkspaces(data);
+        if (data.length > 0) setWorkspaceId(data[0]._id);
+      })
+      .catch((err) => console.error("Error fetching workspaces:", err));
+  }, []);
+
+  useEffect(() => {
+    if (!workspaceId) return;
+
+    setMessage("");
+    fetchWorkflow(workspaceId)
+      .then((workflow) => {
+        setColumns(workflow.columns.map((column) => ({ ...column, wipLimit: column.wipLimit || "" })));
+        setRules(Object.fromEntries(workflow.transitions.map(({ from, to }) => [from, to])));
+        setSavedKeys(workflow.columns.map((column) => column.key));
+      })
+      .catch((err) => setMessage(err.message));
+  }, [workspaceId]);
+
+  const updateColumn = (index, changes) => {
+    setColumns((prev) => prev.map((column, i) => (i === index ? { ...column, ...changes } : column)));
+  };
+
+  const moveColumn = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= columns.length) return;
+
+    const next = [...columns];
+    [next[index], next[target]] = [next[target], next[index]];
+    setColumns(next);
+  };
+
+  const removeColumn = (index) => {
+    const { key } = columns[index];
+    setColumns((prev) => prev.filter((_, i) => i !== index));
+    setRules((prev) =>
+      Object.fromEntries(
+        Object.entries(prev)
+          .filter(([from]) => from !== key)
+          .map(([from, to]) => [from, to.filter((target) => target !== key)])
+      )
+    );
+  };
+
+  const addColumn = () => {
+    setColumns((prev) => [...prev, { key: "", name: "", color: "#6b7280", wipLimit: "" }]);
+  };
+
+  const toggleRestricted = (from) => {
+    setRules((prev) => {
+      const next = { ...prev };
+      if (next[from]) delete next[from];
+      else next[from] = [];
+      return next;
+    });
+  };
+
+  const toggleTransition = (from, to) => {
+    setRules((prev) => {
+      const allowed = prev[from] || [];
+      return {
+        ...prev,
+        [from]: allowed.includes(to) ? allowed.filter((key) => key !== to) : [...allowed, to],
+      };
+    });
+  };
+
+  const keyOf = (column) => column.key || toKey(column.name);
+
+  const handleSave = async () => {
+    setMessage("");
+    const workflowColumns = columns.map((column) => ({
+      key: keyOf(column),
+      name: column.name,
+      color: column.color,
+      wipLimit: column.wipLimit ? Number(column.wipLimit) : null,
+    }));
+    // Drop rules left behind by columns renamed or removed before saving
+    const keys = workflowColumns.map((column) => column.key);
+    const workflow = {
+      columns: workflowColumns,
+      transitions: Object.entries(rules)
+        .filter(([from]) => keys.includes(from))
+        .map(([from, to]) => ({ from, to: to.filter((key) => keys.includes(key)) })),
+    };
+
+    try {
+      const saved = await saveWorkflow(workspaceId, workflow);
+      setColumns(saved.columns.map((column) => ({ ...column, wipLimit: column.wipLimit || "" })));
+      setSavedKeys(saved.columns.map((column) => column.key));
+      setMessage("Workflow saved.");
+    } catch (err) {
+      setMessage(err.status ? err.message : "Could not reach the server.");
+    }
+  };
+
+  return (
+    <div className="flex min-h-screen bg-gray-100">
+      <Sidebar />
+
+      <div className="flex-1 p-6 space-y-4">
+        <div className="flex justify-between items-center">
+          <h1 className="text-2xl font-bold text-gray-800">Workflows</h1>
+          <select
+            value={workspaceId}
+            onChange={(e) => setWorkspaceId(e.target.value)}
+            className="p-2 border rounded"
+          >
+            {workspaces.map((workspace) => (
+              <option key={workspace._id} value={workspace._id}>
+                {workspace.name}
+                {workspace.personal ? ` (${workspace.owner?.email})` : ""}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {/* Columns */}
+        <div className="bg-white p-4 shadow rounded-lg">
+          <h2 className="text-lg font-semibold mb-2">Columns</h2>
+          <table className="w-full border-collapse">
+            <thead>
+              <tr className="bg-gray-200 text-left">
+                <th className="p-2">Order</th>
+                <th className="p-2">Name</th>
+                <th className="p-2">Key</th>
+                <th className="p-2">Color</th>
+                <th className="p-2">WIP limit</th>
+                <th className="p-2">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {columns.map((column, index) => (
+                <tr key={savedKeys.includes(column.key) ? column.key : `new-${index}`} className="border-b">
+                  <td className="p-2 whitespace-nowrap">
+                    <button className="px-2 hover:bg-gray-200 rounded" onClick={() => moveColumn(index, -1)}>
+                      ▲
+                    </button>
+                    <button className="px-2 hover:bg-gray-200 rounded" onClick={() => moveColumn(index, 1)}>
+                      ▼
+                    </button>
+                  </td>
+                  <td className="p-2">
+                    <input
+                      value={column.name}
+                      onChange={(e) => updateColumn(index, { name: e.target.value })}
+                      className="w-full p-1 border rounded"
+                    />
+                  </td>
+                  <td className="p-2 text-sm text-gray-600">
+                    {/* Keys of saved columns are stored on tasks and stay fixed */}
+                    {savedKeys.includes(column.key) ? (
+                      column.key
+                    ) : (
+                      <input
+                        value={column.key}
+                        placeholder={toKey(column.name)}
+                        onChange={(e) =>
+                          updateColumn(index, {
+                            key: e.target.value.toLowerCase().replace(/[^a-z0-9_-]/g, "_").slice(0, 50),
+                          })
+                        }
+                        className="w-full p-1 border rounded"
+                      />
+                    )}
+                  </td>
+                  <td className="p-2">
+                    <input
+                      type="color"
+                      value={column.color}
+                      onChange={(e) => updateColumn(index, { color: e.target.value })}
+                    />
+                  </td>
+                  <td className="p-2">
+                    <input
+                      type="number"
+                      min="1"
+                      value={column.wipLimit}
+                      placeholder="None"
+                      onChange={(e) => updateColumn(index, { wipLimit: e.target.value })}
+                      className="w-24 p-1 border rounded"
+                    />
+                  </td>
+                  <td className="p-2">
+                    {column.key !== DONE_COLUMN && (
+                      <button
+                        className="bg-red-500 text-white px-3 py-1 rounded hover:bg-red-600"
+                        onClick={() => removeColumn(index)}
+                      >
+                        Remove
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <button className="mt-3 text-blue-600 hover:underline" onClick={addColumn}>
+            + Add column
+          </button>
+        </div>
+
+        {/* Transitions */}
+        <div className="bg-white p-4 shadow rounded-lg overflow-x-auto">
+          <h2 className="text-lg font-semibold mb-2">Allowed Moves</h2>
+          <p className="text-sm text-gray-600 mb-2">
+            Cards in an unrestricted column may move anywhere.
+          </p>
+          <table className="w-full border-collapse">
+            <thead>
+              <tr className="bg-gray-200 text-left">
+                <th className="p-2">From</th>
+                <th className="p-2">Restrict</th>
+                {columns.map((column, index) => (
+                  <th key={index} className="p-2">
+                    → {column.name || keyOf(column)}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {columns.map((from, index) => {
+                const fromKey = keyOf(from);
+                const allowed = rules[fromKey];
+                return (
+                  <tr key={index} className="border-b">
+                    <td className="p-2">{from.name || fromKey}</td>
+                    <td className="p-2">
+                      <input
+                        type="checkbox"
+                        checked={Boolean(allowed)}
+                        disabled={!fromKey}
+                        onChange={() => toggleRestricted(fromKey)}
+                      />
+                    </td>
+                    {columns.map((to, toIndex) => {
+                      const toKeyValue = keyOf(to);
+                      return (
+                        <td key={toIndex} className="p-2">
+                          {toKeyValue !== fromKey && (
+                            <input
+                              type="checkbox"
+                              checked={!allowed || allowed.includes(toKeyValue)}
+                              disabled={!allowed}
+                              onChange={() => toggleTransition(fromKey, toKeyValue)}
+                            />
+                          )}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        {message && <p className="text-sm text-gray-700">{message}</p>}
+        <button
+          onClick={handleSave}
+          disabled={!workspaceId}
+          className="bg-blue-500 text-white px-6 py-2 rounded-lg hover:bg-blue-600 transition disabled:opacity-50"
+        >
+          Save Workflow
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ManageWorkflows;
@@ -1,16 +1,21 @@
 import React, { useState, useEffect } from "react";
 import Sidebar from "../../components/admin/Sidebar";
+import LogoutAllDevices from "../../components/auth/LogoutAllDevices";
+import LogRetentionSettings from "../../components/admin/LogRetentionSettings";
+import { useAuth } from "../../contexts/AuthContext";
+import { roleLabel } from "../../utils/permissions";
 
 const Settings = () => {
+  const { user, can } = useAuth();
+
   // Load stored admin profile data
   const [profile, setProfile] = useState(() => {
     const savedProfile = JSON.parse(localStorage.getItem("adminProfile"));
     return (
       savedProfile || {
         name: "Admin User",
-        email: "admin@example.com",
+        email: localStorage.getItem("email") || "",
         profilePic: "",
-        role: "Admin",
       }
     );
   });
@@ -118,15 +123,13 @@ const Settings = () => {
 
               <div>
                 <label className="block text-sm font-medium">Role</label>
-                <select
-                  name="role"
-                  value={profile.role}
-                  onChange={handleProfileChange}
-                  className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-400 focus:outline-none"
-                >
-                  <option value="Admin">Admin</option>
-                  <option value="Super Admin">Super Admin</option>
-                </select>
+                {/* Roles are granted by a super admin from Manage Users */}
+                <input
+                  type="text"
+                  value={roleLabel(user?.role)}
+                  readOnly
+                  className="w-full px-4 py-2 border rounded-lg bg-gray-100 text-gray-600"
+                />
               </div>
             </div>
 
@@ -161,6 +164,12 @@ const Settings = () => {
               Change Password
             </button>
           </div>
+
+          {/* Sessions */}
+          <LogoutAllDevices />
+
+          {/* User Log Retention */}
+          {can("settings:update") && <LogRetentionSettings />}
         </div>
 
         {/* Activity Log */}
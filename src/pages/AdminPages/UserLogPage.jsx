@@ -2,18 +2,20 @@
  * UserLogPage Component
  *
  * An administrative component that displays user activity logs with comprehensive
- * information and management capabilities. Implements localStorage-based log storage
- * and retrieval with delete functionality for administrators.
+ * information. Logs are recorded by the server on every authentication event
+ * and read page by page from the admin API.
  *
  * Features:
- * - Displays user logs with login time, logout time, JWT token, username, role, IP address
- * - Provides delete functionality for individual log entries
- * - Implements sorting and filtering capabilities
+ * - Displays login, logout, refresh and failed login events with time, username,
+ *   role, IP address, user agent and token id
+ * - Shows when the session behind a login was logged out
+ * - Server-side filtering, sorting by time and pagination
+ * - Single, multi-select and "older than N days" deletion, audited by the server
  * - Includes responsive design for all screen sizes
  * - Supports accessibility with proper ARIA attributes
  *
  * @author Senior Full-Stack Engineer
- * @version 1.0.0
+ * @version 2.0.0
  */
 
 import React, { useState, useEffect } from 'react';
@@ -23,200 +25,150 @@ import {
   FaExclamationTriangle,
   FaUserShield,
   FaSort,
-  FaFilter,
 } from 'react-icons/fa';
 import Sidebar from '../../components/admin/Sidebar';
+import { apiRequest } from '../../utils/api';
+import { ROLES, roleLabel } from '../../utils/permissions';
+import ExportButton from '../../components/common/ExportButton';
+
+const PAGE_SIZE = 20;
+
+const ACTION_LABELS = {
+  register: 'Register',
+  login: 'Login',
+  login_failed: 'Failed login',
+  refresh: 'Token refresh',
+  logout: 'Logout',
+  logout_all: 'Logout (all devices)',
+};
 
 const UserLogPage = () => {
   // State management with proper initialization
   const [logs, setLogs] = useState([]);
-  const [filteredLogs, setFilteredLogs] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [sortConfig, setSortConfig] = useState({
-    key: 'loginTime',
-    direction: 'desc',
-  });
+  const [sortDirection, setSortDirection] = useState('desc');
   const [filters, setFilters] = useState({
     role: 'all',
+    action: 'all',
     search: '',
   });
+  const [selected, setSelected] = useState(() => new Set());
   const [deleteConfirm, setDeleteConfirm] = useState(null);
+  const [purgeDays, setPurgeDays] = useState(90);
+  const [notice, setNotice] = useState('');
+  // Bumped after a deletion to reload the current page
+  const [reloadKey, setReloadKey] = useState(0);
 
   /**
-   * Load user logs from localStorage
+   * Load a page of user logs from the server whenever the page,
+   * sort order or filters change
    */
   useEffect(() => {
+    let cancelled = false;
+
     const loadLogs = async () => {
+      setLoading(true);
+
       try {
-        // Simulate network delay for realistic UX
-        await new Promise((resolve) => setTimeout(resolve, 800));
-
-        // Get logs from localStorage or initialize with mock data
-        const storedLogs = localStorage.getItem('userLogs');
-
-        if (storedLogs) {
-          const parsedLogs = JSON.parse(storedLogs);
-          setLogs(parsedLogs);
-          setFilteredLogs(parsedLogs);
-        } else {
-          // Initialize with mock data if no logs exist
-          const mockLogs = [
-            {
-              id: '1',
-              userId: 'admin-123',
-              username: 'admin@example.com',
-              role: 'admin',
-              action: 'login',
-              loginTime: new Date(Date.now() - 3600000).toISOString(),
-              logoutTime: null,
-              ipAddress: '192.168.1.1',
-              tokenName: 'eyJhbGciOi...',
-            },
-            {
-              id: '2',
-              userId: 'user-456',
-              username: 'user@example.com',
-              role: 'user',
-              action: 'login',
-              loginTime: new Date(Date.now() - 7200000).toISOString(),
-              logoutTime: new Date(Date.now() - 3600000).toISOString(),
-              ipAddress: '192.168.1.2',
-              tokenName: 'eyJhbGciOi...',
-            },
-            {
-              id: '3',
-              userId: 'user-789',
-              username: 'test@example.com',
-              role: 'user',
-              action: 'login',
-              loginTime: new Date(Date.now() - 86400000).toISOString(),
-              logoutTime: new Date(Date.now() - 82800000).toISOString(),
-              ipAddress: '192.168.1.3',
-              tokenName: 'eyJhbGciOi...',
-            },
-          ];
-
-          // Store mock logs in localStorage
-          localStorage.setItem('userLogs', JSON.stringify(mockLogs));
-
-          setLogs(mockLogs);
-          setFilteredLogs(mockLogs);
+        const params = new URLSearchParams({
+          page,
+          limit: PAGE_SIZE,
+          sort: sortDirection,
+        });
+        if (filters.role !== 'all') params.set('role', filters.role);
+        if (filters.action !== 'all') params.set('action', filters.action);
+        if (filters.search.trim()) params.set('search', filters.search.trim());
+
+        const data = await apiRequest(`/admin/logs?${params}`);
+        if (cancelled) return;
+
+        // The page may have emptied after a deletion; step back to the last one
+        if (page > data.totalPages) {
+          setPage(data.totalPages);
+          return;
         }
 
+        setLogs(data.logs);
+        setSelected(new Set());
+        setTotal(data.total);
+        setTotalPages(data.totalPages);
         setError(null);
       } catch (err) {
+        if (cancelled) return;
         console.error('Error loading user logs:', err);
         setError('Failed to load user logs. Please try again later.');
       } finally {
-        setLoading(false);
+        if (!cancelled) setLoading(false);
       }
     };
 
-    loadLogs();
-  }, []);
+    // Wait for the admin to stop typing before querying
+    const timer = setTimeout(loadLogs, filters.search ? 300 : 0);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [page, sortDirection, filters, reloadKey]);
 
   /**
-   * Apply sorting to logs
-   *
-   * @param {string} key - The property to sort by
+   * Toggle sorting by event time
    */
-  const handleSort = (key) => {
-    let direction = 'asc';
-
-    if (sortConfig.key === key && sortConfig.direction === 'asc') {
-      direction = 'desc';
-    }
-
-    setSortConfig({ key, direction });
-
-    const sortedLogs = [...filteredLogs].sort((a, b) => {
-      if (a[key] === null) return 1;
-      if (b[key] === null) return -1;
-
-      if (a[key] < b[key]) {
-        return direction === 'asc' ? -1 : 1;
-      }
-      if (a[key] > b[key]) {
-        return direction === 'asc' ? 1 : -1;
-      }
-      return 0;
-    });
-
-    setFilteredLogs(sortedLogs);
+  const handleSort = () => {
+    setSortDirection((direction) => (direction === 'asc' ? 'desc' : 'asc'));
+    setPage(1);
   };
 
   /**
-   * Apply filters to logs
+   * Handle filter changes
    *
-   * @param {Object} newFilters - Updated filter settings
+   * @param {string} filterType - Type of filter to change
+   * @param {string} value - New filter value
    */
-  const applyFilters = (newFilters) => {
-    let result = [...logs];
-
-    // Apply role filter
-    if (newFilters.role !== 'all') {
-      result = result.filter((log) => log.role === newFilters.role);
-    }
-
-    // Apply search filter
-    if (newFilters.search.trim()) {
-      const searchTerm = newFilters.search.toLowerCase().trim();
-      result = result.filter(
-        (log) =>
-          log.username.toLowerCase().includes(searchTerm) ||
-          log.userId.toLowerCase().includes(searchTerm) ||
-          (log.ipAddress && log.ipAddress.includes(searchTerm))
-      );
-    }
-
-    // Apply current sort
-    result.sort((a, b) => {
-      if (a[sortConfig.key] === null) return 1;
-      if (b[sortConfig.key] === null) return -1;
-
-      if (a[sortConfig.key] < b[sortConfig.key]) {
-        return sortConfig.direction === 'asc' ? -1 : 1;
-      }
-      if (a[sortConfig.key] > b[sortConfig.key]) {
-        return sortConfig.direction === 'asc' ? 1 : -1;
-      }
-      return 0;
-    });
-
-    setFilteredLogs(result);
+  const handleFilterChange = (filterType, value) => {
+    setFilters((current) => ({ ...current, [filterType]: value }));
+    setPage(1);
   };
 
   /**
-   * Handle filter changes
+   * Toggle selection of one log entry
    *
-   * @param {string} filterType - Type of filter to change
-   * @param {string} value - New filter value
+   * @param {string} logId - ID of the log to toggle
    */
-  const handleFilterChange = (filterType, value) => {
-    const newFilters = {
-      ...filters,
-      [filterType]: value,
-    };
+  const toggleSelected = (logId) => {
+    setSelected((current) => {
+      const next = new Set(current);
+      if (next.has(logId)) next.delete(logId);
+      else next.add(logId);
+      return next;
+    });
+  };
 
-    setFilters(newFilters);
-    applyFilters(newFilters);
+  /**
+   * Select or clear every log on the current page
+   */
+  const toggleSelectAll = () => {
+    setSelected((current) =>
+      current.size === logs.length ? new Set() : new Set(logs.map((log) => log._id))
+    );
   };
 
   /**
-   * Format date for display
+   * Runs a deletion request, then reports the result and reloads the page
    *
-   * @param {string} dateString - ISO date string
-   * @returns {string} Formatted date string
+   * @param {Function} request - Performs the API call and resolves to { deleted }
    */
-  const formatDate = (dateString) => {
-    if (!dateString) return 'N/A';
-
+  const runDeletion = async (request) => {
     try {
-      return new Date(dateString).toLocaleString();
+      const { deleted } = await request();
+      setNotice(`${deleted} log${deleted === 1 ? '' : 's'} deleted.`);
+      setReloadKey((key) => key + 1);
     } catch (err) {
-      console.error('Date formatting error:', err);
-      return 'Invalid date';
+      console.error('Error deleting user logs:', err);
+      setNotice(err.status ? err.message : 'Failed to delete logs. Please try again.');
     }
   };
 
@@ -232,42 +184,59 @@ const UserLogPage = () => {
       return;
     }
 
-    // User confirmed deletion
-    const updatedLogs = logs.filter((log) => log.id !== logId);
-
-    // Update state
-    setLogs(updatedLogs);
-    setFilteredLogs(filteredLogs.filter((log) => log.id !== logId));
-
-    // Update localStorage
-    localStorage.setItem('userLogs', JSON.stringify(updatedLogs));
-
-    // Reset confirmation state
     setDeleteConfirm(null);
+    runDeletion(() => apiRequest(`/admin/logs/${logId}`, { method: 'DELETE' }));
   };
 
   /**
-   * Cancel delete confirmation
+   * Delete every selected log entry
    */
-  const cancelDelete = () => {
-    setDeleteConfirm(null);
+  const handleDeleteSelected = () => {
+    if (!window.confirm(`Delete ${selected.size} selected logs?`)) return;
+
+    runDeletion(() =>
+      apiRequest('/admin/logs/bulk-delete', {
+        method: 'POST',
+        body: { ids: [...selected] },
+      })
+    );
   };
 
-  // Loading state
-  if (loading) {
-    return (
-      <div
-        className='p-6 flex justify-center items-center'
-        aria-live='polite'
-        role='status'>
-        <FaSpinner
-          className='animate-spin text-blue-500 text-2xl'
-          aria-hidden='true'
-        />
-        <span className='ml-2'>Loading user logs...</span>
-      </div>
+  /**
+   * Delete every log older than the chosen number of days
+   */
+  const handlePurge = () => {
+    const days = Number(purgeDays);
+    if (!Number.isFinite(days) || days <= 0) {
+      setNotice('Enter a number of days greater than zero.');
+      return;
+    }
+    if (!window.confirm(`Delete all logs older than ${days} days?`)) return;
+
+    runDeletion(() =>
+      apiRequest('/admin/logs/purge', {
+        method: 'POST',
+        body: { olderThanDays: days },
+      })
     );
-  }
+  };
+
+  /**
+   * Format date for display
+   *
+   * @param {string} dateString - ISO date string
+   * @returns {string} Formatted date string
+   */
+  const formatDate = (dateString) => {
+    if (!dateString) return 'N/A';
+
+    try {
+      return new Date(dateString).toLocaleString();
+    } catch (err) {
+      console.error('Date formatting error:', err);
+      return 'Invalid date';
+    }
+  };
 
   // Error state
   if (error) {
@@ -291,10 +260,10 @@ const UserLogPage = () => {
             <FaUserShield className='mr-2' /> User Activity Logs
           </h2>
 
-          <div className='mb-6 grid md:grid-cols-2 gap-4'>
+          <div className='mb-6 grid md:grid-cols-3 gap-4'>
             <input
               type='text'
-              placeholder='Search by username, user ID, or IP'
+              placeholder='Search by email or IP'
               value={filters.search}
               onChange={(e) => handleFilterChange('search', e.target.value)}
               className='border p-2 rounded w-full'
@@ -304,89 +273,168 @@ const UserLogPage = () => {
               onChange={(e) => handleFilterChange('role', e.target.value)}
               className='border p-2 rounded w-full'>
               <option value='all'>All Roles</option>
-              <option value='admin'>Admin</option>
-              <option value='user'>User</option>
+              {ROLES.map((role) => (
+                <option key={role} value={role}>
+                  {roleLabel(role)}
+                </option>
+              ))}
+            </select>
+            <select
+              value={filters.action}
+              onChange={(e) => handleFilterChange('action', e.target.value)}
+              className='border p-2 rounded w-full'>
+              <option value='all'>All Actions</option>
+              {Object.entries(ACTION_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
             </select>
           </div>
 
-          <div className='text-sm text-gray-500 mb-4'>
-            Showing {filteredLogs.length} of {logs.length} logs
+          <div className='mb-4 flex flex-wrap items-center gap-4 text-sm'>
+            <button
+              onClick={handleDeleteSelected}
+              disabled={selected.size === 0}
+              className='px-3 py-2 bg-red-500 text-white rounded hover:bg-red-600 disabled:opacity-50'>
+              Delete selected ({selected.size})
+            </button>
+            <div className='flex items-center gap-2'>
+              <label htmlFor='purgeDays'>Purge older than</label>
+              <input
+                id='purgeDays'
+                type='number'
+                min='1'
+                value={purgeDays}
+                onChange={(e) => setPurgeDays(e.target.value)}
+                className='border p-2 rounded w-20'
+              />
+              <span>days</span>
+              <button
+                onClick={handlePurge}
+                className='px-3 py-2 border border-red-500 text-red-600 rounded hover:bg-red-50'>
+                Purge
+              </button>
+            </div>
+            <ExportButton
+              path='/admin/logs/export'
+              params={{
+                sort: sortDirection,
+                role: filters.role !== 'all' ? filters.role : undefined,
+                action: filters.action !== 'all' ? filters.action : undefined,
+                search: filters.search.trim(),
+              }}
+              filename='user-logs'
+              className='ml-auto'
+            />
+          </div>
+
+          {notice && (
+            <div className='mb-4 text-sm text-gray-700' role='status'>
+              {notice}
+            </div>
+          )}
+
+          <div
+            className='text-sm text-gray-500 mb-4 flex items-center'
+            aria-live='polite'>
+            {loading && (
+              <FaSpinner className='animate-spin mr-2' aria-hidden='true' />
+            )}
+            {total} logs
           </div>
 
           <div className='overflow-x-auto'>
             <table className='min-w-full table-auto border text-sm'>
               <thead className='bg-gray-50'>
                 <tr>
-                  <th
-                    className='px-4 py-2 text-left cursor-pointer'
-                    onClick={() => handleSort('username')}>
-                    Username <FaSort className='inline ml-1' />
-                  </th>
-                  <th
-                    className='px-4 py-2 text-left cursor-pointer'
-                    onClick={() => handleSort('role')}>
-                    Role <FaSort className='inline ml-1' />
+                  <th className='px-4 py-2 text-left'>
+                    <input
+                      type='checkbox'
+                      aria-label='Select all logs on this page'
+                      checked={logs.length > 0 && selected.size === logs.length}
+                      onChange={toggleSelectAll}
+                    />
                   </th>
                   <th
                     className='px-4 py-2 text-left cursor-pointer'
-                    onClick={() => handleSort('loginTime')}>
-                    Login Time <FaSort className='inline ml-1' />
-                  </th>
-                  <th
-                    className='px-4 py-2 text-left cursor-pointer'
-                    onClick={() => handleSort('logoutTime')}>
-                    Logout Time <FaSort className='inline ml-1' />
+                    onClick={handleSort}>
+                    Time <FaSort className='inline ml-1' />
                   </th>
+                  <th className='px-4 py-2 text-left'>Username</th>
+                  <th className='px-4 py-2 text-left'>Role</th>
+                  <th className='px-4 py-2 text-left'>Action</th>
+                  <th className='px-4 py-2 text-left'>Logout Time</th>
                   <th className='px-4 py-2 text-left'>Token</th>
                   <th className='px-4 py-2 text-left'>IP</th>
+                  <th className='px-4 py-2 text-left'>User Agent</th>
                   <th className='px-4 py-2 text-right'>Action</th>
                 </tr>
               </thead>
               <tbody>
-                {filteredLogs.length === 0 ? (
+                {logs.length === 0 ? (
                   <tr>
                     <td
-                      colSpan='7'
+                      colSpan='10'
                       className='px-4 py-3 text-center text-gray-500'>
-                      No logs match your filters
+                      {loading ? 'Loading user logs...' : 'No logs match your filters'}
                     </td>
                   </tr>
                 ) : (
-                  filteredLogs.map((log) => (
-                    <tr key={log.id} className='border-t'>
+                  logs.map((log) => (
+                    <tr key={log._id} className='border-t'>
                       <td className='px-4 py-2'>
-                        {log.username}
+                        <input
+                          type='checkbox'
+                          aria-label={`Select log ${log._id}`}
+                          checked={selected.has(log._id)}
+                          onChange={() => toggleSelected(log._id)}
+                        />
+                      </td>
+                      <td className='px-4 py-2'>{formatDate(log.createdAt)}</td>
+                      <td className='px-4 py-2'>
+                        {log.email}
                         <br />
                         <span className='text-xs text-gray-500'>
-                          {log.userId}
+                          {log.user || 'Unknown user'}
                         </span>
                       </td>
-                      <td className='px-4 py-2'>{log.role}</td>
-                      <td className='px-4 py-2'>{formatDate(log.loginTime)}</td>
                       <td className='px-4 py-2'>
-                        {formatDate(log.logoutTime)}
+                        {log.role ? roleLabel(log.role) : 'N/A'}
+                      </td>
+                      <td className='px-4 py-2'>
+                        {ACTION_LABELS[log.action] || log.action}
+                      </td>
+                      <td className='px-4 py-2'>
+                        {log.action === 'login' ? formatDate(log.endedAt) : ''}
                       </td>
                       <td className='px-4 py-2 truncate max-w-xs'>
-                        {log.tokenName}
+                        {log.jti || 'N/A'}
+                      </td>
+                      <td className='px-4 py-2'>{log.ip}</td>
+                      <td
+                        className='px-4 py-2 truncate max-w-xs'
+                        title={log.userAgent || ''}>
+                        {log.userAgent || 'N/A'}
                       </td>
-                      <td className='px-4 py-2'>{log.ipAddress}</td>
                       <td className='px-4 py-2 text-right'>
-                        {deleteConfirm === log.id ? (
+                        {deleteConfirm === log._id ? (
                           <>
                             <button
-                              onClick={() => handleDelete(log.id)}
+                              onClick={() => handleDelete(log._id)}
                               className='text-red-600 mr-2'>
                               Confirm
                             </button>
                             <button
-                              onClick={cancelDelete}
+                              onClick={() => setDeleteConfirm(null)}
                               className='text-gray-500'>
                               Cancel
                             </button>
                           </>
                         ) : (
                           <button
-                            onClick={() => handleDelete(log.id)}
+                            onClick={() => handleDelete(log._id)}
+                            aria-label='Delete log'
                             className='text-red-600'>
                             <FaTrash />
                           </button>
@@ -398,6 +446,24 @@ const UserLogPage = () => {
               </tbody>
             </table>
           </div>
+
+          <div className='mt-4 flex items-center justify-between text-sm'>
+            <button
+              onClick={() => setPage((current) => current - 1)}
+              disabled={page <= 1 || loading}
+              className='px-3 py-1 border rounded disabled:opacity-50'>
+              Previous
+            </button>
+            <span>
+              Page {page} of {totalPages}
+            </span>
+            <button
+              onClick={() => setPage((current) => current + 1)}
+              disabled={page >= totalPages || loading}
+              className='px-3 py-1 border rounded disabled:opacity-50'>
+              Next
+            </button>
+          </div>
         </div>
       </div>
     </div>
@@ -75,12 +75,15 @@ const Landing = () => {
                   : "Manage users, verify tasks, and oversee team operations."}
               </p>
               <div className="mt-6 space-y-4">
-                <button
-                  onClick={() => navigate("/signup", { state: { role } })}
-                  className="w-full py-3 bg-gradient-to-r from-indigo-500 to-purple-600 text-white font-semibold rounded-md shadow-md hover:opacity-90 transition"
-                >
-                  Sign Up as {role.charAt(0).toUpperCase() + role.slice(1)}
-                </button>
+                {/* Administrators are promoted by an admin rather than signing up as one */}
+                {role === "user" && (
+                  <button
+                    onClick={() => navigate("/signup")}
+                    className="w-full py-3 bg-gradient-to-r from-indigo-500 to-purple-600 text-white font-semibold rounded-md shadow-md hover:opacity-90 transition"
+                  >
+                    Sign Up as User
+                  </button>
+                )}
                 <button
                   onClick={() => navigate("/login", { state: { role } })}
                   className="w-full py-3 border border-gray-400 text-gray-800 font-semibold rounded-md shadow-md hover:bg-gray-200 transition"
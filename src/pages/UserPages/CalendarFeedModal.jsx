@@ -0,0 +1,101 @@
+import React, { useState, useEffect } from "react";
+import Modal from "../../components/common/Modal";
+import { fetchCalendarFeed, createCalendarFeed, deleteCalendarFeed } from "../../api";
+
+/**
+ * Turns the user's calendar feed on and off. The server keeps only a hash of the
+ * feed's secret, so its URL can be shown once, right after it is created.
+ */
+const CalendarFeedModal = ({ onClose }) => {
+  const [enabled, setEnabled] = useState(null);
+  const [url, setUrl] = useState("");
+  const [copied, setCopied] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    fetchCalendarFeed()
+      .then((feed) => setEnabled(feed.enabled))
+      .catch((err) => setError(err.message));
+  }, []);
+
+  const run = async (action) => {
+    setError("");
+    try {
+      const feed = await action();
+      setEnabled(feed.enabled);
+      setUrl(feed.url || "");
+      setCopied(false);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleReset = () => {
+    if (enabled && !window.confirm("Calendar apps using the current link will stop updating. Continue?")) return;
+    run(createCalendarFeed);
+  };
+
+  const handleTurnOff = () => {
+    if (!window.confirm("Turn off the calendar feed? Subscribed calendar apps will stop updating.")) return;
+    run(deleteCalendarFeed);
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+    } catch {
+      setError("Copy the link by hand; the clipboard is not available");
+    }
+  };
+
+  return (
+    <Modal title="Subscribe in a Calendar App" onClose={onClose}>
+      <div className="space-y-3 text-sm">
+        <p className="text-gray-600">
+          Add this link to Google Calendar, Outlook or Apple Calendar to see your task deadlines and calendar
+          events there. Anyone with the link can read them, so keep it private.
+        </p>
+
+        {url ? (
+          <div className="flex gap-2">
+            <input
+              value={url}
+              readOnly
+              onFocus={(e) => e.target.select()}
+              className="flex-1 p-2 border rounded bg-gray-50"
+              aria-label="Calendar feed link"
+            />
+            <button onClick={handleCopy} className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600">
+              {copied ? "Copied" : "Copy"}
+            </button>
+          </div>
+        ) : (
+          enabled && (
+            <p className="text-gray-600">
+              Your feed is on. Its link is only shown when it is created; get a new link if you need it again.
+            </p>
+          )
+        )}
+
+        {url && <p className="text-gray-500">This link will not be shown again.</p>}
+        {error && <p className="text-red-600">{error}</p>}
+
+        {enabled !== null && (
+          <div className="flex justify-end gap-2">
+            {enabled && (
+              <button onClick={handleTurnOff} className="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300">
+                Turn off
+              </button>
+            )}
+            <button onClick={handleReset} className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600">
+              {enabled ? "Get a new link" : "Create link"}
+            </button>
+          </div>
+        )}
+      </div>
+    </Modal>
+  );
+};
+
+export default CalendarFeedModal;
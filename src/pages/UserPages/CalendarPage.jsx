@@ -1,12 +1,30 @@
-import { useState, useEffect } from "react";
+import { useState, useMemo, useEffect, useCallback } from "react";
 import { Calendar, dateFnsLocalizer } from "react-big-calendar";
+import withDragAndDrop from "react-big-calendar/lib/addons/dragAndDrop";
 import format from "date-fns/format";
 import parse from "date-fns/parse";
 import startOfWeek from "date-fns/startOfWeek";
 import getDay from "date-fns/getDay";
 import enUS from "date-fns/locale/en-US";
 import "react-big-calendar/lib/css/react-big-calendar.css";
+import "react-big-calendar/lib/addons/dragAndDrop/styles.css";
+import { toast, ToastContainer } from "react-toastify";
+import "react-toastify/dist/ReactToastify.css";
 import UserSidebar from "./UserSidebar";
+import EventModal from "./EventModal";
+import CalendarFeedModal from "./CalendarFeedModal";
+import { saveBlob } from "../../utils/download";
+import { useTasks } from "../../hooks/useTasks";
+import { useAuth } from "../../contexts/AuthContext";
+import { useWorkspace } from "../../contexts/WorkspaceContext";
+import {
+  fetchOccurrences,
+  fetchEvents,
+  createEvent,
+  updateEvent,
+  deleteEvent,
+  downloadCalendar,
+} from "../../api";
 
 const locales = { "en-US": enUS };
 
@@ -18,39 +36,211 @@ const localizer = dateFnsLocalizer({
   locales,
 });
 
+const DnDCalendar = withDragAndDrop(Calendar);
+
+// Days either side of the current month whose occurrences are loaded, covering
+// the leading and trailing weeks the month view shows
+const RANGE_MARGIN_DAYS = 7;
+
+// The dates a view shows, from onRangeChange: a list of days, or the first and last day.
+// The end is moved to the following midnight so the whole last day is included.
+const toViewRange = (range) => {
+  const days = Array.isArray(range) ? range : [range.start, range.end];
+  const last = days[days.length - 1];
+  return { from: days[0], to: new Date(last.getFullYear(), last.getMonth(), last.getDate() + 1) };
+};
+
+// Due dates and all-day events are calendar days stored as UTC midnight; the same day at
+// local midnight, so they land on their day in every time zone
+const toLocalDay = (value) => {
+  const date = new Date(value);
+  return new Date(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+};
+
+// Event fields as the API takes them: all-day events span the local days they cover
+const toEventBody = ({ start, end, allDay, ...rest }) =>
+  allDay
+    ? { ...rest, allDay, start: format(start, "yyyy-MM-dd"), end: format(end, "yyyy-MM-dd") }
+    : { ...rest, allDay, start, end };
+
+// An event from the API with the dates the calendar shows
+const fromSavedEvent = (event) => {
+  const toDate = event.allDay ? toLocalDay : (value) => new Date(value);
+  return { ...event, start: toDate(event.start), end: toDate(event.end) };
+};
+
 const CalendarPage = () => {
-  const [events, setEvents] = useState([]);
+  const { tasks, editTask } = useTasks();
+  const { can } = useAuth();
+  const { currentWorkspace } = useWorkspace();
   const [currentDate, setCurrentDate] = useState(new Date());
+  const [calendarEvents, setCalendarEvents] = useState([]);
+  // Event being created or edited in the modal
+  const [editing, setEditing] = useState(null);
+  const [showFeed, setShowFeed] = useState(false);
+  // Dates shown by the current view; null until the view first changes
+  const [viewRange, setViewRange] = useState(null);
+
+  const taskEvents = useMemo(
+    () =>
+      tasks
+        .filter((task) => task.dueDate)
+        .map((task) => ({
+          title: task.recurrence ? `🔁 ${task.title}` : task.title,
+          start: toLocalDay(task.dueDate),
+          end: toLocalDay(task.dueDate),
+          allDay: true,
+          type: "deadline",
+          resource: task,
+        })),
+    [tasks]
+  );
 
-  // Fetch tasks from localStorage
+  // Later occurrences of recurring tasks don't exist as tasks yet; the server expands them
+  const [occurrences, setOccurrences] = useState([]);
+  const year = currentDate.getFullYear();
+  const month = currentDate.getMonth();
+  const range = useMemo(
+    () => ({
+      from: new Date(year, month, 1 - RANGE_MARGIN_DAYS),
+      to: new Date(year, month + 1, RANGE_MARGIN_DAYS),
+    }),
+    [year, month]
+  );
+
+  useEffect(() => {
+    let cancelled = false;
+
+    fetchOccurrences(range.from, range.to)
+      .then((list) => {
+        if (!cancelled) setOccurrences(list);
+      })
+      .catch((err) => console.error("Error loading recurring tasks:", err));
+    return () => {
+      cancelled = true;
+    };
+  }, [range, tasks]);
+
+  const loadEvents = useCallback(() => {
+    return fetchEvents(range.from, range.to)
+      .then(setCalendarEvents)
+      .catch((err) => console.error("Error loading events:", err));
+  }, [range]);
+
+  // Events belong to the workspace, so switching workspaces reloads them
   useEffect(() => {
-    const storedTasks = JSON.parse(localStorage.getItem("tasks")) || [];
-    
-    const taskEvents = storedTasks.map((task) => ({
-      title: task.title,
-      start: new Date(task.deadline), 
-      end: new Date(task.deadline), 
-      type: "deadline",
-    }));
-
-    setEvents(taskEvents);
-  }, []);
-
-  const handleSelectSlot = ({ start, end }) => {
-    const title = prompt("Enter event title:");
-    if (title) {
-      const isDeadline = window.confirm("Is this a deadline? Click OK for Yes, Cancel for No.");
-      setEvents([...events, { title, start, end, type: isDeadline ? "deadline" : "event" }]);
+    loadEvents();
+  }, [loadEvents, currentWorkspace?._id]);
+
+  const occurrenceEvents = useMemo(
+    () =>
+      occurrences.map((occurrence) => ({
+        title: `🔁 ${occurrence.title}`,
+        start: toLocalDay(occurrence.date),
+        end: toLocalDay(occurrence.date),
+        allDay: true,
+        type: "occurrence",
+      })),
+    [occurrences]
+  );
+
+  const savedEvents = useMemo(
+    () =>
+      calendarEvents.map((event) => {
+        const { start, end } = fromSavedEvent(event);
+        return { title: event.title, start, end, allDay: event.allDay, type: "event", resource: event };
+      }),
+    [calendarEvents]
+  );
+  const events = [...taskEvents, ...occurrenceEvents, ...savedEvents];
+
+  const handleSelectSlot = ({ start, end, action }) => {
+    if (!can("tasks:create")) return;
+    // Slots picked in the month view are whole days
+    const allDay = action !== "select" || (start.getHours() === 0 && end.getHours() === 0);
+    setEditing({ start, end, allDay });
+  };
+
+  const handleSelectEvent = (event) => {
+    if (event.type !== "event") return;
+    setEditing(fromSavedEvent(event.resource));
+  };
+
+  const handleSave = async (values) => {
+    if (editing._id) {
+      await updateEvent(editing._id, toEventBody(values));
+      toast.success("Event updated");
+    } else {
+      await createEvent(toEventBody(values));
+      toast.success("Event added");
+    }
+    setEditing(null);
+    loadEvents();
+  };
+
+  const handleDelete = async () => {
+    await deleteEvent(editing._id);
+    setEditing(null);
+    loadEvents();
+  };
+
+  // Dragging an event reschedules it; dragging a deadline moves the task's due date
+  const handleEventDrop = async ({ event, start, end, isAllDay }) => {
+    try {
+      if (event.type === "deadline") {
+        // Due dates are calendar days, stored like the date picker's value
+        await editTask(event.resource._id, { dueDate: format(start, "yyyy-MM-dd") });
+        toast.success(`"${event.resource.title}" is now due ${start.toLocaleDateString()}`);
+        return;
+      }
+
+      const changes = toEventBody({ start, end, allDay: Boolean(isAllDay ?? event.allDay) });
+      // Show the move straight away; the reload brings back the saved event
+      setCalendarEvents((prev) =>
+        prev.map((item) => (item._id === event.resource._id ? { ...item, ...changes } : item))
+      );
+      await updateEvent(event.resource._id, changes);
+    } catch (err) {
+      toast.error(err.message);
+    }
+    loadEvents();
+  };
+
+  const handleEventResize = async ({ event, start, end }) => {
+    try {
+      const changes = toEventBody({ start, end, allDay: event.allDay });
+      setCalendarEvents((prev) =>
+        prev.map((item) => (item._id === event.resource._id ? { ...item, ...changes } : item))
+      );
+      await updateEvent(event.resource._id, changes);
+    } catch (err) {
+      toast.error(err.message);
     }
+    loadEvents();
   };
 
   const handleNavigate = (newDate) => {
     setCurrentDate(newDate);
   };
 
+  // Downloads what the current view shows as an .ics file
+  const handleDownload = async () => {
+    const { from, to } = viewRange || range;
+    try {
+      saveBlob(await downloadCalendar(from, to), `taskflow-${format(from, "yyyy-MM-dd")}.ics`);
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
   const eventStyleGetter = (event) => {
+    const colors = {
+      deadline: "rgb(239, 68, 68)",
+      // Upcoming occurrences are not tasks yet, so they are shown muted
+      occurrence: "rgb(156, 163, 175)",
+    };
     let style = {
-      backgroundColor: event.type === "deadline" ? "rgb(239, 68, 68)" : "rgb(59, 130, 246)",
+      backgroundColor: colors[event.type] || "rgb(59, 130, 246)",
       borderRadius: "5px",
       opacity: 0.9,
       color: "white",
@@ -67,23 +257,55 @@ const CalendarPage = () => {
 
       {/* Main Calendar Content */}
       <div className="flex-1 p-4 md:p-6">
+        <ToastContainer position="top-right" autoClose={3000} hideProgressBar />
         <div className="bg-white p-4 md:p-6 rounded-lg shadow-md w-full max-w-5xl mx-auto">
           <h2 className="text-2xl font-bold mb-4 text-center text-gray-800">📅 Task & Deadline Calendar</h2>
-          <Calendar
+          <div className="flex justify-end gap-2 mb-3 text-sm">
+            <button
+              onClick={handleDownload}
+              className="px-3 py-1 bg-gray-200 text-gray-700 rounded hover:bg-gray-300"
+            >
+              Download .ics
+            </button>
+            <button
+              onClick={() => setShowFeed(true)}
+              className="px-3 py-1 bg-blue-500 text-white rounded hover:bg-blue-600"
+            >
+              Subscribe
+            </button>
+          </div>
+          <DnDCalendar
             localizer={localizer}
             events={events}
             startAccessor="start"
             endAccessor="end"
             selectable
             onSelectSlot={handleSelectSlot}
+            onSelectEvent={handleSelectEvent}
+            onEventDrop={handleEventDrop}
+            onEventResize={handleEventResize}
+            // Computed occurrences are not saved anywhere, and deadlines have no length
+            draggableAccessor={(event) => event.type !== "occurrence" && can("tasks:update")}
+            resizableAccessor={(event) => event.type === "event"}
             style={{ height: 500 }}
             className="border rounded-lg shadow-sm"
             date={currentDate}
             onNavigate={handleNavigate}
+            onRangeChange={(range) => setViewRange(toViewRange(range))}
             eventPropGetter={eventStyleGetter}
           />
         </div>
       </div>
+
+      {editing && (
+        <EventModal
+          event={editing}
+          onSave={handleSave}
+          onDelete={handleDelete}
+          onClose={() => setEditing(null)}
+        />
+      )}
+      {showFeed && <CalendarFeedModal onClose={() => setShowFeed(false)} />}
     </div>
   );
 };
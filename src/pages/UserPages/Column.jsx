@@ -1,11 +1,31 @@
 import React from "react";
+import { useDroppable } from "@dnd-kit/core";
+
+// Droppable, so cards can be dropped into the column's empty space too.
+// A WIP limit is a soft limit: the column warns but still accepts cards.
+const Column = ({ id, title, color, wipLimit, count, children }) => {
+  const { setNodeRef, isOver } = useDroppable({ id });
+  const overLimit = Boolean(wipLimit) && count > wipLimit;
 
-const Column = ({ title, children }) => {
   return (
     <div
-      className="bg-gray-200 p-4 rounded-lg min-h-[500px] flex flex-col transition-all duration-200 hover:bg-gray-300 hover:shadow-lg"
+      ref={setNodeRef}
+      style={{ borderTopColor: color }}
+      className={`p-4 rounded-lg min-h-[500px] flex flex-col border-t-4 transition-all duration-200 hover:bg-gray-300 hover:shadow-lg ${
+        isOver ? "bg-gray-300" : "bg-gray-200"
+      } ${overLimit ? "ring-2 ring-red-400" : ""}`}
     >
-      <h2 className="text-lg font-semibold text-gray-800">{title}</h2>
+      <div className="flex justify-between items-center">
+        <h2 className="text-lg font-semibold text-gray-800">{title}</h2>
+        <span className={`text-sm ${overLimit ? "text-red-600 font-semibold" : "text-gray-600"}`}>
+          {wipLimit ? `${count} / ${wipLimit}` : count}
+        </span>
+      </div>
+      {overLimit && (
+        <p role="alert" className="mt-1 text-sm text-red-600">
+          ⚠️ Over the WIP limit of {wipLimit}
+        </p>
+      )}
       <div className="flex-1 space-y-2 mt-2">{children}</div>
     </div>
   );
@@ -1,7 +1,14 @@
-import React, { useEffect, useState, useRef } from 'react';
+import React, {
+  useEffect,
+  useState,
+  useRef,
+  useMemo,
+  useCallback,
+} from 'react';
 import { DndContext, closestCorners } from '@dnd-kit/core';
 import {
   SortableContext,
+  arrayMove,
   verticalListSortingStrategy,
 } from '@dnd-kit/sortable';
 import { Bar } from 'react-chartjs-2';
@@ -11,18 +18,49 @@ import 'react-toastify/dist/ReactToastify.css';
 import UserSidebar from './UserSidebar';
 import Column from './Column';
 import SortableItem from './SortableItem';
+import CommentThread from '../../components/tasks/CommentThread';
 import notificationSound from './notification.mp3';
-import useAuth from '../../contexts/AuthContext';
+import { useAuth } from '../../contexts/AuthContext';
+import { useTasks } from '../../hooks/useTasks';
+import { useWorkflow } from '../../hooks/useWorkflow';
+import { useWorkspace } from '../../contexts/WorkspaceContext';
+import { canTransition, DONE_COLUMN } from '../../utils/workflows';
+
+// Cards per workflow column, in their stored order
+const categorize = (taskList, columnKeys) =>
+  Object.fromEntries(
+    columnKeys.map((column) => [
+      column,
+      taskList
+        .filter((task) => task.column === column)
+        .sort((a, b) => a.position - b.position),
+    ])
+  );
+
+// Where a dropped card shows until the server answers with its real position
+const estimatePosition = (above, below) => {
+  if (above && below) return (above.position + below.position) / 2;
+  if (above) return above.position + 1;
+  if (below) return below.position - 1;
+  return 0;
+};
 
 const UserDashboard = () => {
-  const [tasks, setTasks] = useState({
-    'To Do': [],
-    'In Progress': [],
-    Completed: [],
-  });
+  const { tasks: taskList, setTasks, loading, moveTask, reload } = useTasks();
+  const { currentWorkspace } = useWorkspace();
+  const { workflow } = useWorkflow(currentWorkspace?._id);
+  const columns = useMemo(() => workflow?.columns || [], [workflow]);
+  const columnKeys = useMemo(() => columns.map((column) => column.key), [columns]);
+  const tasks = useMemo(
+    () => categorize(taskList, columnKeys),
+    [taskList, columnKeys]
+  );
 
   const [notes, setNotes] = useState(localStorage.getItem('notes') || '');
+  // Task whose comment thread is open, if any
+  const [commentsTask, setCommentsTask] = useState(null);
   const audioRef = useRef(new Audio(notificationSound));
+  const deadlinesCheckedRef = useRef(false);
   const { isAuthenticated } = useAuth();
 
   useEffect(() => {
@@ -30,104 +68,115 @@ const UserDashboard = () => {
   }, []);
 
   useEffect(() => {
-    const storedTasks = JSON.parse(localStorage.getItem('tasks')) || [];
-    const categorizedTasks = {
-      'To Do': storedTasks.filter((task) => task.progress <= 40),
-      'In Progress': storedTasks.filter(
-        (task) => task.progress > 40 && task.progress <= 80
-      ),
-      Completed: storedTasks.filter((task) => task.progress > 80),
-    };
-    setTasks(categorizedTasks);
-    checkDeadlines(storedTasks);
+    localStorage.setItem('notes', notes);
+  }, [notes]);
+
+  const showNotification = useCallback((message, bgClass) => {
+    toast(
+      <div
+        className={`p-2 rounded-lg shadow-md font-semibold text-lg ${bgClass}`}>
+        {message}
+      </div>,
+      { position: 'top-right', autoClose: 5000, hideProgressBar: false }
+    );
+    audioRef.current.play();
   }, []);
 
+  // Announce today's and tomorrow's deadlines once, after the first load
   useEffect(() => {
-    localStorage.setItem('notes', notes);
-  }, [notes]);
+    if (loading || deadlinesCheckedRef.current) return;
+    deadlinesCheckedRef.current = true;
 
-  const checkDeadlines = (tasks) => {
     const today = new Date().toISOString().split('T')[0];
     const tomorrow = new Date();
     tomorrow.setDate(tomorrow.getDate() + 1);
     const tomorrowStr = tomorrow.toISOString().split('T')[0];
 
-    tasks.forEach((task) => {
-      if (task.deadline === today) {
+    taskList.forEach((task) => {
+      const deadline = task.dueDate?.split('T')[0];
+      if (deadline === today) {
         showNotification(
           `🚨 Task Due Today: "${task.title}"`,
           'bg-red-500 text-white'
         );
-      } else if (task.deadline === tomorrowStr) {
+      } else if (deadline === tomorrowStr) {
         showNotification(
           `⏳ Task Due Tomorrow: "${task.title}"`,
           'bg-yellow-500 text-black'
         );
       }
     });
-  };
+  }, [loading, taskList, showNotification]);
 
-  const showNotification = (message, bgClass) => {
-    toast(
-      <div
-        className={`p-2 rounded-lg shadow-md font-semibold text-lg ${bgClass}`}>
-        {message}
-      </div>,
-      { position: 'top-right', autoClose: 5000, hideProgressBar: false }
-    );
-    audioRef.current.play();
-  };
-
-  const handleDragEnd = (event) => {
+  // Cards are dropped either on another card (taking its place) or on a column's empty space (going last)
+  const handleDragEnd = async (event) => {
     const { active, over } = event;
     if (!over || active.id === over.id) return;
 
-    const sourceColumn = Object.keys(tasks).find((column) =>
-      tasks[column].some((task) => task.id === active.id)
-    );
-    const targetColumn =
-      Object.keys(tasks).find((column) =>
-        tasks[column].some((task) => task.id === over.id)
-      ) || over.id;
-
-    if (!sourceColumn || !targetColumn || sourceColumn === targetColumn) return;
-
-    setTasks((prevTasks) => {
-      const updatedTasks = { ...prevTasks };
-      const movedTask = updatedTasks[sourceColumn].find(
-        (task) => task.id === active.id
-      );
-      updatedTasks[sourceColumn] = updatedTasks[sourceColumn].filter(
-        (task) => task.id !== active.id
-      );
-      updatedTasks[targetColumn] = [
-        ...(updatedTasks[targetColumn] || []),
-        movedTask,
-      ];
-      return updatedTasks;
-    });
+    const columnOf = (id) =>
+      columnKeys.find((column) => tasks[column].some((task) => task._id === id));
+    const sourceColumn = columnOf(active.id);
+    const targetColumn = columnOf(over.id) || over.id;
+    if (!sourceColumn || !tasks[targetColumn]) return;
+
+    if (!canTransition(workflow, sourceColumn, targetColumn)) {
+      const nameOf = (key) => columns.find((column) => column.key === key).name;
+      toast.error(`Cards cannot move from ${nameOf(sourceColumn)} to ${nameOf(targetColumn)}`);
+      return;
+    }
+
+    // A card waiting on unfinished tasks stays out of the done column (the server refuses too)
+    const movedTask = tasks[sourceColumn].find((task) => task._id === active.id);
+    if (targetColumn === DONE_COLUMN && sourceColumn !== DONE_COLUMN && movedTask.blocked) {
+      const blockers = movedTask.blockedBy
+        .filter((blocker) => blocker.status !== 'complete')
+        .map((blocker) => `"${blocker.title}"`)
+        .join(', ');
+      toast.error(`"${movedTask.title}" is blocked by ${blockers}. Finish those first.`);
+      return;
+    }
+
+    const targetIds = tasks[targetColumn].map((task) => task._id);
+    const overIndex = targetIds.indexOf(over.id);
+
+    let orderedIds;
+    if (sourceColumn === targetColumn) {
+      if (overIndex === -1) return;
+      orderedIds = arrayMove(targetIds, targetIds.indexOf(active.id), overIndex);
+    } else {
+      orderedIds = [...targetIds];
+      orderedIds.splice(overIndex === -1 ? orderedIds.length : overIndex, 0, active.id);
+    }
 
-    localStorage.setItem(
-      'tasks',
-      JSON.stringify([
-        ...tasks['To Do'],
-        ...tasks['In Progress'],
-        ...tasks['Completed'],
-      ])
+    const index = orderedIds.indexOf(active.id);
+    const above = orderedIds[index - 1] || null;
+    const below = orderedIds[index + 1] || null;
+
+    // Show the move straight away; the server's answer replaces it on reload
+    const taskById = (id) => tasks[targetColumn].find((task) => task._id === id);
+    const position = estimatePosition(taskById(above), taskById(below));
+    setTasks((prevTasks) =>
+      prevTasks.map((task) =>
+        task._id === active.id ? { ...task, column: targetColumn, position } : task
+      )
     );
+
+    try {
+      await moveTask(active.id, { column: targetColumn, above, below });
+    } catch (err) {
+      toast.error(err.message);
+      // The server refused the move; put the card back where it says it is
+      reload();
+    }
   };
 
   const chartData = {
-    labels: ['To Do', 'In Progress', 'Completed'],
+    labels: columns.map((column) => column.name),
     datasets: [
       {
         label: 'Number of Tasks',
-        data: [
-          tasks['To Do'].length,
-          tasks['In Progress'].length,
-          tasks.Completed.length,
-        ],
-        backgroundColor: ['#FF6384', '#FFCE56', '#36A2EB'],
+        data: columnKeys.map((column) => tasks[column].length),
+        backgroundColor: columns.map((column) => column.color),
       },
     ],
   };
@@ -139,7 +188,7 @@ const UserDashboard = () => {
       <div className='flex-1 p-6'>
         <ToastContainer position='top-right' autoClose={5000} hideProgressBar />
 
-        {!isAuthenticated && (
+        {isAuthenticated && (
           <>
             <h2 className='text-4xl font-bold text-gray-900 mb-6 text-center bg-gradient-to-r from-blue-600 to-purple-600 text-transparent bg-clip-text'>
               🚀 User Dashboard
@@ -150,21 +199,30 @@ const UserDashboard = () => {
               <DndContext
                 collisionDetection={closestCorners}
                 onDragEnd={handleDragEnd}>
-                <div className='grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4'>
-                  {Object.keys(tasks).map((columnKey) => (
+                {/* One column per workflow status; wide workflows scroll sideways */}
+                <div
+                  className='grid gap-4 overflow-x-auto'
+                  style={{
+                    gridTemplateColumns: `repeat(${columns.length}, minmax(16rem, 1fr))`,
+                  }}>
+                  {columns.map(({ key: columnKey, name, color, wipLimit }) => (
                     <Column
                       key={columnKey}
-                      title={columnKey}
+                      title={name}
+                      color={color}
+                      wipLimit={wipLimit}
+                      count={tasks[columnKey].length}
                       id={columnKey}
                       className='w-full'>
                       <SortableContext
-                        items={tasks[columnKey].map((task) => task.id)}
+                        items={tasks[columnKey].map((task) => task._id)}
                         strategy={verticalListSortingStrategy}>
                         {tasks[columnKey].map((task) => (
                           <SortableItem
-                            key={task.id}
-                            id={task.id}
+                            key={task._id}
+                            id={task._id}
                             task={task}
+                            onOpenComments={setCommentsTask}
                           />
                         ))}
                       </SortableContext>
@@ -174,6 +232,10 @@ const UserDashboard = () => {
               </DndContext>
             </div>
 
+            {commentsTask && (
+              <CommentThread task={commentsTask} onClose={() => setCommentsTask(null)} />
+            )}
+
             {/* Task Analytics & Notes Section */}
             <div className='mt-10 flex flex-col lg:flex-row items-start gap-6'>
               {/* Task Analytics Chart */}
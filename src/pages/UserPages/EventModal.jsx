@@ -0,0 +1,141 @@
+import React, { useState } from "react";
+import Modal from "../../components/common/Modal";
+
+const pad = (number) => String(number).padStart(2, "0");
+
+// Local date ("2025-03-14") or date and time ("2025-03-14T09:30") for date inputs
+const toInputValue = (date, allDay) => {
+  const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  return allDay ? day : `${day}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+// Input values are local times; date-only ones mean midnight
+const fromInputValue = (value) => new Date(value.length === 10 ? `${value}T00:00` : value);
+
+/**
+ * Create or edit form for a calendar event.
+ * All-day events end at midnight after their last day, as react-big-calendar expects,
+ * while the form shows the last day itself.
+ */
+const EventModal = ({ event, onSave, onDelete, onClose }) => {
+  const lastDay = (start, end) => {
+    const day = new Date(end.getFullYear(), end.getMonth(), end.getDate() - 1);
+    return day < start ? start : day;
+  };
+
+  const [form, setForm] = useState(() => ({
+    title: event.title || "",
+    description: event.description || "",
+    allDay: event.allDay,
+    start: toInputValue(event.start, event.allDay),
+    end: toInputValue(event.allDay ? lastDay(event.start, event.end) : event.end, event.allDay),
+  }));
+  const [error, setError] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const toggleAllDay = (allDay) => {
+    const start = fromInputValue(form.start);
+    const end = fromInputValue(form.end);
+    setForm({ ...form, allDay, start: toInputValue(start, allDay), end: toInputValue(end, allDay) });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.title.trim()) return setError("Give the event a title");
+
+    const start = fromInputValue(form.start);
+    let end = fromInputValue(form.end);
+    if (form.allDay) end = new Date(end.getFullYear(), end.getMonth(), end.getDate() + 1);
+    if (end < start) return setError("The event cannot end before it starts");
+
+    setSaving(true);
+    try {
+      await onSave({ title: form.title.trim(), description: form.description, allDay: form.allDay, start, end });
+    } catch (err) {
+      setError(err.message);
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm("Delete this event?")) return;
+    try {
+      await onDelete();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <Modal title={event._id ? "Edit Event" : "New Event"} onClose={onClose}>
+      <form onSubmit={handleSubmit} className="space-y-3">
+        <input
+          value={form.title}
+          onChange={(e) => setForm({ ...form, title: e.target.value })}
+          placeholder="Event title"
+          className="w-full p-2 border rounded"
+          autoFocus
+        />
+        <textarea
+          value={form.description}
+          onChange={(e) => setForm({ ...form, description: e.target.value })}
+          placeholder="Description"
+          rows="3"
+          className="w-full p-2 border rounded"
+        />
+        <label className="flex items-center gap-2 text-sm">
+          <input type="checkbox" checked={form.allDay} onChange={(e) => toggleAllDay(e.target.checked)} />
+          All day
+        </label>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 text-sm">
+          <label className="space-y-1">
+            <span className="text-gray-700">Starts</span>
+            <input
+              type={form.allDay ? "date" : "datetime-local"}
+              value={form.start}
+              onChange={(e) => setForm({ ...form, start: e.target.value })}
+              className="w-full p-2 border rounded"
+              required
+            />
+          </label>
+          <label className="space-y-1">
+            <span className="text-gray-700">Ends</span>
+            <input
+              type={form.allDay ? "date" : "datetime-local"}
+              value={form.end}
+              onChange={(e) => setForm({ ...form, end: e.target.value })}
+              className="w-full p-2 border rounded"
+              required
+            />
+          </label>
+        </div>
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+
+        <div className="flex justify-between">
+          {event._id && onDelete ? (
+            <button type="button" onClick={handleDelete} className="px-4 py-2 bg-red-500 text-white rounded hover:bg-red-600">
+              Delete
+            </button>
+          ) : (
+            <span />
+          )}
+          <div className="flex gap-2">
+            <button type="button" onClick={onClose} className="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300">
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50"
+            >
+              Save
+            </button>
+          </div>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default EventModal;
@@ -1,35 +1,88 @@
-import React, { useEffect, useState } from "react";
-import UserSidebar from "./UserSidebar"; 
+import React, { useState, useEffect } from "react";
+import {
+  FaUserPlus,
+  FaComment,
+  FaAt,
+  FaClock,
+  FaExclamationTriangle,
+  FaCheckDouble,
+  FaSpinner,
+} from "react-icons/fa";
+import UserSidebar from "./UserSidebar";
+import { fetchNotifications } from "../../api";
+import { useNotifications } from "../../contexts/NotificationContext";
+
+const PAGE_SIZE = 20;
+
+const TYPE_ICONS = {
+  assignment: <FaUserPlus className="text-blue-500" />,
+  comment: <FaComment className="text-gray-500" />,
+  mention: <FaAt className="text-purple-500" />,
+  due_soon: <FaClock className="text-yellow-500" />,
+  overdue: <FaExclamationTriangle className="text-red-500" />,
+};
 
 const NotificationsPage = () => {
+  const { unreadCount, setUnreadCount, markRead, markAllRead } = useNotifications();
   const [notifications, setNotifications] = useState([]);
+  const [unreadOnly, setUnreadOnly] = useState(false);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
 
+  // Load a page of the inbox whenever the page or the filter changes
   useEffect(() => {
-    const storedTasks = JSON.parse(localStorage.getItem("tasks")) || [];
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    let cancelled = false;
+    setLoading(true);
 
-    let newNotifications = [];
+    fetchNotifications({ page, limit: PAGE_SIZE, unreadOnly })
+      .then((data) => {
+        if (cancelled) return;
+        // The unread filter loses pages as notifications are read; step back to the last one
+        if (page > data.totalPages) {
+          setPage(data.totalPages);
+          return;
+        }
+        setNotifications(data.notifications);
+        setTotalPages(data.totalPages);
+        setUnreadCount(data.unread);
+        setError("");
+      })
+      .catch((err) => !cancelled && setError(err.message))
+      .finally(() => !cancelled && setLoading(false));
 
-    storedTasks.forEach((task) => {
-      const taskDate = new Date(task.deadline);
-      taskDate.setHours(0, 0, 0, 0);
+    return () => {
+      cancelled = true;
+    };
+  }, [page, unreadOnly, setUnreadCount]);
 
-      // 🔴 Deadline is today
-      if (taskDate.getTime() === today.getTime()) {
-        newNotifications.push(`🚨 Task "${task.title}" is due today!`);
-      }
+  // Read ones stay on the page, even under the unread filter, until the next load
+  const toggleRead = async (notification) => {
+    try {
+      const updated = await markRead(notification._id, !notification.readAt);
+      setNotifications((current) =>
+        current.map((item) => (item._id === updated._id ? { ...item, readAt: updated.readAt } : item))
+      );
+    } catch (err) {
+      setError(err.message);
+    }
+  };
 
-      // ⏳ Deadline is tomorrow
-      const tomorrow = new Date(today);
-      tomorrow.setDate(today.getDate() + 1);
-      if (taskDate.getTime() === tomorrow.getTime()) {
-        newNotifications.push(`⏳ Task "${task.title}" is due tomorrow!`);
-      }
-    });
+  const handleMarkAllRead = async () => {
+    try {
+      await markAllRead();
+      const now = new Date().toISOString();
+      setNotifications((current) => current.map((item) => ({ ...item, readAt: item.readAt || now })));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
 
-    setNotifications(newNotifications);
-  }, []);
+  const showFilter = (value) => {
+    setUnreadOnly(value);
+    setPage(1);
+  };
 
   return (
     <div className="flex min-h-screen bg-gray-100">
@@ -37,24 +90,94 @@ const NotificationsPage = () => {
       <UserSidebar />
 
       {/* Main Content */}
-      <div className="flex-1 flex flex-col items-center justify-center p-6">
+      <div className="flex-1 flex flex-col items-center p-6">
         <div className="bg-white p-6 rounded-lg shadow-md w-full max-w-3xl">
-          <h2 className="text-2xl font-bold mb-4 text-center">📢 Notifications</h2>
+          <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+            <h2 className="text-2xl font-bold">
+              📢 Notifications
+              {unreadCount > 0 && <span className="ml-2 text-base font-normal text-gray-500">({unreadCount} unread)</span>}
+            </h2>
+            <div className="flex items-center gap-2 text-sm">
+              <div className="flex border rounded overflow-hidden">
+                <button
+                  onClick={() => showFilter(false)}
+                  className={`px-3 py-1 ${!unreadOnly ? "bg-blue-500 text-white" : "hover:bg-gray-100"}`}
+                >
+                  All
+                </button>
+                <button
+                  onClick={() => showFilter(true)}
+                  className={`px-3 py-1 ${unreadOnly ? "bg-blue-500 text-white" : "hover:bg-gray-100"}`}
+                >
+                  Unread
+                </button>
+              </div>
+              <button
+                onClick={handleMarkAllRead}
+                disabled={unreadCount === 0}
+                className="flex items-center gap-1 px-3 py-1 border rounded hover:bg-gray-100 disabled:opacity-50"
+              >
+                <FaCheckDouble /> Mark all read
+              </button>
+            </div>
+          </div>
+
+          {error && <p className="text-red-600 mb-3">{error}</p>}
 
-          {notifications.length === 0 ? (
-            <p className="text-gray-500 text-center">No new notifications</p>
+          {loading ? (
+            <div className="flex justify-center p-6">
+              <FaSpinner className="animate-spin text-blue-500 text-2xl" />
+            </div>
+          ) : notifications.length === 0 ? (
+            <p className="text-gray-500 text-center">
+              {unreadOnly ? "No unread notifications" : "No notifications yet"}
+            </p>
           ) : (
             <ul className="space-y-3">
-              {notifications.map((message, index) => (
+              {notifications.map((notification) => (
                 <li
-                  key={index}
-                  className="p-4 bg-blue-50 border-l-4 border-blue-500 rounded shadow-sm text-gray-800"
+                  key={notification._id}
+                  className={`flex items-start gap-3 p-4 rounded shadow-sm border-l-4 ${
+                    notification.readAt ? "bg-white border-gray-200 text-gray-600" : "bg-blue-50 border-blue-500 text-gray-800"
+                  }`}
                 >
-                  {message}
+                  <span className="mt-1">{TYPE_ICONS[notification.type]}</span>
+                  <div className="flex-1 min-w-0">
+                    <p className={notification.readAt ? "" : "font-semibold"}>{notification.message}</p>
+                    <p className="text-xs text-gray-500 mt-1">{new Date(notification.createdAt).toLocaleString()}</p>
+                  </div>
+                  <button
+                    onClick={() => toggleRead(notification)}
+                    className="text-sm text-blue-600 hover:underline whitespace-nowrap"
+                  >
+                    {notification.readAt ? "Mark unread" : "Mark read"}
+                  </button>
                 </li>
               ))}
             </ul>
           )}
+
+          {totalPages > 1 && (
+            <div className="mt-4 flex items-center justify-between text-sm">
+              <button
+                onClick={() => setPage((current) => current - 1)}
+                disabled={page <= 1 || loading}
+                className="px-3 py-1 border rounded disabled:opacity-50"
+              >
+                Previous
+              </button>
+              <span>
+                Page {page} of {totalPages}
+              </span>
+              <button
+                onClick={() => setPage((current) => current + 1)}
+                disabled={page >= totalPages || loading}
+                className="px-3 py-1 border rounded disabled:opacity-50"
+              >
+                Next
+              </button>
+            </div>
+          )}
         </div>
       </div>
     </div>
@@ -1,5 +1,6 @@
 import React, { useState } from "react";
 import UserSidebar from "./UserSidebar";
+import LogoutAllDevices from "../../components/auth/LogoutAllDevices";
 
 const ProfilePage = () => {
   // Load stored profile data
@@ -184,6 +185,10 @@ const ProfilePage = () => {
               Save Profile
             </button>
           </div>
+
+          <div className="mt-8">
+            <LogoutAllDevices />
+          </div>
         </div>
       </div>
     </div>
@@ -1,16 +1,20 @@
 import React from "react";
 import { useSortable } from "@dnd-kit/sortable";
 import { CSS } from "@dnd-kit/utilities";
+import { FaRegComment, FaLock } from "react-icons/fa";
+import { checklistProgress } from "../../utils/checklist";
 
 const priorityColors = {
-  High: "bg-red-100 hover:bg-red-300",
-  Medium: "bg-yellow-100 hover:bg-yellow-300",
-  Low: "bg-green-100 hover:bg-green-300",
+  high: "bg-red-100 hover:bg-red-300",
+  medium: "bg-yellow-100 hover:bg-yellow-300",
+  low: "bg-green-100 hover:bg-green-300",
 };
 
-const SortableItem = ({ id, task }) => {
+const SortableItem = ({ id, task, onOpenComments }) => {
   const { attributes, listeners, setNodeRef, transform, transition } = useSortable({ id });
 
+  const { done, total } = checklistProgress(task);
+
   const style = {
     transform: CSS.Transform.toString(transform),
     transition,
@@ -26,9 +30,43 @@ const SortableItem = ({ id, task }) => {
         priorityColors[task.priority] || "bg-gray-200"
       }`}
     >
-      <p className="font-semibold">{task.title}</p>
+      <div className="flex justify-between items-start gap-2">
+        <p className="font-semibold">{task.title}</p>
+        {/* Kept out of the drag listeners so a click opens the thread instead of picking up the card */}
+        <button
+          onPointerDown={(e) => e.stopPropagation()}
+          onKeyDown={(e) => e.stopPropagation()}
+          onClick={() => onOpenComments(task)}
+          className="flex items-center gap-1 text-xs text-gray-700 hover:text-blue-700"
+          aria-label={`Comments on ${task.title}`}
+        >
+          <FaRegComment />
+          {task.commentCount > 0 && task.commentCount}
+        </button>
+      </div>
+      {task.blocked && (
+        <p
+          className="flex items-center gap-1 text-xs font-semibold text-red-700"
+          title={`Waiting on ${task.blockedBy
+            .filter((blocker) => blocker.status !== "complete")
+            .map((blocker) => blocker.title)
+            .join(", ")}`}
+        >
+          <FaLock /> Blocked
+        </p>
+      )}
       <p className="text-sm text-gray-700">{task.description}</p> {/* Description instead of priority */}
-      <p className="text-xs text-gray-600">Deadline: {task.deadline}</p>
+      <p className="text-xs text-gray-600">
+        Deadline: {task.dueDate ? new Date(task.dueDate).toLocaleDateString() : "—"}
+      </p>
+      {total > 0 && (
+        <div className="mt-2" aria-label={`Checklist: ${done} of ${total} done`}>
+          <p className="text-xs text-gray-700">☑ {done}/{total}</p>
+          <div className="h-1.5 bg-white/60 rounded">
+            <div className="h-1.5 bg-green-500 rounded" style={{ width: `${(done / total) * 100}%` }} />
+          </div>
+        </div>
+      )}
     </div>
   );
 };
@@ -1,12 +1,22 @@
 // ✅ Synchronized UserPage.js
-import React, { useState, useEffect } from 'react';
+import React, { useState } from 'react';
 import UserSidebar from './UserSidebar';
+import { useTasks } from '../../hooks/useTasks';
+import { useAuth } from '../../contexts/AuthContext';
+import AssigneePicker from '../../components/tasks/AssigneePicker';
+import TaskChecklist from '../../components/tasks/TaskChecklist';
+import TaskAttachments from '../../components/tasks/TaskAttachments';
+import TaskDependencies from '../../components/tasks/TaskDependencies';
+import RecurrenceEditor from '../../components/tasks/RecurrenceEditor';
+import ImportWizard from '../../components/tasks/ImportWizard';
+import { describeRecurrence } from '../../utils/recurrence';
+import { hasChecklist } from '../../utils/checklist';
 import { toast, ToastContainer } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
 
 const UserPage = () => {
-  const [tasks, setTasks] = useState([]);
-  const [loggedInUser, setLoggedInUser] = useState('');
+  const { tasks, setTasks, addTask, editTask, removeTask } = useTasks();
+  const { can } = useAuth();
   const [newTask, setNewTask] = useState({
     title: '',
     description: '',
@@ -14,88 +24,90 @@ const UserPage = () => {
     deadline: '',
     progress: 0,
     status: 'incomplete',
+    assignees: [],
+    recurrence: null,
   });
+  const [importing, setImporting] = useState(false);
 
-  useEffect(() => {
-    const storedUser = JSON.parse(localStorage.getItem('loggedInUser'));
-    setLoggedInUser(storedUser?.name || 'Unknown User');
-    const storedTasks = JSON.parse(localStorage.getItem('tasks')) || [];
-    setTasks(storedTasks);
-  }, []);
-
-  const handleCreateTask = (e) => {
+  const handleCreateTask = async (e) => {
     e.preventDefault();
     if (!newTask.title.trim() || !newTask.description.trim()) return;
 
-    const taskId = Date.now().toString();
+    try {
+      await addTask({
+        title: newTask.title,
+        description: newTask.description,
+        priority: newTask.priority.toLowerCase(),
+        status: newTask.progress === 100 ? 'complete' : 'incomplete',
+        progress: newTask.progress,
+        dueDate: newTask.deadline,
+        assignees: newTask.assignees.map((user) => user._id),
+        ...(newTask.recurrence && { recurrence: newTask.recurrence }),
+      });
+      toast.success('Task added successfully!', { icon: '✅' });
+      setNewTask({
+        title: '',
+        description: '',
+        priority: 'medium',
+        deadline: '',
+        progress: 0,
+        status: 'incomplete',
+        assignees: [],
+        recurrence: null,
+      });
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
 
-    const newTaskItem = {
-      _id: taskId,
-      title: newTask.title,
-      description: newTask.description,
-      priority: newTask.priority.toLowerCase(),
-      status: newTask.progress === 100 ? 'complete' : 'incomplete',
-      progress: newTask.progress,
-      dueDate: newTask.deadline,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-      assignedTo: loggedInUser,
-    };
+  // Ends the series after this occurrence
+  const stopRepeating = async (taskId) => {
+    try {
+      await editTask(taskId, { recurrence: null });
+      toast.success('Task will no longer repeat');
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
 
-    const updatedTasks = [...tasks, newTaskItem];
-    setTasks(updatedTasks);
-    localStorage.setItem('tasks', JSON.stringify(updatedTasks));
-    window.dispatchEvent(
-      new StorageEvent('storage', {
-        key: 'tasks',
-        newValue: JSON.stringify(updatedTasks),
-      })
+  const handleImported = ({ tasks: taskCount, events: eventCount }) => {
+    setImporting(false);
+    toast.success(
+      eventCount > 0
+        ? `Imported ${taskCount} task(s) and ${eventCount} event(s)`
+        : `Imported ${taskCount} task(s)`
     );
-    window.dispatchEvent(new Event('tasksUpdated'));
-    toast.success('Task added successfully!', { icon: '✅' });
-    setNewTask({
-      title: '',
-      description: '',
-      priority: 'medium',
-      deadline: '',
-      progress: 0,
-      status: 'incomplete',
-    });
   };
 
-  const handleDeleteTask = (taskId) => {
-    const updatedTasks = tasks.filter((task) => task._id !== taskId);
-    setTasks(updatedTasks);
-    localStorage.setItem('tasks', JSON.stringify(updatedTasks));
-    window.dispatchEvent(
-      new StorageEvent('storage', {
-        key: 'tasks',
-        newValue: JSON.stringify(updatedTasks),
-      })
-    );
-    window.dispatchEvent(new Event('tasksUpdated'));
-    toast.error('Task removed successfully!', { icon: '🗑️' });
+  const handleDeleteTask = async (taskId) => {
+    try {
+      await removeTask(taskId);
+      toast.error('Task removed successfully!', { icon: '🗑️' });
+    } catch (err) {
+      toast.error(err.message);
+    }
   };
 
+  const progressUpdates = (progress) => ({
+    progress: parseInt(progress),
+    status: progress === '100' ? 'complete' : 'incomplete',
+  });
+
+  // Move the slider locally while dragging and persist once it is released
   const updateProgress = (taskId, progress) => {
-    const updatedTasks = tasks.map((task) =>
-      task._id === taskId
-        ? {
-            ...task,
-            progress: parseInt(progress),
-            status: progress === '100' ? 'complete' : 'incomplete',
-          }
-        : task
+    setTasks((prevTasks) =>
+      prevTasks.map((task) =>
+        task._id === taskId ? { ...task, ...progressUpdates(progress) } : task
+      )
     );
-    setTasks(updatedTasks);
-    localStorage.setItem('tasks', JSON.stringify(updatedTasks));
-    window.dispatchEvent(
-      new StorageEvent('storage', {
-        key: 'tasks',
-        newValue: JSON.stringify(updatedTasks),
-      })
-    );
-    window.dispatchEvent(new Event('tasksUpdated'));
+  };
+
+  const saveProgress = async (taskId, progress) => {
+    try {
+      await editTask(taskId, progressUpdates(progress));
+    } catch (err) {
+      toast.error(err.message);
+    }
   };
 
   return (
@@ -106,6 +118,18 @@ const UserPage = () => {
         <h1 className='text-4xl font-bold text-center mb-6'>
           🎯 User Task Management
         </h1>
+        {can('tasks:create') && (
+          <div className='max-w-xl mx-auto mb-4 flex justify-end'>
+            <button
+              onClick={() => setImporting(true)}
+              className='text-sm text-blue-600 hover:underline'>
+              Import from CSV or .ics
+            </button>
+          </div>
+        )}
+        {importing && (
+          <ImportWizard onClose={() => setImporting(false)} onImported={handleImported} />
+        )}
 
         <form
           onSubmit={handleCreateTask}
@@ -147,6 +171,17 @@ const UserPage = () => {
               required
             />
           </div>
+          <RecurrenceEditor
+            value={newTask.recurrence}
+            onChange={(recurrence) => setNewTask({ ...newTask, recurrence })}
+            dueDate={newTask.deadline}
+          />
+          {can('tasks:assign') && (
+            <AssigneePicker
+              value={newTask.assignees}
+              onChange={(assignees) => setNewTask({ ...newTask, assignees })}
+            />
+          )}
           <button
             type='submit'
             className='bg-blue-600 text-white w-full p-3 rounded'>
@@ -162,16 +197,45 @@ const UserPage = () => {
               <h3 className='text-xl font-bold'>{task.title}</h3>
               <p>{task.description}</p>
               <p className='text-sm'>Priority: {task.priority}</p>
-              <p className='text-sm'>Assigned to: {task.assignedTo}</p>
-              <p className='text-sm'>Deadline: {task.dueDate}</p>
+              <p className='text-sm'>
+                Assigned to:{' '}
+                {task.assignees?.length
+                  ? task.assignees.map((user) => user.fullName).join(', ')
+                  : 'Unassigned'}
+              </p>
+              <p className='text-sm'>
+                Deadline:{' '}
+                {task.dueDate ? new Date(task.dueDate).toLocaleDateString() : '—'}
+              </p>
+              {task.recurrence && (
+                <p className='text-sm text-gray-600 flex justify-between items-center gap-2'>
+                  <span>
+                    🔁 {describeRecurrence(task.recurrence)} (#{task.occurrence})
+                  </span>
+                  <button
+                    onClick={() => stopRepeating(task._id)}
+                    className='text-xs text-blue-600 hover:underline shrink-0'>
+                    Stop repeating
+                  </button>
+                </p>
+              )}
+              {/* With a checklist or subtasks, progress follows the finished items */}
               <input
                 type='range'
                 min='0'
                 max='100'
                 value={task.progress}
+                disabled={hasChecklist(task)}
+                title={hasChecklist(task) ? 'Progress follows the checklist' : undefined}
                 onChange={(e) => updateProgress(task._id, e.target.value)}
+                onMouseUp={(e) => saveProgress(task._id, e.target.value)}
+                onTouchEnd={(e) => saveProgress(task._id, e.target.value)}
+                onKeyUp={(e) => saveProgress(task._id, e.target.value)}
                 className='w-full'
               />
+              <TaskChecklist task={task} />
+              <TaskDependencies task={task} tasks={tasks} />
+              <TaskAttachments task={task} />
               <button
                 onClick={() => handleDeleteTask(task._id)}
                 className='w-full mt-2 p-2 bg-red-600 text-white rounded'>
@@ -8,20 +8,23 @@ import {
   FaUser,
 } from 'react-icons/fa';
 import { useAuth } from '../../contexts/AuthContext';
+import { useNotifications } from '../../contexts/NotificationContext';
 import NotAuthenticated from '../../components/NotAuthenticated';
 
 const UserSidebar = () => {
   const location = useLocation();
   const navigate = useNavigate();
-  const { isAuthenticated } = useAuth();
+  const { isAuthenticated, can } = useAuth();
+  const { unreadCount } = useNotifications();
 
+  // Signed-out visitors see every item and are sent to the not-authenticated page on click
   const menuItems = [
-    { path: '/user/dashboard', label: 'Dashboard', icon: <FaChartBar /> },
-    { path: '/user/userpage', label: 'Create Tasks', icon: <FaTasks /> },
-    { path: '/user/calendar', label: 'Calendar', icon: <FaCalendarAlt /> },
-    { path: '/user/notifications', label: 'Notifications', icon: <FaBell /> },
+    { path: '/user/dashboard', label: 'Dashboard', icon: <FaChartBar />, permission: 'tasks:read' },
+    { path: '/user/userpage', label: 'Create Tasks', icon: <FaTasks />, permission: 'tasks:create' },
+    { path: '/user/calendar', label: 'Calendar', icon: <FaCalendarAlt />, permission: 'tasks:read' },
+    { path: '/user/notifications', label: 'Notifications', icon: <FaBell />, badge: unreadCount },
     { path: '/user/profile', label: 'Profile', icon: <FaUser /> },
-  ];
+  ].filter(({ permission }) => !isAuthenticated || !permission || can(permission));
 
   const handleLinkClick = (e, path) => {
     if (!isAuthenticated) {
@@ -39,7 +42,7 @@ const UserSidebar = () => {
       </h2>
 
       <ul className='space-y-3'>
-        {menuItems.map(({ path, label, icon }) => (
+        {menuItems.map(({ path, label, icon, badge }) => (
           <li key={path}>
             <Link
               to={isAuthenticated ? path : '#'}
@@ -49,7 +52,16 @@ const UserSidebar = () => {
                   ? 'bg-blue-600 shadow-lg transform scale-105'
                   : 'hover:bg-blue-700 hover:scale-105 transition'
               }`}>
-              <span className='text-xl'>{icon}</span>
+              <span className='relative text-xl'>
+                {icon}
+                {badge > 0 && (
+                  <span
+                    className='absolute -top-2 -right-3 min-w-[1.25rem] px-1 rounded-full bg-red-600 text-xs font-bold text-center leading-5'
+                    aria-label={`${badge} unread`}>
+                    {badge > 99 ? '99+' : badge}
+                  </span>
+                )}
+              </span>
               {label}
             </Link>
           </li>
@@ -1,4 +1,119 @@
+export const API_BASE_URL =
+  import.meta.env.VITE_API_URL ||
+  "https://zidio-task-management-backend.onrender.com";
+
 export const fetchData = async (url) => {
   const response = await fetch(url);
   return response.json();
 };
+
+/** localStorage key of the workspace the user is working in, sent as X-Workspace-Id */
+export const WORKSPACE_STORAGE_KEY = "workspaceId";
+
+/** Fired on window when the session cannot be renewed and the user must log in again */
+export const SESSION_EXPIRED_EVENT = "sessionExpired";
+
+// Endpoints whose 401 means bad credentials, not an expired access token
+const NO_REFRESH_PATHS = ["/api/auth/login", "/api/auth/register", "/api/auth/refresh"];
+
+let refreshPromise = null;
+
+const send = (path, { body, headers, ...options }) => {
+  const token = localStorage.getItem("token");
+  const workspaceId = localStorage.getItem(WORKSPACE_STORAGE_KEY);
+  // File uploads go out as multipart; the browser sets their Content-Type and boundary
+  const isJson = body !== undefined && !(body instanceof FormData);
+
+  return fetch(`${API_BASE_URL}${path}`, {
+    ...options,
+    // The refresh token lives in an httpOnly cookie on the API host
+    credentials: "include",
+    headers: {
+      ...(isJson && { "Content-Type": "application/json" }),
+      ...(token && { Authorization: `Bearer ${token}` }),
+      ...(workspaceId && { "X-Workspace-Id": workspaceId }),
+      ...headers,
+    },
+    body: isJson ? JSON.stringify(body) : body,
+  });
+};
+
+const parse = async (response) => {
+  const text = await response.text();
+  const data = text ? JSON.parse(text) : null;
+
+  if (!response.ok) {
+    const error = new Error(data?.message || `Request failed (${response.status})`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return data;
+};
+
+/**
+ * Exchanges the refresh cookie for a new access token and stores it.
+ * Concurrent callers share one request, since the server rotates the cookie
+ * and treats a second use of the old one as token theft.
+ *
+ * @returns {Promise<string>} The new access token
+ */
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = send("/api/auth/refresh", { method: "POST" })
+      .then(parse)
+      .then(({ token }) => {
+        localStorage.setItem("token", token);
+        return token;
+      })
+      .catch((error) => {
+        if (error.status === 401) {
+          window.dispatchEvent(new Event(SESSION_EXPIRED_EVENT));
+        }
+        throw error;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
+// Sends a request, refreshing an expired access token once and retrying
+const sendWithRefresh = async (path, options) => {
+  const response = await send(path, options);
+
+  if (response.status === 401 && !NO_REFRESH_PATHS.includes(path)) {
+    await refreshAccessToken();
+    return send(path, options);
+  }
+
+  return response;
+};
+
+/**
+ * Calls the TaskFlow backend with the stored JWT attached.
+ * When the access token has expired, it is refreshed once and the request retried.
+ * Rejects with an Error carrying the server's message and HTTP status.
+ *
+ * @param {string} path - Path relative to the API root, e.g. "/api/tasks"
+ * @param {Object} [options] - fetch options; a plain object `body` is sent as JSON, a FormData one as multipart
+ * @returns {Promise<any>} Parsed JSON response (null for empty bodies)
+ */
+export const apiRequest = async (path, options = {}) => {
+  return parse(await sendWithRefresh(path, options));
+};
+
+/**
+ * Downloads a file from the backend, authenticated like apiRequest.
+ * Needed where a plain link or <img src> could not send the JWT.
+ *
+ * @param {string} path - Path relative to the API root
+ * @returns {Promise<Blob>} The response body
+ */
+export const apiDownload = async (path) => {
+  const response = await sendWithRefresh(path, {});
+  if (!response.ok) return parse(response);
+  return response.blob();
+};
@@ -0,0 +1,18 @@
+/**
+ * Completion of a task's checklist items and subtasks together
+ *
+ * @param {Object} task - Task from the API
+ * @returns {{done: number, total: number}} Finished and total item counts
+ */
+export const checklistProgress = (task) => {
+  const checklist = task.checklist || [];
+  const subtasks = task.subtasks || { total: 0, done: 0 };
+
+  return {
+    done: checklist.filter((item) => item.done).length + subtasks.done,
+    total: checklist.length + subtasks.total,
+  };
+};
+
+/** Whether the task's progress is computed from items instead of set by hand */
+export const hasChecklist = (task) => checklistProgress(task).total > 0;
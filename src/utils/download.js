@@ -0,0 +1,10 @@
+// Saves a Blob fetched from the API as a file, the way a download link would
+export const saveBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Give the browser a moment to start the download before releasing the file
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
@@ -0,0 +1,211 @@
+// Reading task lists brought over from other tools: CSV tables and iCalendar (.ics) files.
+// Rows come out in the shape POST /api/import takes; the server does the validation.
+
+// Task fields a CSV column can be mapped to, with header names that map to each by default
+export const IMPORT_FIELDS = [
+  { key: "title", label: "Title", required: true, headers: ["title", "name", "task", "summary", "subject"] },
+  { key: "description", label: "Description", headers: ["description", "details", "notes", "body"] },
+  { key: "priority", label: "Priority", headers: ["priority", "importance"] },
+  { key: "dueDate", label: "Due date", headers: ["due date", "due", "deadline", "due on", "date"] },
+  { key: "assignee", label: "Assignee", headers: ["assignee", "assignees", "assigned to", "owner", "email"] },
+];
+
+const PRIORITY_ALIASES = { urgent: "high", critical: "high", normal: "medium", med: "medium", minor: "low" };
+
+const pad = (number) => String(number).padStart(2, "0");
+
+const toLocalDay = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// The most common of the candidate delimiters in the header line
+const detectDelimiter = (text) => {
+  const header = text.slice(0, text.search(/\r?\n|$/));
+  return [",", ";", "\t"].reduce((best, delimiter) =>
+    header.split(delimiter).length > header.split(best).length ? delimiter : best
+  );
+};
+
+/**
+ * Splits CSV text into a header and rows of cells, following RFC 4180: quoted cells may
+ * hold delimiters, line breaks and doubled quotes. Blank lines are skipped.
+ */
+export const parseCsv = (text) => {
+  const source = text.replace(/^\uFEFF/, "");
+  const delimiter = detectDelimiter(source);
+  const records = [];
+  let record = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      record.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i += 1;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  record.push(cell);
+  records.push(record);
+
+  const [header = [], ...rows] = records.filter((cells) => cells.some((value) => value.trim()));
+  return { columns: header.map((name) => name.trim()), rows };
+};
+
+// Column index for each import field, picked by header name; -1 leaves a field unmapped
+export const guessMapping = (columns) => {
+  const headers = columns.map((column) => column.toLowerCase());
+  return Object.fromEntries(
+    IMPORT_FIELDS.map((field) => [field.key, headers.findIndex((header) => field.headers.includes(header))])
+  );
+};
+
+// Priorities as the server names them; anything unknown is passed on for the server to reject
+export const normalizePriority = (value) => {
+  const priority = String(value || "").trim().toLowerCase();
+  if (!priority) return undefined;
+  return PRIORITY_ALIASES[priority] || priority;
+};
+
+// Due dates are days. ISO dates are kept as written, other dates the browser can read are
+// turned into one, and anything else is passed on for the server to reject.
+export const normalizeDueDate = (value) => {
+  const text = String(value || "").trim();
+  if (!text) return null;
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) return text.slice(0, 10);
+  const date = new Date(text);
+  return Number.isNaN(date.getTime()) ? text : toLocalDay(date);
+};
+
+// CSV rows as tasks, taking each field from the column mapped to it
+export const rowsToTasks = (rows, mapping) => {
+  const cell = (row, key) => (mapping[key] >= 0 ? (row[mapping[key]] || "").trim() : "");
+  return rows.map((row) => ({
+    title: cell(row, "title"),
+    description: cell(row, "description"),
+    priority: normalizePriority(cell(row, "priority")),
+    dueDate: normalizeDueDate(cell(row, "dueDate")),
+    assignee: cell(row, "assignee"),
+  }));
+};
+
+const unescapeText = (value) =>
+  value.replace(/\\([\\;,nN])/g, (match, char) => (char.toLowerCase() === "n" ? "\n" : char));
+
+// Name and value of a content line, e.g. DTSTART;VALUE=DATE:20250314; the value says
+// itself whether it is a date or a date and time, so parameters are left out
+const parseLine = (line) => {
+  let colon = -1;
+  let quoted = false;
+  for (let i = 0; i < line.length && colon < 0; i += 1) {
+    if (line[i] === '"') quoted = !quoted;
+    else if (line[i] === ":" && !quoted) colon = i;
+  }
+  if (colon < 0) return null;
+
+  return { name: line.slice(0, colon).split(";")[0].toUpperCase(), value: line.slice(colon + 1) };
+};
+
+// A DATE or DATE-TIME value: UTC when it ends in Z, otherwise the local time of the browser
+const parseIcsDate = (value) => {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) return null;
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  if (!hours) return { date: new Date(year, month - 1, day), allDay: true };
+  const parts = [year, month - 1, day, hours, minutes, seconds];
+  return { date: utc ? new Date(Date.UTC(...parts)) : new Date(...parts), allDay: false };
+};
+
+// iCalendar PRIORITY runs from 1 (highest) to 9 (lowest); 0 means none
+const icsPriority = (value) => {
+  const priority = Number(value);
+  if (!priority) return undefined;
+  if (priority <= 4) return "high";
+  return priority === 5 ? "medium" : "low";
+};
+
+/**
+ * Reads the VTODOs and VEVENTs of an iCalendar file. To-dos become tasks due on their due
+ * date, or their start when they have none. Events become calendar events, or with
+ * eventsAsTasks, tasks due on the day they start.
+ */
+export const parseIcs = (text, { eventsAsTasks = false } = {}) => {
+  const lines = text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+  const components = [];
+  let current = null;
+  // Depth of components nested in the current one, such as alarms, whose properties are skipped
+  let nested = 0;
+
+  lines.forEach((raw) => {
+    const line = parseLine(raw);
+    if (!line) return;
+    if (line.name === "BEGIN") {
+      if (current) nested += 1;
+      else if (line.value === "VTODO" || line.value === "VEVENT") current = { type: line.value, props: {} };
+    } else if (line.name === "END" && current) {
+      if (nested > 0) {
+        nested -= 1;
+      } else {
+        components.push(current);
+        current = null;
+      }
+    } else if (current && nested === 0 && !(line.name in current.props)) {
+      current.props[line.name] = line.value;
+    }
+  });
+
+  const tasks = [];
+  const events = [];
+  components.forEach(({ type, props }) => {
+    const title = unescapeText(props.SUMMARY || "").trim();
+    const description = unescapeText(props.DESCRIPTION || "").trim();
+    const start = props.DTSTART ? parseIcsDate(props.DTSTART) : null;
+
+    if (type === "VEVENT" && !eventsAsTasks) {
+      let end = props.DTEND ? parseIcsDate(props.DTEND) : null;
+      // Without an end, an all-day event lasts its day and a timed one no time at all
+      if (!end && start) {
+        end = start.allDay
+          ? { date: new Date(start.date.getFullYear(), start.date.getMonth(), start.date.getDate() + 1) }
+          : start;
+      }
+      // All-day events are sent as the days they cover, timed ones as instants
+      const toValue = (value) => (start?.allDay ? toLocalDay(value.date) : value.date.toISOString());
+      events.push({
+        title,
+        description,
+        start: start ? toValue(start) : props.DTSTART,
+        end: end ? toValue(end) : props.DTEND,
+        allDay: Boolean(start?.allDay),
+      });
+      return;
+    }
+
+    const due = (type === "VTODO" && props.DUE ? parseIcsDate(props.DUE) : null) || start;
+    tasks.push({
+      title,
+      description,
+      priority: icsPriority(props.PRIORITY),
+      dueDate: due ? toLocalDay(due.date) : null,
+    });
+  });
+
+  return { tasks, events };
+};
@@ -0,0 +1,24 @@
+/**
+ * Reads the payload of a JWT without verifying its signature.
+ * The server stays the authority on validity; the client only uses
+ * the payload for the user's id, role and expiry.
+ *
+ * @param {string} token - Encoded JWT
+ * @returns {Object|null} Decoded payload, or null if the token is malformed
+ */
+export const decodeToken = (token) => {
+  try {
+    const payload = token.split(".")[1];
+    const base64 = payload.replace(/-/g, "+").replace(/_/g, "/");
+    return JSON.parse(atob(base64));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * @param {Object|null} payload - Decoded JWT payload
+ * @returns {boolean} Whether the token has no expiry claim or has already expired
+ */
+export const isTokenExpired = (payload) =>
+  !payload?.exp || payload.exp * 1000 <= Date.now();
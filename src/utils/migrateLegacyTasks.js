@@ -0,0 +1,64 @@
+import { apiRequest } from "./api";
+import { normalizeTask, validateTask } from "./taskSchema";
+
+const LEGACY_KEY = "tasks";
+const BACKUP_KEY = "tasksLegacyBackup";
+
+let migration = null;
+
+const runMigration = async () => {
+  const legacyTasks = JSON.parse(localStorage.getItem(LEGACY_KEY) || "[]");
+  if (!Array.isArray(legacyTasks) || legacyTasks.length === 0) {
+    localStorage.removeItem(LEGACY_KEY);
+    return;
+  }
+
+  // Keep the untouched originals around in case anything fails to convert
+  localStorage.setItem(BACKUP_KEY, JSON.stringify(legacyTasks));
+
+  const remaining = [];
+  for (const legacy of legacyTasks) {
+    const task = normalizeTask(legacy);
+    const errors = validateTask(task);
+
+    if (Object.keys(errors).length > 0) {
+      console.warn("Skipping legacy task that fails validation:", legacy, errors);
+      continue;
+    }
+
+    try {
+      await apiRequest("/api/tasks", { method: "POST", body: task });
+    } catch (err) {
+      console.error("Failed to migrate legacy task:", err);
+      remaining.push(legacy);
+    }
+  }
+
+  // Anything the server refused for a transient reason is retried on the next load
+  if (remaining.length > 0) {
+    localStorage.setItem(LEGACY_KEY, JSON.stringify(remaining));
+    throw new Error(`${remaining.length} legacy task(s) could not be migrated`);
+  }
+  localStorage.removeItem(LEGACY_KEY);
+};
+
+/**
+ * One-time upload of tasks that older versions of the app kept in
+ * localStorage. Safe to call from every task view: concurrent callers
+ * share a single run, and a run that fails is retried on the next call.
+ *
+ * @returns {Promise<void>}
+ */
+export const migrateLegacyTasks = () => {
+  if (!localStorage.getItem("token") || !localStorage.getItem(LEGACY_KEY)) {
+    return Promise.resolve();
+  }
+
+  if (!migration) {
+    migration = runMigration().catch((err) => {
+      console.error("Legacy task migration incomplete:", err);
+      migration = null;
+    });
+  }
+  return migration;
+};
@@ -0,0 +1,28 @@
+import permissionConfig from "../../shared/permissions.json";
+
+// The same role/permission map the server enforces
+const { roles, aliases } = permissionConfig;
+
+export const ROLES = Object.keys(roles);
+
+const resolvePermissions = (role) => {
+  const { inherits, permissions } = roles[role];
+  return new Set([...(inherits ? resolvePermissions(inherits) : []), ...permissions]);
+};
+
+const ROLE_PERMISSIONS = Object.fromEntries(ROLES.map((role) => [role, resolvePermissions(role)]));
+
+// Maps legacy role names (e.g. "user") onto current ones
+export const normalizeRole = (role) => aliases[role] || role;
+
+export const roleLabel = (role) => roles[normalizeRole(role)]?.label || role;
+
+/**
+ * Checks whether a role grants a named permission, e.g. "tasks:assign".
+ *
+ * @param {string|null|undefined} role - Role as reported by the server
+ * @param {string} permission - Permission name
+ * @returns {boolean}
+ */
+export const hasPermission = (role, permission) =>
+  Boolean(ROLE_PERMISSIONS[normalizeRole(role)]?.has(permission));
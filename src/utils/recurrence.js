@@ -0,0 +1,40 @@
+/** Weekday codes of recurrence rules, Sunday first like Date#getDay (mirrors the server) */
+export const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+export const WEEKDAY_NAMES = {
+  SU: "Sunday",
+  MO: "Monday",
+  TU: "Tuesday",
+  WE: "Wednesday",
+  TH: "Thursday",
+  FR: "Friday",
+  SA: "Saturday",
+};
+
+const ORDINALS = { 1: "first", 2: "second", 3: "third", 4: "fourth", "-1": "last" };
+const UNITS = { daily: "day", weekly: "week", monthly: "month" };
+
+/**
+ * Describes a recurrence rule in words, e.g. "Every 2 weeks on Monday, Friday, 5 times"
+ *
+ * @param {Object|null} rule - Task recurrence from the API
+ * @returns {string} Empty when the task does not repeat
+ */
+export const describeRecurrence = (rule) => {
+  if (!rule) return "";
+
+  const interval = rule.interval || 1;
+  const unit = UNITS[rule.freq];
+  let text = interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`;
+
+  if (rule.freq === "weekly" && rule.byWeekday?.length) {
+    text += ` on ${rule.byWeekday.map((day) => WEEKDAY_NAMES[day]).join(", ")}`;
+  }
+  if (rule.freq === "monthly" && rule.nth) {
+    text += ` on the ${ORDINALS[rule.nth]} ${WEEKDAY_NAMES[rule.byWeekday[0]]}`;
+  }
+  if (rule.count) text += `, ${rule.count} times`;
+  if (rule.until) text += `, until ${new Date(rule.until).toLocaleDateString(undefined, { timeZone: "UTC" })}`;
+
+  return text;
+};
@@ -0,0 +1,121 @@
+import taskSchema from "../../shared/taskSchema.json";
+
+// The same definition the server builds its Task model from
+const { fields } = taskSchema;
+
+export const TASK_SCHEMA_VERSION = taskSchema.version;
+export const TASK_PRIORITIES = fields.priority.enum;
+export const TASK_STATUSES = fields.status.enum;
+
+const OBJECT_ID = /^[a-f\d]{24}$/i;
+
+const isBlank = (value) => value === undefined || value === null || value === "";
+
+const checkField = (name, field, value) => {
+  if (isBlank(value)) {
+    return field.required ? `${name} is required` : null;
+  }
+
+  switch (field.type) {
+    case "string":
+      if (typeof value !== "string") return `${name} must be text`;
+      if (field.required && !value.trim()) return `${name} is required`;
+      if (field.maxLength && value.length > field.maxLength) {
+        return `${name} must be at most ${field.maxLength} characters`;
+      }
+      break;
+    case "number":
+      if (typeof value !== "number" || Number.isNaN(value)) return `${name} must be a number`;
+      if (value < field.min || value > field.max) {
+        return `${name} must be between ${field.min} and ${field.max}`;
+      }
+      break;
+    case "date":
+      if (Number.isNaN(new Date(value).getTime())) return `${name} must be a valid date`;
+      break;
+    case "id":
+      if (!OBJECT_ID.test(typeof value === "object" ? value._id : value)) {
+        return `${name} must be a valid id`;
+      }
+      break;
+    default:
+      break;
+  }
+
+  if (field.enum && !field.enum.includes(value)) {
+    return `${name} must be one of: ${field.enum.join(", ")}`;
+  }
+  return null;
+};
+
+// Array fields are checked element by element against the same rules
+const checkArrayField = (name, field, value) => {
+  if (isBlank(value)) return null;
+  if (!Array.isArray(value)) return `${name} must be a list`;
+
+  for (const item of value) {
+    const error = checkField(name, field, item);
+    if (error) return error;
+  }
+  return null;
+};
+
+/**
+ * Validates a task against the shared task schema
+ *
+ * @param {Object} task - Task fields to check
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Only check fields that are present (updates)
+ * @returns {Object} Map of field name to error message, empty when valid
+ */
+export const validateTask = (task, { partial = false } = {}) => {
+  const errors = {};
+
+  Object.entries(fields).forEach(([name, field]) => {
+    if (partial && task[name] === undefined) return;
+
+    const check = field.array ? checkArrayField : checkField;
+    const error = check(name, field, task[name]);
+    if (error) errors[name] = error;
+  });
+
+  return errors;
+};
+
+const toDueDate = (value) => {
+  if (isBlank(value)) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * Converts any of the shapes older screens stored in localStorage
+ * ({id, completed}, {_id, status: 'complete'}, {status: 'Completed'}, {deadline})
+ * into a canonical task ready to be sent to the API
+ *
+ * @param {Object} legacy - Task as previously stored in localStorage
+ * @returns {Object} Canonical task
+ */
+export const normalizeTask = (legacy) => {
+  const priority = String(legacy.priority || "").toLowerCase();
+  const parsedProgress = Number(legacy.progress);
+  const isComplete =
+    legacy.completed === true ||
+    /^complete(d)?$/i.test(legacy.status || "") ||
+    parsedProgress >= 100;
+
+  let progress = Number.isNaN(parsedProgress)
+    ? fields.progress.default
+    : Math.min(Math.max(Math.round(parsedProgress), fields.progress.min), fields.progress.max);
+  if (isComplete) progress = 100;
+  else if (progress === 100) progress = 99;
+
+  return {
+    title: String(legacy.title ?? "").trim(),
+    description: String(legacy.description ?? fields.description.default),
+    priority: TASK_PRIORITIES.includes(priority) ? priority : fields.priority.default,
+    progress,
+    status: isComplete ? "complete" : "incomplete",
+    dueDate: toDueDate(legacy.dueDate || legacy.deadline),
+  };
+};
@@ -0,0 +1,17 @@
+/** The column completed tasks live in; every workflow keeps it (mirrors the server) */
+export const DONE_COLUMN = "done";
+
+/**
+ * Whether a card may move between two board columns.
+ * A column without a transition rule allows every move (mirrors the server).
+ *
+ * @param {Object} workflow - { columns, transitions } from /api/workspaces/:id/workflow
+ * @param {string} from - Column key the card is in
+ * @param {string} to - Column key it is dropped on
+ * @returns {boolean}
+ */
+export const canTransition = (workflow, from, to) => {
+  if (from === to) return true;
+  const rule = workflow.transitions.find((transition) => transition.from === from);
+  return !rule || rule.to.includes(to);
+};